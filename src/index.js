@@ -20,6 +20,14 @@ const conversationRoutes = require('./routes/conversations');
 const cannedResponseRoutes = require('./routes/cannedResponses');
 const autoResponseRoutes = require('./routes/autoResponses');
 const conversationNoteRoutes = require('./routes/conversationNotes');
+const templateRoutes = require('./routes/templates');
+const trackingRoutes = require('./routes/tracking');
+const unsubscribeRoutes = require('./routes/unsubscribe');
+const suppressionRoutes = require('./routes/suppressions');
+const sendingSettingsRoutes = require('./routes/sendingSettings');
+const jobRoutes = require('./routes/jobs');
+const scoringRuleRoutes = require('./routes/scoringRules');
+const segmentRoutes = require('./routes/segments');
 
 // Tackle.IO Routes (Tier 5 - Enterprise CRM)
 const tackleRoutes = require('./routes/tackle');
@@ -30,6 +38,10 @@ const adminRoutes = require('./routes/adminRoutes');
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/logger');
 const { initializeRedis, getRedisStore, checkRedisHealth } = require('./config/redis');
+const { startCampaignScheduler } = require('./services/campaignScheduler');
+const { startSequenceScheduler } = require('./services/sequenceScheduler');
+const { startDealRottingScheduler } = require('./services/dealRottingScheduler');
+const { failStaleJobs } = require('./services/jobService');
 
 // Self-Healing System (Monitors all 5 platforms)
 const { startAgents, getSystem } = require('./system-agents');
@@ -82,7 +94,15 @@ app.use('/api/v1/webhooks/stripe', express.raw({ type: 'application/json' }));
 app.use(cookieParser());
 
 // JSON body parser
-app.use(express.json({ limit: '10mb' }));
+// Webhooks keep the raw bytes for provider signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes('/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -96,7 +116,8 @@ const limiterConfig = {
   standardHeaders: true,
   legacyHeaders: false,
   skip: (req) => {
-    return req.path.includes('/webhooks/') && req.method === 'POST';
+    // Webhooks, email tracking and unsubscribe links are hit by providers and mail clients, not users
+    return (req.path.includes('/webhooks/') && req.method === 'POST') || req.path.includes('/track/') || req.path.includes('/unsubscribe/');
   },
 };
 
@@ -158,6 +179,14 @@ app.use('/api/v1/conversations', conversationRoutes);
 app.use('/api/v1/canned-responses', cannedResponseRoutes);
 app.use('/api/v1/auto-responses', autoResponseRoutes);
 app.use('/api/v1/conversation-notes', conversationNoteRoutes);
+app.use('/api/v1/templates', templateRoutes);
+app.use('/api/v1/track', trackingRoutes);
+app.use('/api/v1/unsubscribe', unsubscribeRoutes);
+app.use('/api/v1/suppressions', suppressionRoutes);
+app.use('/api/v1/sending-settings', sendingSettingsRoutes);
+app.use('/api/v1/jobs', jobRoutes);
+app.use('/api/v1/scoring-rules', scoringRuleRoutes);
+app.use('/api/v1/segments', segmentRoutes);
 
 // Tackle.IO Routes (Tier 5 Enterprise CRM)
 app.use('/api/v1/tackle', tackleRoutes);
@@ -178,6 +207,12 @@ app.use('/api/conversations', conversationRoutes);
 app.use('/api/canned-responses', cannedResponseRoutes);
 app.use('/api/auto-responses', autoResponseRoutes);
 app.use('/api/conversation-notes', conversationNoteRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/sending-settings', sendingSettingsRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/scoring-rules', scoringRuleRoutes);
+app.use('/api/segments', segmentRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -233,6 +268,24 @@ app.listen(PORT, '0.0.0.0', async () => {
 ╚═══════════════════════════════════════════════════╝
   `);
 
+  // ===========================================
+  // BACKGROUND JOBS
+  // ===========================================
+  if (process.env.ENABLE_CAMPAIGN_SCHEDULER !== 'false') {
+    startCampaignScheduler();
+  }
+  if (process.env.ENABLE_SEQUENCE_SCHEDULER !== 'false') {
+    startSequenceScheduler();
+  }
+  if (process.env.ENABLE_DEAL_ROTTING_SCHEDULER !== 'false') {
+    startDealRottingScheduler();
+  }
+
+  // Jobs that were running when the last process stopped will never finish
+  failStaleJobs()
+    .then((count) => count > 0 && console.log(`Marked ${count} interrupted background jobs as failed`))
+    .catch((error) => console.error('Failed to clean up stale background jobs:', error.message));
+
   // ===========================================
   // SELF-HEALING SYSTEM STARTUP
   // ===========================================
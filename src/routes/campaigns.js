@@ -2,6 +2,19 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../middleware/auth');
+const {
+  isSending,
+  addCampaignRecipients,
+  resolveCampaignContent,
+  EDITABLE_STATUSES,
+  validateCampaignMergeFields,
+  WINNER_METRICS
+} = require('../services/campaignService');
+const { extractMergeFields } = require('../services/mergeFieldService');
+const { dispatchCampaign } = require('../services/campaignScheduler');
+const { getSendBudget } = require('../services/sendThrottleService');
+const { getSegmentWhere } = require('../services/segmentService');
+const { EMAIL_VERDICTS } = require('../services/emailVerificationService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -9,6 +22,70 @@ const prisma = new PrismaClient();
 // All routes require authentication
 router.use(authenticate);
 
+// Load the sending user's merge-field data (name, email, company)
+const getSender = (userId) => prisma.user.findUnique({
+  where: { id: userId },
+  select: { id: true, email: true, name: true, company: true }
+});
+
+// Find an email template owned by the user
+const findTemplate = (templateId, userId) => prisma.emailTemplate.findFirst({
+  where: { id: templateId, userId }
+});
+
+// Validate A/B test settings; returns an error message or null
+const validateAbTestSettings = ({ abTestPercent, abWinnerMetric, abWinnerWaitHours }) => {
+  if (abTestPercent !== undefined && abTestPercent !== null &&
+    !(Number.isInteger(abTestPercent) && abTestPercent >= 1 && abTestPercent <= 100)) {
+    return 'abTestPercent must be an integer between 1 and 100';
+  }
+  if (abWinnerMetric !== undefined && !(abWinnerMetric in WINNER_METRICS)) {
+    return `abWinnerMetric must be one of: ${Object.keys(WINNER_METRICS).join(', ')}`;
+  }
+  if (abWinnerWaitHours !== undefined && abWinnerWaitHours !== null &&
+    !(Number.isInteger(abWinnerWaitHours) && abWinnerWaitHours >= 1)) {
+    return 'abWinnerWaitHours must be a positive integer';
+  }
+  return null;
+};
+
+// Verdicts a campaign can skip at send time
+const EXCLUDABLE_VERDICTS = EMAIL_VERDICTS.filter(verdict => verdict !== 'valid');
+
+// Validate excludeEmailVerdicts; returns an error message or null
+const validateExcludeEmailVerdicts = (excludeEmailVerdicts) => {
+  if (excludeEmailVerdicts === undefined) return null;
+  if (!Array.isArray(excludeEmailVerdicts) ||
+    !excludeEmailVerdicts.every(verdict => EXCLUDABLE_VERDICTS.includes(verdict))) {
+    return `excludeEmailVerdicts must be a list of: ${EXCLUDABLE_VERDICTS.join(', ')}`;
+  }
+  return null;
+};
+
+// Resolve recipient lead IDs from explicit leadIds and/or a saved segment
+// Returns null when the segment doesn't exist
+const resolveRecipientLeadIds = async (userId, { leadIds = [], segmentId }) => {
+  const audiences = [];
+  if (Array.isArray(leadIds) && leadIds.length > 0) audiences.push({ id: { in: leadIds } });
+  if (segmentId) {
+    const segmentWhere = await getSegmentWhere(userId, segmentId);
+    if (!segmentWhere) return null;
+    audiences.push(segmentWhere);
+  }
+
+  if (audiences.length === 0) return [];
+
+  const leads = await prisma.lead.findMany({
+    where: { userId, OR: audiences },
+    select: { id: true }
+  });
+
+  return leads.map(lead => lead.id);
+};
+
+// Round a ratio to a percentage with two decimals
+const toRate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
 // Get all campaigns
 router.get('/', async (req, res) => {
   try {
@@ -23,6 +100,7 @@ router.get('/', async (req, res) => {
       where,
       orderBy: { createdAt: 'desc' },
       include: {
+        template: true,
         campaignLeads: {
           include: {
             lead: true
@@ -43,6 +121,10 @@ router.get('/', async (req, res) => {
       email_body: campaign.htmlContent, // Alias for frontend compatibility
       htmlContent: campaign.htmlContent,
       textContent: campaign.textContent,
+      templateId: campaign.templateId,
+      templateName: campaign.template?.name || null,
+      trackOpens: campaign.trackOpens,
+      trackClicks: campaign.trackClicks,
       fromName: campaign.fromName,
       fromEmail: campaign.fromEmail,
       replyTo: campaign.replyTo,
@@ -80,6 +162,8 @@ router.get('/:id', async (req, res) => {
         userId: req.user.id
       },
       include: {
+        template: true,
+        variants: { orderBy: { name: 'asc' } },
         campaignLeads: {
           include: {
             lead: true
@@ -113,7 +197,7 @@ router.post('/', async (req, res) => {
       name,
       description,
       type = 'email',
-      status = 'draft',
+      status,
       subject,
       subject_line, // Accept both field names
       email_body, // Accept both field names
@@ -124,13 +208,41 @@ router.post('/', async (req, res) => {
       fromEmail,
       replyTo,
       scheduledAt,
-      leadIds = [] // Array of lead IDs to add to campaign
+      templateId,
+      trackOpens,
+      trackClicks,
+      abTestPercent,
+      abWinnerMetric,
+      abWinnerWaitHours,
+      excludeEmailVerdicts, // e.g. ['risky', 'invalid'] to skip unverifiable recipients
+      leadIds = [], // Array of lead IDs to add to campaign
+      segmentId // Saved segment whose leads are added to campaign
     } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Campaign name is required' });
     }
 
+    // Verify leads belong to user
+    const recipientIds = await resolveRecipientLeadIds(req.user.id, { leadIds, segmentId });
+    if (!recipientIds) {
+      return res.status(400).json({ error: 'Segment not found' });
+    }
+
+    const abTestError = validateAbTestSettings(req.body);
+    if (abTestError) {
+      return res.status(400).json({ error: abTestError });
+    }
+
+    const verdictError = validateExcludeEmailVerdicts(excludeEmailVerdicts);
+    if (verdictError) {
+      return res.status(400).json({ error: verdictError });
+    }
+
+    if (templateId && !(await findTemplate(templateId, req.user.id))) {
+      return res.status(400).json({ error: 'Template not found' });
+    }
+
     // Use subject_line if provided, otherwise subject
     const finalSubject = subject_line || subject;
     // Use email_body if provided, otherwise template, otherwise htmlContent
@@ -142,7 +254,7 @@ router.post('/', async (req, res) => {
         name: name.includes('-') ? name : `${name} - ${new Date().toISOString().split('T')[0]}`,
         description,
         type,
-        status,
+        status: status || (scheduledAt ? 'scheduled' : 'draft'),
         subject: finalSubject,
         htmlContent: finalHtmlContent,
         textContent: textContent || (finalHtmlContent ? finalHtmlContent.replace(/<[^>]*>/g, '') : null),
@@ -150,35 +262,20 @@ router.post('/', async (req, res) => {
         fromEmail,
         replyTo,
         scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
-        totalLeads: leadIds.length
+        templateId: templateId || null,
+        trackOpens: trackOpens !== undefined ? Boolean(trackOpens) : true,
+        trackClicks: trackClicks !== undefined ? Boolean(trackClicks) : true,
+        abTestPercent: abTestPercent ?? null,
+        abWinnerMetric: abWinnerMetric || 'open',
+        abWinnerWaitHours: abWinnerWaitHours ?? null,
+        excludeEmailVerdicts: [...new Set(excludeEmailVerdicts || [])],
+        totalLeads: recipientIds.length
       }
     });
 
     // Add leads to campaign if provided
-    if (Array.isArray(leadIds) && leadIds.length > 0) {
-      // Verify leads belong to user
-      const userLeads = await prisma.lead.findMany({
-        where: {
-          id: { in: leadIds },
-          userId: req.user.id
-        }
-      });
-
-      if (userLeads.length > 0) {
-        await prisma.campaignLead.createMany({
-          data: userLeads.map(lead => ({
-            campaignId: campaign.id,
-            leadId: lead.id,
-            status: 'pending'
-          }))
-        });
-
-        // Update campaign totalLeads
-        await prisma.campaign.update({
-          where: { id: campaign.id },
-          data: { totalLeads: userLeads.length }
-        });
-      }
+    if (recipientIds.length > 0) {
+      await addCampaignRecipients(campaign.id, recipientIds);
     }
 
     res.status(201).json({
@@ -194,6 +291,9 @@ router.post('/', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.code === 'INVALID_SEGMENT_FILTER') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create campaign error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
@@ -214,9 +314,26 @@ router.put('/:id', async (req, res) => {
       fromName,
       fromEmail,
       replyTo,
-      scheduledAt
+      scheduledAt,
+      templateId,
+      trackOpens,
+      trackClicks,
+      abTestPercent,
+      abWinnerMetric,
+      abWinnerWaitHours,
+      excludeEmailVerdicts
     } = req.body;
 
+    const abTestError = validateAbTestSettings(req.body);
+    if (abTestError) {
+      return res.status(400).json({ error: abTestError });
+    }
+
+    const verdictError = validateExcludeEmailVerdicts(excludeEmailVerdicts);
+    if (verdictError) {
+      return res.status(400).json({ error: verdictError });
+    }
+
     // Check campaign exists and belongs to user
     const existingCampaign = await prisma.campaign.findFirst({
       where: {
@@ -248,6 +365,18 @@ router.put('/:id', async (req, res) => {
     if (fromEmail !== undefined) updateData.fromEmail = fromEmail;
     if (replyTo !== undefined) updateData.replyTo = replyTo;
     if (scheduledAt !== undefined) updateData.scheduledAt = scheduledAt ? new Date(scheduledAt) : null;
+    if (trackOpens !== undefined) updateData.trackOpens = Boolean(trackOpens);
+    if (trackClicks !== undefined) updateData.trackClicks = Boolean(trackClicks);
+    if (abTestPercent !== undefined) updateData.abTestPercent = abTestPercent;
+    if (abWinnerMetric !== undefined) updateData.abWinnerMetric = abWinnerMetric;
+    if (abWinnerWaitHours !== undefined) updateData.abWinnerWaitHours = abWinnerWaitHours;
+    if (excludeEmailVerdicts !== undefined) updateData.excludeEmailVerdicts = [...new Set(excludeEmailVerdicts)];
+    if (templateId !== undefined) {
+      if (templateId && !(await findTemplate(templateId, req.user.id))) {
+        return res.status(400).json({ error: 'Template not found' });
+      }
+      updateData.templateId = templateId || null;
+    }
 
     const campaign = await prisma.campaign.update({
       where: { id: req.params.id },
@@ -297,6 +426,56 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Add recipients from lead IDs and/or a saved segment
+router.post('/:id/recipients', async (req, res) => {
+  try {
+    const { leadIds = [], segmentId } = req.body;
+
+    if ((!Array.isArray(leadIds) || leadIds.length === 0) && !segmentId) {
+      return res.status(400).json({ error: 'leadIds or segmentId is required' });
+    }
+
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      return res.status(400).json({ error: `Recipients cannot be added to a ${campaign.status} campaign` });
+    }
+
+    const recipientIds = await resolveRecipientLeadIds(req.user.id, { leadIds, segmentId });
+    if (!recipientIds) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const { added, totalLeads } = await addCampaignRecipients(campaign.id, recipientIds);
+
+    res.json({
+      success: true,
+      message: `${added} recipients added to campaign`,
+      data: {
+        matched: recipientIds.length,
+        added,
+        alreadyAdded: recipientIds.length - added,
+        totalLeads
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SEGMENT_FILTER') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Add campaign recipients error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 // Send campaign
 router.post('/:id/send', async (req, res) => {
   try {
@@ -306,6 +485,8 @@ router.post('/:id/send', async (req, res) => {
         userId: req.user.id
       },
       include: {
+        template: true,
+        variants: { orderBy: { name: 'asc' } },
         campaignLeads: {
           include: {
             lead: true
@@ -318,71 +499,449 @@ router.post('/:id/send', async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    if (campaign.status === 'sent') {
+    if (['sent', 'completed'].includes(campaign.status)) {
       return res.status(400).json({ error: 'Campaign already sent' });
     }
 
+    if (campaign.status === 'active') {
+      return res.status(409).json({ error: 'Campaign is already sending' });
+    }
+
+    if (campaign.status === 'testing') {
+      return res.status(409).json({ error: 'Campaign A/B test is in progress; the winner is sent automatically' });
+    }
+
     if (campaign.campaignLeads.length === 0) {
       return res.status(400).json({ error: 'No recipients added to campaign' });
     }
 
-    // TODO: Integrate with email service (SendGrid/AWS SES)
-    // For now, simulate sending
-    const emailService = process.env.EMAIL_SERVICE || 'mock'; // 'sendgrid', 'ses', 'mock'
-
-    if (emailService === 'mock') {
-      // Mock email sending
-      const sentCount = campaign.campaignLeads.length;
-      
-      // Update campaign status
-      await prisma.campaign.update({
-        where: { id: campaign.id },
-        data: {
-          status: 'sent',
-          startedAt: new Date(),
-          sentCount: sentCount
-        }
-      });
-
-      // Create email events for tracking
-      for (const campaignLead of campaign.campaignLeads) {
-        await prisma.emailEvent.create({
-          data: {
-            campaignId: campaign.id,
-            leadId: campaignLead.leadId,
-            eventType: 'sent',
-            eventData: { timestamp: new Date().toISOString() }
-          }
-        });
+    const variants = campaign.variants.length > 0 ? campaign.variants : [null];
+    const incomplete = variants.some((variant) => {
+      const content = resolveCampaignContent(campaign, variant);
+      return !content.subject || (!content.htmlContent && !content.textContent);
+    });
+    if (incomplete) {
+      return res.status(400).json({ error: 'Campaign subject and content are required' });
+    }
 
-        await prisma.campaignLead.update({
-          where: { id: campaignLead.id },
-          data: {
-            status: 'sent',
-            sentAt: new Date()
-          }
+    // Refuse to send blank merge fields unless the caller explicitly allows it
+    if (!req.body?.allowEmptyFields) {
+      const sender = await getSender(req.user.id);
+      const issues = validateCampaignMergeFields(
+        campaign,
+        campaign.campaignLeads.map(cl => cl.lead),
+        sender
+      );
+
+      if (issues.length > 0) {
+        return res.status(422).json({
+          error: 'Missing merge field values',
+          message: `${issues.length} recipient(s) would receive empty merge fields. Add fallbacks like {{firstName|there}} or resend with allowEmptyFields: true.`,
+          data: { recipients: issues }
         });
       }
+    }
 
-      res.json({
-        success: true,
-        message: `Campaign sent successfully to ${sentCount} recipients`,
-        data: {
-          campaignId: campaign.id,
-          sentCount,
-          status: 'sent'
-        }
-      });
-    } else {
-      // TODO: Implement actual email service integration
-      res.status(501).json({ error: 'Email service not configured' });
+    // Claim the campaign so a second request (or the scheduler) can't start it twice
+    const claimed = await prisma.campaign.updateMany({
+      where: {
+        id: campaign.id,
+        status: { notIn: ['active', 'testing', 'sent', 'completed'] }
+      },
+      data: {
+        status: 'active',
+        startedAt: campaign.startedAt || new Date()
+      }
+    });
+
+    if (claimed.count === 0) {
+      return res.status(409).json({ error: 'Campaign is already sending' });
     }
+
+    // Deliver in the background within the account's sending limits
+    dispatchCampaign(campaign.id);
+
+    res.status(202).json({
+      success: true,
+      message: `Campaign queued for ${campaign.campaignLeads.length} recipients`,
+      data: {
+        campaignId: campaign.id,
+        totalRecipients: campaign.campaignLeads.length,
+        status: 'active',
+        progressUrl: `/api/v1/campaigns/${campaign.id}/progress`
+      }
+    });
   } catch (error) {
     console.error('Send campaign error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
 
+// Get send progress (poll while a throttled send is in flight)
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const [statusCounts, budget] = await Promise.all([
+      prisma.campaignLead.groupBy({
+        by: ['status'],
+        where: { campaignId: campaign.id },
+        _count: { _all: true }
+      }),
+      getSendBudget({ userId: campaign.userId, fromEmail: campaign.fromEmail })
+    ]);
+
+    const counts = Object.fromEntries(statusCounts.map(row => [row.status, row._count._all]));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const queued = (counts.pending || 0) + (counts.sending || 0) + (counts.held || 0);
+    const notSent = (counts.failed || 0) + (counts.suppressed || 0) + (counts.excluded || 0);
+    const processed = total - queued;
+
+    res.json({
+      success: true,
+      data: {
+        campaignId: campaign.id,
+        status: campaign.status,
+        sendingNow: isSending(campaign.id),
+        total,
+        processed,
+        pending: counts.pending || 0,
+        sending: counts.sending || 0,
+        held: counts.held || 0,
+        failed: counts.failed || 0,
+        suppressed: counts.suppressed || 0,
+        excluded: counts.excluded || 0,
+        sent: processed - notSent,
+        percentComplete: toRate(processed, total),
+        throttle: {
+          remaining: budget.remaining,
+          hourly: budget.hourly,
+          warmup: budget.warmup,
+          domainRemaining: budget.domainRemaining
+        },
+        startedAt: campaign.startedAt,
+        completedAt: campaign.completedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get campaign progress error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Check merge fields against every recipient before sending
+router.get('/:id/merge-check', async (req, res) => {
+  try {
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        template: true,
+        variants: { orderBy: { name: 'asc' } },
+        campaignLeads: {
+          include: {
+            lead: true
+          }
+        }
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const sender = await getSender(req.user.id);
+    const issues = validateCampaignMergeFields(
+      campaign,
+      campaign.campaignLeads.map(cl => cl.lead),
+      sender
+    );
+
+    res.json({
+      success: true,
+      data: {
+        campaignId: campaign.id,
+        fields: extractMergeFields(
+          ...(campaign.variants.length > 0 ? campaign.variants : [null])
+            .flatMap(variant => Object.values(resolveCampaignContent(campaign, variant)))
+        ),
+        totalRecipients: campaign.campaignLeads.length,
+        recipientsWithIssues: issues.length,
+        recipients: issues
+      }
+    });
+  } catch (error) {
+    console.error('Campaign merge check error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Schedule campaign for later delivery
+router.post('/:id/schedule', async (req, res) => {
+  try {
+    const { scheduledAt } = req.body;
+
+    const scheduledDate = scheduledAt ? new Date(scheduledAt) : null;
+    if (!scheduledDate || isNaN(scheduledDate.getTime())) {
+      return res.status(400).json({ error: 'A valid scheduledAt date is required' });
+    }
+
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        _count: { select: { campaignLeads: true } }
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!['draft', 'scheduled', 'paused'].includes(campaign.status)) {
+      return res.status(400).json({ error: `Cannot schedule a campaign with status '${campaign.status}'` });
+    }
+
+    if (campaign._count.campaignLeads === 0) {
+      return res.status(400).json({ error: 'No recipients added to campaign' });
+    }
+
+    const updated = await prisma.campaign.update({
+      where: { id: campaign.id },
+      data: {
+        status: 'scheduled',
+        scheduledAt: scheduledDate
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `Campaign scheduled for ${scheduledDate.toISOString()}`,
+      data: {
+        campaignId: updated.id,
+        status: updated.status,
+        scheduledAt: updated.scheduledAt
+      }
+    });
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Cancel a scheduled campaign (returns it to draft)
+router.delete('/:id/schedule', async (req, res) => {
+  try {
+    const result = await prisma.campaign.updateMany({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        status: 'scheduled'
+      },
+      data: {
+        status: 'draft',
+        scheduledAt: null
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(400).json({ error: 'Campaign not found or not scheduled' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign schedule cancelled',
+      data: {
+        campaignId: req.params.id,
+        status: 'draft'
+      }
+    });
+  } catch (error) {
+    console.error('Cancel campaign schedule error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get A/B variants
+router.get('/:id/variants', async (req, res) => {
+  try {
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        variants: { orderBy: { name: 'asc' } }
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { variants: campaign.variants }
+    });
+  } catch (error) {
+    console.error('Get variants error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Create A/B variant
+router.post('/:id/variants', async (req, res) => {
+  try {
+    const { name, subject, htmlContent, textContent, weight = 50 } = req.body;
+
+    const campaign = await prisma.campaign.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      include: {
+        variants: { select: { name: true } }
+      }
+    });
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      return res.status(400).json({ error: 'Variants can only be changed before the campaign is sent' });
+    }
+
+    if (!subject && !htmlContent && !textContent) {
+      return res.status(400).json({ error: 'Variant needs a subject or content' });
+    }
+
+    if (!Number.isInteger(weight) || weight < 0) {
+      return res.status(400).json({ error: 'weight must be a non-negative integer' });
+    }
+
+    // Default names run A, B, C, ...
+    const variantName = name || String.fromCharCode(65 + campaign.variants.length);
+    if (campaign.variants.some(v => v.name === variantName)) {
+      return res.status(400).json({ error: `Variant ${variantName} already exists` });
+    }
+
+    const variant = await prisma.campaignVariant.create({
+      data: {
+        campaignId: campaign.id,
+        name: variantName,
+        subject,
+        htmlContent,
+        textContent,
+        weight
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant created successfully',
+      data: variant
+    });
+  } catch (error) {
+    console.error('Create variant error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update A/B variant
+router.put('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const { name, subject, htmlContent, textContent, weight } = req.body;
+
+    const variant = await prisma.campaignVariant.findFirst({
+      where: {
+        id: req.params.variantId,
+        campaign: { id: req.params.id, userId: req.user.id }
+      },
+      include: { campaign: { select: { status: true } } }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(variant.campaign.status)) {
+      return res.status(400).json({ error: 'Variants can only be changed before the campaign is sent' });
+    }
+
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 0)) {
+      return res.status(400).json({ error: 'weight must be a non-negative integer' });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (subject !== undefined) updateData.subject = subject;
+    if (htmlContent !== undefined) updateData.htmlContent = htmlContent;
+    if (textContent !== undefined) updateData.textContent = textContent;
+    if (weight !== undefined) updateData.weight = weight;
+
+    const updated = await prisma.campaignVariant.update({
+      where: { id: variant.id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'Variant updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update variant error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete A/B variant
+router.delete('/:id/variants/:variantId', async (req, res) => {
+  try {
+    const variant = await prisma.campaignVariant.findFirst({
+      where: {
+        id: req.params.variantId,
+        campaign: { id: req.params.id, userId: req.user.id }
+      },
+      include: { campaign: { select: { status: true } } }
+    });
+
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(variant.campaign.status)) {
+      return res.status(400).json({ error: 'Variants can only be changed before the campaign is sent' });
+    }
+
+    await prisma.campaignVariant.delete({
+      where: { id: variant.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete variant error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 // Get campaign analytics
 router.get('/:id/analytics', async (req, res) => {
   try {
@@ -397,7 +956,8 @@ router.get('/:id/analytics', async (req, res) => {
             lead: true
           }
         },
-        campaignLeads: true
+        campaignLeads: true,
+        variants: { orderBy: { name: 'asc' } }
       }
     });
 
@@ -411,6 +971,12 @@ router.get('/:id/analytics', async (req, res) => {
     const totalClicks = campaign.clickCount || campaign.emailEvents.filter(e => e.eventType === 'clicked').length;
     const totalReplies = campaign.replyCount || campaign.emailEvents.filter(e => e.eventType === 'replied').length;
     const totalBounces = campaign.bounceCount || campaign.emailEvents.filter(e => e.eventType === 'bounced').length;
+    const totalFailed = campaign.campaignLeads.filter(cl => cl.status === 'failed').length;
+    const totalSuppressed = campaign.campaignLeads.filter(cl => cl.status === 'suppressed').length;
+    const totalExcluded = campaign.campaignLeads.filter(cl => cl.status === 'excluded').length;
+    const totalUnsubscribes = campaign.campaignLeads.filter(cl => cl.status === 'unsubscribed').length;
+    const totalOpenEvents = campaign.emailEvents.filter(e => e.eventType === 'opened').length;
+    const totalClickEvents = campaign.emailEvents.filter(e => e.eventType === 'clicked').length;
 
     const openRate = totalSent > 0 ? (totalOpens / totalSent) * 100 : 0;
     const clickRate = totalSent > 0 ? (totalClicks / totalSent) * 100 : 0;
@@ -427,13 +993,42 @@ router.get('/:id/analytics', async (req, res) => {
         totalClicks,
         totalReplies,
         totalBounces,
+        totalFailed,
+        totalSuppressed,
+        totalExcluded,
+        totalUnsubscribes,
+        totalOpenEvents,
+        totalClickEvents,
         openRate: Math.round(openRate * 100) / 100,
         clickRate: Math.round(clickRate * 100) / 100,
         replyRate: Math.round(replyRate * 100) / 100,
         bounceRate: Math.round(bounceRate * 100) / 100,
         status: campaign.status,
         startedAt: campaign.startedAt,
-        completedAt: campaign.completedAt
+        completedAt: campaign.completedAt,
+        variants: campaign.variants.map(variant => ({
+          id: variant.id,
+          name: variant.name,
+          subject: variant.subject,
+          weight: variant.weight,
+          recipients: campaign.campaignLeads.filter(cl => cl.variantId === variant.id).length,
+          totalSent: variant.sentCount,
+          totalOpens: variant.openCount,
+          totalClicks: variant.clickCount,
+          totalReplies: variant.replyCount,
+          openRate: toRate(variant.openCount, variant.sentCount),
+          clickRate: toRate(variant.clickCount, variant.sentCount),
+          replyRate: toRate(variant.replyCount, variant.sentCount),
+          isWinner: campaign.abWinnerVariantId === variant.id
+        })),
+        abTest: campaign.variants.length > 0 ? {
+          testPercent: campaign.abTestPercent,
+          winnerMetric: campaign.abWinnerMetric,
+          winnerWaitHours: campaign.abWinnerWaitHours,
+          testEndsAt: campaign.abTestEndsAt,
+          winnerVariantId: campaign.abWinnerVariantId,
+          heldRecipients: campaign.campaignLeads.filter(cl => cl.status === 'held').length
+        } : null
       }
     });
   } catch (error) {
@@ -2,6 +2,12 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate, requireFeature } = require('../middleware/auth');
+const {
+  buildMergeContext,
+  renderMergeFields,
+  extractMergeFields,
+  findMissingFields,
+} = require('../services/mergeFieldService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -100,15 +106,11 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Extract variables from content (simple extraction for now)
-    const extractedVariables = variables || [];
-    const variableRegex = /\{\{(\w+)\}\}/g;
-    let match;
-    const foundVariables = new Set(extractedVariables);
-    const fullContent = (htmlContent || content);
-    while ((match = variableRegex.exec(fullContent)) !== null) {
-      foundVariables.add(match[1]);
-    }
+    // Extract variables from subject and content
+    const foundVariables = new Set([
+      ...(variables || []),
+      ...extractMergeFields(subject, content, htmlContent),
+    ]);
 
     const response = await prisma.cannedResponse.create({
       data: {
@@ -161,14 +163,15 @@ router.put('/:id', async (req, res) => {
 
     // Extract variables if content changed
     let extractedVariables = variables || existing.variables;
-    if (content || htmlContent) {
-      const foundVariables = new Set(extractedVariables);
-      const variableRegex = /\{\{(\w+)\}\}/g;
-      let match;
-      const fullContent = (htmlContent || content || existing.content || existing.htmlContent || '');
-      while ((match = variableRegex.exec(fullContent)) !== null) {
-        foundVariables.add(match[1]);
-      }
+    if (content || htmlContent || subject) {
+      const foundVariables = new Set([
+        ...extractedVariables,
+        ...extractMergeFields(
+          subject ?? existing.subject,
+          content ?? existing.content,
+          htmlContent ?? existing.htmlContent
+        ),
+      ]);
       extractedVariables = Array.from(foundVariables);
     }
 
@@ -180,7 +183,7 @@ router.put('/:id', async (req, res) => {
     if (category !== undefined) updateData.category = category?.trim();
     if (tags !== undefined) updateData.tags = tags;
     if (channels !== undefined) updateData.channels = channels;
-    if (variables !== undefined) updateData.variables = extractedVariables;
+    if (variables !== undefined || content || htmlContent || subject) updateData.variables = extractedVariables;
 
     const response = await prisma.cannedResponse.update({
       where: { id },
@@ -238,10 +241,13 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Use canned response (increment use count)
+// Use canned response (render merge fields and increment use count)
+// Body: { leadId?, conversationId?, variables? } - the recipient is the lead, or the
+// lead matching the conversation's contact email/phone.
 router.post('/:id/use', async (req, res) => {
   try {
     const { id } = req.params;
+    const { leadId, conversationId, variables = {} } = req.body || {};
     const userId = req.user.id;
 
     const response = await prisma.cannedResponse.findFirst({
@@ -258,6 +264,57 @@ router.post('/:id/use', async (req, res) => {
       });
     }
 
+    let recipient = null;
+    if (leadId) {
+      recipient = await prisma.lead.findFirst({
+        where: { id: leadId, userId },
+      });
+
+      if (!recipient) {
+        return res.status(404).json({
+          success: false,
+          error: 'Lead not found',
+        });
+      }
+    } else if (conversationId) {
+      const conversation = await prisma.conversation.findFirst({
+        where: { id: conversationId, userId },
+      });
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found',
+        });
+      }
+
+      const contactMatches = [
+        conversation.contactEmail && { email: conversation.contactEmail },
+        conversation.contactPhone && { phone: conversation.contactPhone },
+      ].filter(Boolean);
+
+      recipient = contactMatches.length > 0
+        ? await prisma.lead.findFirst({ where: { userId, OR: contactMatches } })
+        : null;
+
+      // Fall back to what the conversation itself knows about the contact
+      if (!recipient) {
+        recipient = {
+          name: conversation.contactName,
+          email: conversation.contactEmail,
+          phone: conversation.contactPhone,
+        };
+      }
+    }
+
+    const sender = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, name: true, company: true },
+    });
+
+    const context = buildMergeContext(recipient, sender, variables);
+    const texts = [response.subject, response.content, response.htmlContent];
+
     const updated = await prisma.cannedResponse.update({
       where: { id },
       data: {
@@ -267,7 +324,15 @@ router.post('/:id/use', async (req, res) => {
 
     res.json({
       success: true,
-      data: { response: updated },
+      data: {
+        response: updated,
+        rendered: {
+          subject: renderMergeFields(response.subject, context),
+          content: renderMergeFields(response.content, context),
+          htmlContent: renderMergeFields(response.htmlContent, context, { html: true }),
+        },
+        missingFields: findMissingFields(texts, context),
+      },
     });
   } catch (error) {
     console.error('Use canned response error:', error);
@@ -244,6 +244,7 @@ router.post('/:id/messages', async (req, res) => {
       // Send via channel service
       const sendResult = await channelService.sendMessage({
         channel: conversation.channel,
+        userId: req.user.id,
         to: conversation.channel === 'email' ? conversation.contactEmail : conversation.contactPhone,
         content: content.trim(),
         htmlContent,
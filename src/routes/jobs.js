@@ -0,0 +1,66 @@
+// Background Job Routes
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { formatJob, failStaleJobs } = require('../services/jobService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get recent jobs
+router.get('/', async (req, res) => {
+  try {
+    const { type, status, limit = 20 } = req.query;
+
+    await failStaleJobs({ userId: req.user.id });
+
+    const where = { userId: req.user.id };
+    if (type) where.type = type;
+    if (status) where.status = status;
+
+    const jobs = await prisma.backgroundJob.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(limit) || 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data: { jobs: jobs.map(formatJob) }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get job status and progress
+router.get('/:id', async (req, res) => {
+  try {
+    await failStaleJobs({ id: req.params.id, userId: req.user.id });
+
+    const job = await prisma.backgroundJob.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
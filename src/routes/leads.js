@@ -1,18 +1,78 @@
 // Leads Routes
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
-const { authenticate, checkLeadLimit } = require('../middleware/auth');
+const { authenticate, checkLeadLimit, TIER_LIMITS } = require('../middleware/auth');
+const {
+  validateMapping,
+  toLeadRecord,
+  normalizeLeadInput,
+  findExistingLeads,
+  prepareImport,
+  upsertLeads,
+  importRows,
+  buildImportJobResult,
+  LEAD_FIELDS,
+  IMPORT_STRATEGIES
+} = require('../services/leadImportService');
+const { createJob, runJob, setJobTotal } = require('../services/jobService');
+const { scoreLead, recomputeLeadScore, recomputeInBackground } = require('../services/leadScoringService');
+const { getSegmentWhere } = require('../services/segmentService');
+const {
+  findDuplicateCandidates,
+  mergeLeads,
+  undoMerge,
+  DEFAULT_MIN_SCORE
+} = require('../services/leadMergeService');
+const { recordLeadChanges, getLeadTimeline, TIMELINE_TYPES } = require('../services/leadTimelineService');
+const {
+  validateBulkAction,
+  resolveBulkTarget,
+  getTargetCampaign,
+  runBulkAction
+} = require('../services/leadBulkService');
+const { streamExport, parseColumnsParam } = require('../services/exportService');
+const { enrichLead, enrichInBackground } = require('../services/enrichment');
+const { verifyLead, verifyInBackground, EMAIL_VERDICTS } = require('../services/emailVerificationService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Uploads larger than this run as a background job
+const SYNC_IMPORT_MAX_BYTES = (parseInt(process.env.LEAD_IMPORT_SYNC_MAX_KB) || 100) * 1024;
+
+// Bulk actions on more leads than this run as a background job
+const SYNC_BULK_ACTION_MAX_LEADS = parseInt(process.env.LEAD_BULK_ACTION_SYNC_MAX_LEADS) || 500;
+
+// CSV/XLSX uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.LEAD_IMPORT_MAX_FILE_MB) || 10) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only .csv and .xlsx files are supported'));
+  }
+});
+
+// Single-file upload that reports multer errors as 400s
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'Invalid upload', message: err.message });
+    }
+    next();
+  });
+};
+
 // All routes require authentication
 router.use(authenticate);
 
 // Get all leads
 router.get('/', async (req, res) => {
   try {
-    const { status, source, search, limit = 100, offset = 0 } = req.query;
+    const { status, source, search, segmentId, limit = 100, offset = 0 } = req.query;
 
     const where = { userId: req.user.id };
     
@@ -25,6 +85,13 @@ router.get('/', async (req, res) => {
         { company: { contains: search, mode: 'insensitive' } }
       ];
     }
+    if (segmentId) {
+      const segmentWhere = await getSegmentWhere(req.user.id, segmentId);
+      if (!segmentWhere) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      where.AND = [segmentWhere];
+    }
 
     const [leads, total] = await Promise.all([
       prisma.lead.findMany({
@@ -69,11 +136,121 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.code === 'INVALID_SEGMENT_FILTER') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Get leads error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
 
+// HTTP status for lead merge errors
+const MERGE_ERROR_STATUS = {
+  LEAD_NOT_FOUND: 404,
+  MERGE_INVALID: 400,
+  MERGE_CONFLICT: 409
+};
+
+// Find likely duplicate leads (fuzzy name, phone, company and LinkedIn URL)
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { minScore = DEFAULT_MIN_SCORE, leadId, limit = 50 } = req.query;
+
+    const pairs = await findDuplicateCandidates(req.user.id, {
+      minScore: Math.min(Math.max(parseInt(minScore) || 0, 0), 100),
+      leadId,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: { pairs, total: pairs.length }
+    });
+  } catch (error) {
+    console.error('Find duplicate leads error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get merge history
+router.get('/merges', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const merges = await prisma.leadMerge.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      take: parseInt(limit),
+      skip: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: { merges }
+    });
+  } catch (error) {
+    console.error('Get lead merges error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Merge two leads; the merged lead's campaign history moves to the survivor
+// prefer: optional { field: 'survivor' | 'merged' } overrides for conflicting fields
+router.post('/merge', async (req, res) => {
+  try {
+    const { survivorId, mergedId, prefer = {} } = req.body;
+
+    const { merge, survivor } = await mergeLeads(req.user.id, survivorId, mergedId, prefer);
+
+    recomputeInBackground(recomputeLeadScore(survivor.id), `lead ${survivor.id}`);
+
+    res.json({
+      success: true,
+      message: 'Leads merged successfully',
+      data: {
+        mergeId: merge.id,
+        lead: survivor,
+        movedRecipients: merge.movedCampaignLeadIds.length,
+        movedEvents: merge.movedEmailEventIds.length,
+        droppedRecipients: merge.droppedRecipients.length
+      }
+    });
+  } catch (error) {
+    if (MERGE_ERROR_STATUS[error.code]) {
+      return res.status(MERGE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Merge leads error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Undo a merge (restores the deleted lead and its campaign history)
+router.post('/merges/:id/undo', async (req, res) => {
+  try {
+    const { merge, restoredLead, conflicts } = await undoMerge(req.user.id, req.params.id);
+
+    recomputeInBackground(recomputeLeadScore(merge.survivorId), `lead ${merge.survivorId}`);
+    recomputeInBackground(recomputeLeadScore(restoredLead.id), `lead ${restoredLead.id}`);
+
+    res.json({
+      success: true,
+      message: 'Merge undone successfully',
+      data: {
+        merge,
+        restoredLead,
+        // Survivor fields edited after the merge keep their current values
+        conflicts
+      }
+    });
+  } catch (error) {
+    if (MERGE_ERROR_STATUS[error.code]) {
+      return res.status(MERGE_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Undo lead merge error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 // Get single lead
 router.get('/:id', async (req, res) => {
   try {
@@ -102,6 +279,145 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get score breakdown (which scoring rules matched and for how many points)
+router.get('/:id/score', async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const { score, rawScore, breakdown, rulesApplied } = await scoreLead(lead);
+
+    res.json({
+      success: true,
+      data: {
+        leadId: lead.id,
+        // Without active rules the stored score is the manually entered one
+        score: rulesApplied > 0 ? score : lead.score,
+        storedScore: lead.score,
+        rawScore,
+        rulesApplied,
+        breakdown
+      }
+    });
+  } catch (error) {
+    console.error('Get lead score error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get activity timeline: field changes, campaign events, messages and notes, newest first
+// types: optional comma-separated subset of field_change, campaign_event, message, note
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, types } = req.query;
+
+    const requestedTypes = types ? String(types).split(',').map(type => type.trim()) : TIMELINE_TYPES;
+    const unknownTypes = requestedTypes.filter(type => !TIMELINE_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({ error: `types must be any of: ${TIMELINE_TYPES.join(', ')}` });
+    }
+
+    const lead = await prisma.lead.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const { items, total } = await getLeadTimeline(lead, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+      types: requestedTypes
+    });
+
+    res.json({
+      success: true,
+      data: {
+        items,
+        total,
+        limit: Math.min(parseInt(limit) || 50, 200),
+        offset: parseInt(offset) || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get lead timeline error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Re-run enrichment for a lead; only empty fields are filled
+router.post('/:id/enrich', async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      select: { id: true }
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const result = await enrichLead(lead.id);
+
+    res.json({
+      success: true,
+      message: result.changed.length > 0
+        ? `Enriched ${result.changed.join(', ')}`
+        : 'No new details found',
+      data: result
+    });
+  } catch (error) {
+    console.error('Enrich lead error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Verify a lead's email address (syntax, disposable/role address, MX records)
+router.post('/:id/verify-email', async (req, res) => {
+  try {
+    const lead = await prisma.lead.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      },
+      select: { id: true }
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const { lead: updatedLead, verification } = await verifyLead(lead.id);
+
+    res.json({
+      success: true,
+      data: {
+        leadId: updatedLead.id,
+        ...verification,
+        verifiedAt: updatedLead.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    console.error('Verify lead email error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
 // Create lead
 router.post('/', checkLeadLimit, async (req, res) => {
   try {
@@ -163,11 +479,19 @@ router.post('/', checkLeadLimit, async (req, res) => {
       }
     });
 
+    // Scoring rules replace the manual score when the account has any
+    const scoring = await recomputeLeadScore(lead.id);
+
+    // Enrichment fills empty fields afterwards and rescores
+    enrichInBackground('lead', lead.id);
+    verifyInBackground(lead.id);
+
     res.status(201).json({
       success: true,
       message: 'Lead created successfully',
       data: {
         ...lead,
+        ...(scoring && { score: scoring.score }),
         firstName: lead.name?.split(' ')[0] || '',
         lastName: lead.name?.split(' ').slice(1).join(' ') || ''
       }
@@ -178,95 +502,286 @@ router.post('/', checkLeadLimit, async (req, res) => {
   }
 });
 
-// Bulk create leads (for CSV import)
-router.post('/bulk', checkLeadLimit, async (req, res) => {
+// Bulk create or update leads (for CSV import)
+// strategy decides what happens to rows whose email already exists: skip, overwrite, fill_empty, merge
+router.post('/bulk', async (req, res) => {
   try {
-    const { leads } = req.body;
+    const { leads, strategy = 'skip' } = req.body;
 
     if (!Array.isArray(leads) || leads.length === 0) {
       return res.status(400).json({ error: 'Leads array is required' });
     }
 
-    // Check lead limit
+    if (!(strategy in IMPORT_STRATEGIES)) {
+      return res.status(400).json({
+        error: `strategy must be one of: ${Object.keys(IMPORT_STRATEGIES).join(', ')}`
+      });
+    }
+
+    const rows = leads.map((leadData, index) => ({
+      row: index + 1,
+      data: normalizeLeadInput(leadData)
+    }));
+
+    // Only new leads count against the tier limit, so updates still work at the limit
+    const existing = await findExistingLeads(req.user.id, rows.map(({ data }) => data), { email: true });
+    const newEmails = new Set(
+      rows.map(({ data }) => data.email).filter(email => email && !existing.has(email))
+    );
+
     const currentCount = await prisma.lead.count({
       where: { userId: req.user.id }
     });
-
-    const limit = req.leadLimit;
-    if (currentCount + leads.length > limit) {
+    const limit = TIER_LIMITS[req.user.tier].leads;
+    if (currentCount + newEmails.size > limit) {
       return res.status(403).json({
         error: 'Lead limit exceeded',
-        message: `Cannot import ${leads.length} leads. You have ${limit - currentCount} slots remaining.`,
+        message: `Cannot import ${newEmails.size} new leads. You have ${limit - currentCount} slots remaining.`,
         currentCount,
         limit,
-        requested: leads.length
+        requested: newEmails.size
       });
     }
 
-    const createdLeads = [];
-    const errors = [];
+    const result = await upsertLeads(req.user.id, rows, { strategy });
+    const errors = result.rows
+      .filter(row => row.action === 'failed' || row.action === 'skipped')
+      .map(row => ({ row: row.row, email: row.email, error: row.error }));
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.created} leads, updated ${result.updated}`,
+      data: {
+        strategy,
+        created: result.created,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        skipped: result.skipped,
+        failed: result.failed,
+        rows: result.rows,
+        leads: result.leads,
+        errors: errors.length > 0 ? errors : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Bulk create leads error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// HTTP status for bulk action errors
+const BULK_ERROR_STATUS = {
+  BULK_NOT_FOUND: 404,
+  BULK_INVALID: 400,
+  INVALID_SEGMENT_FILTER: 400
+};
+
+// Apply one action to many leads
+// Target with leadIds, segmentId or filter (segment filter language)
+// action: add_tags, remove_tags, set_status, set_custom_field, delete, add_to_campaign, enrich, verify_email
+router.post('/bulk-actions', async (req, res) => {
+  try {
+    const { action, params = {}, leadIds, segmentId, filter } = req.body;
+
+    const validationError = validateBulkAction(action, params);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Fail fast instead of inside a background job
+    if (action === 'add_to_campaign') {
+      await getTargetCampaign(req.user.id, params.campaignId);
+    }
+
+    const targetIds = await resolveBulkTarget(req.user.id, { leadIds, segmentId, filter });
+
+    if (targetIds.length === 0) {
+      return res.status(400).json({ error: 'No leads match the selection' });
+    }
 
-    for (const leadData of leads) {
+    if (targetIds.length <= SYNC_BULK_ACTION_MAX_LEADS) {
+      const result = await runBulkAction(req.user.id, action, params, targetIds);
+
+      return res.json({
+        success: true,
+        message: `Bulk ${action} applied to ${result.matched} leads`,
+        data: result
+      });
+    }
+
+    // Large selections run in the background; poll GET /api/v1/jobs/:id
+    const job = await createJob({
+      userId: req.user.id,
+      type: 'lead_bulk_action',
+      total: targetIds.length,
+      input: { action, params, segmentId, filter }
+    });
+
+    runJob(job.id, (reportProgress) => runBulkAction(req.user.id, action, params, targetIds, {
+      onProgress: reportProgress
+    }));
+
+    res.status(202).json({
+      success: true,
+      message: `Applying ${action} to ${targetIds.length} leads in the background`,
+      data: {
+        jobId: job.id,
+        statusUrl: `/api/v1/jobs/${job.id}`
+      }
+    });
+  } catch (error) {
+    if (BULK_ERROR_STATUS[error.code]) {
+      return res.status(BULK_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Bulk lead action error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// HTTP status for import errors
+const IMPORT_ERROR_STATUS = {
+  IMPORT_UNREADABLE: 400,
+  IMPORT_EMPTY: 400,
+  IMPORT_INVALID_MAPPING: 400
+};
+
+// Import leads from a CSV/XLSX upload
+// multipart/form-data: file, mapping (JSON, optional - suggested when omitted), dryRun, source, strategy
+// excludeEmailVerdicts (e.g. "risky,invalid") leaves out rows that fail email verification;
+// without it addresses are verified in the background after the import
+router.post('/import', uploadFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A .csv or .xlsx file is required' });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const source = req.body.source || 'import';
+    const strategy = req.body.strategy || 'skip';
+
+    if (!(strategy in IMPORT_STRATEGIES)) {
+      return res.status(400).json({
+        error: `strategy must be one of: ${Object.keys(IMPORT_STRATEGIES).join(', ')}`
+      });
+    }
+
+    // Multipart forms send lists as comma-separated text
+    const excludeEmailVerdicts = typeof req.body.excludeEmailVerdicts === 'string'
+      ? req.body.excludeEmailVerdicts.split(',').map(verdict => verdict.trim()).filter(Boolean)
+      : req.body.excludeEmailVerdicts || [];
+
+    if (!Array.isArray(excludeEmailVerdicts) || !excludeEmailVerdicts.every(verdict => EMAIL_VERDICTS.includes(verdict))) {
+      return res.status(400).json({ error: `excludeEmailVerdicts must be a list of: ${EMAIL_VERDICTS.join(', ')}` });
+    }
+
+    let mapping = null;
+    if (req.body.mapping) {
       try {
-        if (!leadData.email) {
-          errors.push({ lead: leadData, error: 'Email is required' });
-          continue;
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (parseError) {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+    }
+
+    // An explicit mapping can be checked before the file is read
+    const mappingError = mapping && validateMapping(mapping);
+    if (mappingError && !dryRun) {
+      return res.status(400).json({ error: mappingError, data: { fields: Object.keys(LEAD_FIELDS) } });
+    }
+
+    const userId = req.user.id;
+    const file = {
+      buffer: req.file.buffer,
+      originalname: req.file.originalname,
+      mimetype: req.file.mimetype
+    };
+    const options = {
+      mapping,
+      dryRun,
+      strategy,
+      excludeEmailVerdicts,
+      limit: TIER_LIMITS[req.user.tier].leads
+    };
+
+    // Large files are parsed, analyzed and imported in the background; poll GET /api/v1/jobs/:id
+    if (!dryRun && req.file.size > SYNC_IMPORT_MAX_BYTES) {
+      const job = await createJob({
+        userId,
+        type: 'lead_import',
+        input: {
+          filename: req.file.originalname,
+          mapping,
+          source,
+          strategy,
+          excludeEmailVerdicts
         }
+      });
+
+      runJob(job.id, async (reportProgress) => {
+        const { importable, report } = await prepareImport(userId, file, options);
+        await setJobTotal(job.id, importable.length);
 
-        // Check if lead exists
-        const existing = await prisma.lead.findUnique({
-          where: {
-            userId_email: {
-              userId: req.user.id,
-              email: leadData.email
-            }
-          }
+        const result = await importRows(userId, importable, {
+          source,
+          strategy,
+          onProgress: reportProgress
         });
+        return buildImportJobResult(result, report);
+      });
 
-        if (existing) {
-          errors.push({ lead: leadData, error: 'Lead already exists' });
-          continue;
+      return res.status(202).json({
+        success: true,
+        message: `Importing ${req.file.originalname} in the background`,
+        data: {
+          jobId: job.id,
+          statusUrl: `/api/v1/jobs/${job.id}`
         }
+      });
+    }
 
-        const name = leadData.name || (leadData.firstName && leadData.lastName ? `${leadData.firstName} ${leadData.lastName}` : leadData.firstName || leadData.lastName || null);
-
-        const lead = await prisma.lead.create({
-          data: {
-            userId: req.user.id,
-            email: leadData.email,
-            name,
-            company: leadData.company,
-            phone: leadData.phone,
-            title: leadData.title,
-            website: leadData.website,
-            linkedinUrl: leadData.linkedinUrl,
-            source: leadData.source || 'import',
-            status: leadData.status || 'new',
-            score: parseInt(leadData.score) || 0,
-            notes: leadData.notes,
-            tags: Array.isArray(leadData.tags) ? leadData.tags : [],
-            customFields: leadData.customFields || {}
-          }
-        });
+    const prepared = await prepareImport(userId, file, options);
+    const { importable, report } = prepared;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          headers: prepared.headers,
+          suggestedMapping: prepared.suggestedMapping,
+          mapping: prepared.mapping,
+          mappingError: prepared.mappingError || undefined,
+          fields: Object.keys(LEAD_FIELDS),
+          strategies: IMPORT_STRATEGIES,
+          preview: prepared.mappedRows.slice(0, 5).map(data => {
+            const { userId: ownerId, ...lead } = toLeadRecord(userId, data, source);
+            return lead;
+          }),
+          report
+        }
+      });
+    }
 
-        createdLeads.push(lead);
-      } catch (error) {
-        errors.push({ lead: leadData, error: error.message });
-      }
+    if (importable.length === 0) {
+      return res.status(400).json({
+        error: 'No rows to import',
+        data: { report }
+      });
     }
 
+    // Small files import inline
+    const result = await importRows(userId, importable, { source, strategy });
+
     res.status(201).json({
       success: true,
-      message: `Imported ${createdLeads.length} leads`,
-      data: {
-        created: createdLeads.length,
-        failed: errors.length,
-        leads: createdLeads,
-        errors: errors.length > 0 ? errors : undefined
-      }
+      message: `Imported ${result.created} leads, updated ${result.updated}`,
+      data: { ...result, report }
     });
   } catch (error) {
-    console.error('Bulk create leads error:', error);
+    if (IMPORT_ERROR_STATUS[error.code]) {
+      return res.status(IMPORT_ERROR_STATUS[error.code]).json({ error: error.message, data: error.data });
+    }
+    console.error('Import leads error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
@@ -305,6 +820,13 @@ router.put('/:id', async (req, res) => {
 
     const updateData = {};
     if (email !== undefined) updateData.email = email;
+    // A new address needs a new verdict
+    const emailChanged = email !== undefined && email !== lead.email;
+    if (emailChanged) {
+      updateData.emailVerdict = null;
+      updateData.emailVerdictReasons = [];
+      updateData.emailVerifiedAt = null;
+    }
     if (name !== undefined) {
       updateData.name = name;
     } else if (firstName !== undefined || lastName !== undefined) {
@@ -334,11 +856,20 @@ router.put('/:id', async (req, res) => {
       data: updateData
     });
 
+    await recordLeadChanges(lead, updatedLead, { userId: req.user.id, source: 'user' });
+
+    if (emailChanged) {
+      verifyInBackground(updatedLead.id);
+    }
+
+    const scoring = await recomputeLeadScore(updatedLead.id);
+
     res.json({
       success: true,
       message: 'Lead updated successfully',
       data: {
         ...updatedLead,
+        ...(scoring && { score: scoring.score }),
         firstName: updatedLead.name?.split(' ')[0] || '',
         lastName: updatedLead.name?.split(' ').slice(1).join(' ') || ''
       }
@@ -377,44 +908,39 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Export leads as CSV
-router.get('/export/csv', async (req, res) => {
+// Export leads as CSV, JSON or XLSX (streamed)
+// columns: optional comma-separated keys, customFields.<key>, customFields.* or all
+router.get('/export/:format', async (req, res) => {
   try {
-    const { status, source } = req.query;
+    const { status, source, segmentId, columns } = req.query;
 
     const where = { userId: req.user.id };
     if (status) where.status = status;
     if (source) where.source = source;
 
-    const leads = await prisma.lead.findMany({
-      where,
-      orderBy: { createdAt: 'desc' }
-    });
-
-    // Generate CSV
-    const headers = ['Email', 'Name', 'Company', 'Phone', 'Title', 'Website', 'Source', 'Status', 'Score', 'Created At'];
-    const rows = leads.map(lead => [
-      lead.email,
-      lead.name || '',
-      lead.company || '',
-      lead.phone || '',
-      lead.title || '',
-      lead.website || '',
-      lead.source || '',
-      lead.status,
-      lead.score || 0,
-      lead.createdAt.toISOString()
-    ]);
-
-    const csv = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-    ].join('\n');
+    // Restrict the export to a saved segment's audience
+    if (segmentId) {
+      const segmentWhere = await getSegmentWhere(req.user.id, segmentId);
+      if (!segmentWhere) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+      where.AND = [segmentWhere];
+    }
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=leads-export-${new Date().toISOString().split('T')[0]}.csv`);
-    res.send(csv);
+    await streamExport(res, {
+      entity: 'leads',
+      format: req.params.format,
+      columns: parseColumnsParam(columns),
+      where
+    });
   } catch (error) {
+    if (res.headersSent) {
+      console.error('Export leads stream error:', error);
+      return res.end();
+    }
+    if (error.code === 'INVALID_SEGMENT_FILTER' || error.code === 'INVALID_EXPORT') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Export leads error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
@@ -0,0 +1,188 @@
+// Lead Scoring Rule Routes
+// Account-defined rules that compute Lead.score and Contact.leadScore
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const { validateRule, recomputeAllScores } = require('../services/leadScoringService');
+const { createJob, runJob, formatJob } = require('../services/jobService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Fields a client may set on a rule
+const RULE_FIELDS = [
+  'name', 'type', 'appliesTo', 'points', 'isActive',
+  'field', 'operator', 'value',
+  'eventType', 'maxOccurrences', 'withinDays'
+];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((data, key) => {
+  if (body[key] !== undefined) data[key] = body[key];
+  return data;
+}, {});
+
+// Queue a rescore of every lead and contact after rules change
+async function queueRecompute(userId) {
+  const [leads, contacts] = await Promise.all([
+    prisma.lead.count({ where: { userId } }),
+    prisma.contact.count({ where: { userId } })
+  ]);
+
+  const job = await createJob({
+    userId,
+    type: 'lead_score_recompute',
+    total: leads + contacts
+  });
+
+  runJob(job.id, (reportProgress) => recomputeAllScores(userId, reportProgress));
+
+  return job;
+}
+
+// Get all scoring rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await prisma.leadScoringRule.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get scoring rules error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Create scoring rule
+router.post('/', async (req, res) => {
+  try {
+    const data = pickRuleFields(req.body);
+
+    const validationError = validateRule(data);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await prisma.leadScoringRule.create({
+      data: {
+        userId: req.user.id,
+        ...data
+      }
+    });
+
+    const job = await queueRecompute(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Scoring rule created successfully',
+      data: {
+        rule,
+        recomputeJob: formatJob(job)
+      }
+    });
+  } catch (error) {
+    console.error('Create scoring rule error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update scoring rule
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await prisma.leadScoringRule.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+
+    const updateData = pickRuleFields(req.body);
+
+    const validationError = validateRule({ ...existing, ...updateData });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const rule = await prisma.leadScoringRule.update({
+      where: { id: existing.id },
+      data: updateData
+    });
+
+    const job = await queueRecompute(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Scoring rule updated successfully',
+      data: {
+        rule,
+        recomputeJob: formatJob(job)
+      }
+    });
+  } catch (error) {
+    console.error('Update scoring rule error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete scoring rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await prisma.leadScoringRule.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+
+    await prisma.leadScoringRule.delete({
+      where: { id: existing.id }
+    });
+
+    const job = await queueRecompute(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Scoring rule deleted successfully',
+      data: { recomputeJob: formatJob(job) }
+    });
+  } catch (error) {
+    console.error('Delete scoring rule error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Recompute every lead and contact score (background job)
+router.post('/recompute', async (req, res) => {
+  try {
+    const job = await queueRecompute(req.user.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Score recompute started',
+      data: {
+        job: formatJob(job),
+        statusUrl: `/api/v1/jobs/${job.id}`
+      }
+    });
+  } catch (error) {
+    console.error('Recompute scores error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
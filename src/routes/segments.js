@@ -0,0 +1,285 @@
+// Lead Segment Routes
+// Saved lead audiences built from composable filters
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+  LEAD_COLUMNS,
+  OPERATORS,
+  CAMPAIGN_EVENTS,
+  buildSegmentWhere
+} = require('../services/segmentService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const PREVIEW_SIZE = 10;
+
+const isFilterError = (error) => error.code === 'INVALID_SEGMENT_FILTER';
+
+// Get filterable fields and their operators
+router.get('/fields', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      columns: Object.entries(LEAD_COLUMNS).map(([field, { type }]) => ({
+        field,
+        type,
+        operators: OPERATORS[type]
+      })),
+      tags: { field: 'tags', operators: OPERATORS.tags },
+      customFields: { field: 'customFields.<key>', operators: OPERATORS.customField },
+      campaign: {
+        field: 'campaign',
+        operators: OPERATORS.campaign,
+        events: Object.keys(CAMPAIGN_EVENTS)
+      }
+    }
+  });
+});
+
+// Get all segments with their current lead counts
+router.get('/', async (req, res) => {
+  try {
+    const segments = await prisma.leadSegment.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const leadCounts = await Promise.all(segments.map(segment =>
+      prisma.lead.count({ where: buildSegmentWhere(req.user.id, segment.filter) })
+        .catch(() => null) // A filter that no longer compiles shouldn't break the list
+    ));
+
+    res.json({
+      success: true,
+      data: {
+        segments: segments.map((segment, index) => ({
+          ...segment,
+          leadCount: leadCounts[index]
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get segments error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Preview a filter without saving it
+router.post('/preview', async (req, res) => {
+  try {
+    const where = buildSegmentWhere(req.user.id, req.body.filter);
+
+    const [leads, total] = await Promise.all([
+      prisma.lead.findMany({
+        where,
+        take: PREVIEW_SIZE,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.lead.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: { leads, total }
+    });
+  } catch (error) {
+    if (isFilterError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Preview segment error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get single segment
+router.get('/:id', async (req, res) => {
+  try {
+    const segment = await prisma.leadSegment.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const leadCount = await prisma.lead.count({
+      where: buildSegmentWhere(req.user.id, segment.filter)
+    });
+
+    res.json({
+      success: true,
+      data: { ...segment, leadCount }
+    });
+  } catch (error) {
+    if (isFilterError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get segment error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get the leads currently in a segment
+router.get('/:id/leads', async (req, res) => {
+  try {
+    const { limit = 100, offset = 0 } = req.query;
+
+    const segment = await prisma.leadSegment.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const where = buildSegmentWhere(req.user.id, segment.filter);
+
+    const [leads, total] = await Promise.all([
+      prisma.lead.findMany({
+        where,
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.lead.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        leads,
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    if (isFilterError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Get segment leads error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Create segment
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, filter } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Segment name is required' });
+    }
+
+    // Compiling validates the filter before it's stored
+    const leadCount = await prisma.lead.count({
+      where: buildSegmentWhere(req.user.id, filter)
+    });
+
+    const segment = await prisma.leadSegment.create({
+      data: {
+        userId: req.user.id,
+        name,
+        description,
+        filter
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Segment created successfully',
+      data: { ...segment, leadCount }
+    });
+  } catch (error) {
+    if (isFilterError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create segment error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update segment
+router.put('/:id', async (req, res) => {
+  try {
+    const segment = await prisma.leadSegment.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const { name, description, filter } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (filter !== undefined) updateData.filter = filter;
+
+    const leadCount = await prisma.lead.count({
+      where: buildSegmentWhere(req.user.id, updateData.filter || segment.filter)
+    });
+
+    const updatedSegment = await prisma.leadSegment.update({
+      where: { id: segment.id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'Segment updated successfully',
+      data: { ...updatedSegment, leadCount }
+    });
+  } catch (error) {
+    if (isFilterError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update segment error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete segment
+router.delete('/:id', async (req, res) => {
+  try {
+    const segment = await prisma.leadSegment.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!segment) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    await prisma.leadSegment.delete({
+      where: { id: segment.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Segment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+// Sending Settings Routes
+// Per-account send throttling and sending-domain warm-up
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+  getSendingSettings,
+  getSendBudget,
+  getWarmupCap,
+  normalizeDomainLimits,
+  DEFAULT_WARMUP_SCHEDULE
+} = require('../services/sendThrottleService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Validate a warm-up schedule (array of positive daily caps)
+const isValidSchedule = (schedule) => schedule === null ||
+  (Array.isArray(schedule) && schedule.length > 0 && schedule.every(isPositiveInteger));
+
+// Get sending limits, warm-up domains and current usage
+router.get('/', async (req, res) => {
+  try {
+    const [settings, domains, budget] = await Promise.all([
+      getSendingSettings(req.user.id),
+      prisma.sendingDomain.findMany({
+        where: { userId: req.user.id },
+        orderBy: { createdAt: 'asc' }
+      }),
+      getSendBudget({ userId: req.user.id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settings,
+        domains: domains.map(domain => ({
+          ...domain,
+          warmup: getWarmupCap(domain)
+        })),
+        usage: {
+          hourly: budget.hourly,
+          domainRemaining: budget.domainRemaining
+        },
+        defaultWarmupSchedule: DEFAULT_WARMUP_SCHEDULE
+      }
+    });
+  } catch (error) {
+    console.error('Get sending settings error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update sending limits
+router.put('/', async (req, res) => {
+  try {
+    const { hourlyLimit, maxConcurrent, domainHourlyLimits } = req.body;
+
+    if (hourlyLimit !== undefined && !isPositiveInteger(hourlyLimit)) {
+      return res.status(400).json({ error: 'hourlyLimit must be a positive integer' });
+    }
+
+    if (maxConcurrent !== undefined && !isPositiveInteger(maxConcurrent)) {
+      return res.status(400).json({ error: 'maxConcurrent must be a positive integer' });
+    }
+
+    if (domainHourlyLimits !== undefined && domainHourlyLimits !== null &&
+      (typeof domainHourlyLimits !== 'object' || Array.isArray(domainHourlyLimits))) {
+      return res.status(400).json({ error: 'domainHourlyLimits must be an object like { "gmail.com": 50 }' });
+    }
+
+    const updateData = {};
+    if (hourlyLimit !== undefined) updateData.hourlyLimit = hourlyLimit;
+    if (maxConcurrent !== undefined) updateData.maxConcurrent = maxConcurrent;
+    if (domainHourlyLimits !== undefined) updateData.domainHourlyLimits = normalizeDomainLimits(domainHourlyLimits);
+
+    const current = await getSendingSettings(req.user.id);
+
+    const settings = await prisma.sendingSettings.upsert({
+      where: { userId: req.user.id },
+      update: updateData,
+      create: {
+        userId: req.user.id,
+        ...current,
+        ...updateData
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Sending settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update sending settings error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Add a sending domain to warm up
+router.post('/domains', async (req, res) => {
+  try {
+    const { domain, warmupSchedule = null, warmupStartedAt } = req.body;
+
+    if (!domain) {
+      return res.status(400).json({ error: 'domain is required' });
+    }
+
+    if (!isValidSchedule(warmupSchedule)) {
+      return res.status(400).json({ error: 'warmupSchedule must be an array of positive daily limits' });
+    }
+
+    const name = domain.trim().toLowerCase().replace(/^@/, '');
+
+    const existing = await prisma.sendingDomain.findUnique({
+      where: { userId_domain: { userId: req.user.id, domain: name } }
+    });
+
+    if (existing) {
+      return res.status(400).json({ error: 'Sending domain already exists' });
+    }
+
+    const sendingDomain = await prisma.sendingDomain.create({
+      data: {
+        userId: req.user.id,
+        domain: name,
+        warmupSchedule,
+        ...(warmupStartedAt && { warmupStartedAt: new Date(warmupStartedAt) })
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sending domain added successfully',
+      data: {
+        ...sendingDomain,
+        warmup: getWarmupCap(sendingDomain)
+      }
+    });
+  } catch (error) {
+    console.error('Add sending domain error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update a sending domain's warm-up
+router.put('/domains/:id', async (req, res) => {
+  try {
+    const { warmupEnabled, warmupSchedule, warmupStartedAt } = req.body;
+
+    const sendingDomain = await prisma.sendingDomain.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!sendingDomain) {
+      return res.status(404).json({ error: 'Sending domain not found' });
+    }
+
+    if (warmupSchedule !== undefined && !isValidSchedule(warmupSchedule)) {
+      return res.status(400).json({ error: 'warmupSchedule must be an array of positive daily limits' });
+    }
+
+    const updateData = {};
+    if (warmupEnabled !== undefined) updateData.warmupEnabled = Boolean(warmupEnabled);
+    if (warmupSchedule !== undefined) updateData.warmupSchedule = warmupSchedule;
+    if (warmupStartedAt !== undefined) updateData.warmupStartedAt = new Date(warmupStartedAt);
+
+    const updated = await prisma.sendingDomain.update({
+      where: { id: sendingDomain.id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'Sending domain updated successfully',
+      data: {
+        ...updated,
+        warmup: getWarmupCap(updated)
+      }
+    });
+  } catch (error) {
+    console.error('Update sending domain error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Remove a sending domain (stops its warm-up cap)
+router.delete('/domains/:id', async (req, res) => {
+  try {
+    const sendingDomain = await prisma.sendingDomain.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!sendingDomain) {
+      return res.status(404).json({ error: 'Sending domain not found' });
+    }
+
+    await prisma.sendingDomain.delete({
+      where: { id: sendingDomain.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Sending domain removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete sending domain error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+// Suppression List Routes
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+  addSuppression,
+  checkSuppression,
+  getSuppressionChannel
+} = require('../services/suppressionService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get suppression list
+router.get('/', async (req, res) => {
+  try {
+    const { channel, reason, search, page = 1, limit = 50 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { userId: req.user.id };
+    if (channel) where.channel = channel;
+    if (reason) where.reason = reason;
+    if (search) where.value = { contains: search, mode: 'insensitive' };
+
+    const [suppressions, total] = await Promise.all([
+      prisma.suppression.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.suppression.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        suppressions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get suppressions error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Check whether an address is suppressed
+router.get('/check', async (req, res) => {
+  try {
+    const { channel = 'email', value } = req.query;
+
+    if (!value) {
+      return res.status(400).json({ error: 'value is required' });
+    }
+
+    const suppression = await checkSuppression(req.user.id, channel, value);
+
+    res.json({
+      success: true,
+      data: {
+        suppressed: Boolean(suppression),
+        reason: suppression?.reason || null
+      }
+    });
+  } catch (error) {
+    console.error('Check suppression error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Add address(es) to the suppression list
+router.post('/', async (req, res) => {
+  try {
+    const { channel = 'email', value, values } = req.body;
+    const addresses = (Array.isArray(values) ? values : [value]).filter(Boolean);
+
+    if (!getSuppressionChannel(channel)) {
+      return res.status(400).json({ error: 'channel must be email or phone' });
+    }
+
+    if (addresses.length === 0) {
+      return res.status(400).json({ error: 'value or values is required' });
+    }
+
+    const suppressions = [];
+    for (const address of addresses) {
+      suppressions.push(await addSuppression({
+        userId: req.user.id,
+        channel,
+        value: address,
+        reason: 'manual',
+        source: 'user'
+      }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${suppressions.length} address(es) suppressed`,
+      data: { suppressions }
+    });
+  } catch (error) {
+    console.error('Add suppression error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Remove address from the suppression list
+router.delete('/:id', async (req, res) => {
+  try {
+    const suppression = await prisma.suppression.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!suppression) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    await prisma.suppression.delete({
+      where: { id: req.params.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Suppression removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete suppression error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
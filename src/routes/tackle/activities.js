@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { exitContactEnrollments } = require('../../services/sequenceExitService');
 
 const prisma = new PrismaClient();
 
@@ -209,6 +210,11 @@ router.post('/', async (req, res) => {
         where: { id: contactId },
         data: { lastContactedAt: new Date() }
       });
+
+      // A booked meeting ends the contact's sequences
+      if (type === 'meeting') {
+        await exitContactEnrollments([contactId], 'meeting_booked');
+      }
     }
 
     res.status(201).json({ success: true, data: activity });
@@ -6,9 +6,25 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const {
+  parseDateRange,
+  getStageAnalytics,
+  getWinRates,
+  getSalesVelocity
+} = require('../../services/salesAnalyticsService');
 
 const prisma = new PrismaClient();
 
+const ANALYTICS_ERROR_STATUS = {
+  INVALID_ANALYTICS_QUERY: 400,
+  PIPELINE_NOT_FOUND: 404
+};
+
+const sendAnalyticsError = (res, error) => {
+  const status = ANALYTICS_ERROR_STATUS[error.code] || 500;
+  res.status(status).json({ success: false, error: error.message });
+};
+
 // GET /api/v1/tackle/analytics/overview - Dashboard overview
 router.get('/overview', async (req, res) => {
   try {
@@ -326,4 +342,49 @@ router.get('/leaderboard', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/analytics/stages - Stage-to-stage conversion and time in stage
+router.get('/stages', async (req, res) => {
+  try {
+    const { pipelineId } = req.query;
+    const range = parseDateRange(req.query);
+
+    const analytics = await getStageAnalytics(req.user.id, { pipelineId, ...range });
+
+    res.json({ success: true, data: { ...analytics, range } });
+
+  } catch (error) {
+    sendAnalyticsError(res, error);
+  }
+});
+
+// GET /api/v1/tackle/analytics/win-rates - Win rate by source, owner or competitor
+router.get('/win-rates', async (req, res) => {
+  try {
+    const { groupBy = 'source', pipelineId } = req.query;
+    const range = parseDateRange(req.query);
+
+    const winRates = await getWinRates(req.user.id, { groupBy, pipelineId, ...range });
+
+    res.json({ success: true, data: { ...winRates, range } });
+
+  } catch (error) {
+    sendAnalyticsError(res, error);
+  }
+});
+
+// GET /api/v1/tackle/analytics/velocity - Sales velocity over a date range
+router.get('/velocity', async (req, res) => {
+  try {
+    const { pipelineId } = req.query;
+    const range = parseDateRange(req.query);
+
+    const velocity = await getSalesVelocity(req.user.id, { pipelineId, ...range });
+
+    res.json({ success: true, data: { ...velocity, range } });
+
+  } catch (error) {
+    sendAnalyticsError(res, error);
+  }
+});
+
 module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { streamExport, parseColumnsParam } = require('../../services/exportService');
 
 const prisma = new PrismaClient();
 
@@ -69,6 +70,40 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/companies/export/:format - Export companies as csv, json or xlsx (streamed)
+// Accepts the list filters plus columns (comma-separated keys, customFields.<key>, customFields.* or all)
+router.get('/export/:format', async (req, res) => {
+  try {
+    const { search, industry, accountTier, columns } = req.query;
+
+    const where = { userId: req.user.id };
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { domain: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (industry) where.industry = industry;
+    if (accountTier) where.accountTier = accountTier;
+
+    await streamExport(res, {
+      entity: 'companies',
+      format: req.params.format,
+      columns: parseColumnsParam(columns),
+      where
+    });
+
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export companies stream error:', error);
+      return res.end();
+    }
+    const status = error.code === 'INVALID_EXPORT' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/v1/tackle/companies/:id - Get company details
 router.get('/:id', async (req, res) => {
   try {
@@ -6,6 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { streamExport, parseColumnsParam } = require('../../services/exportService');
+const { scoreContact, recomputeContactScore } = require('../../services/leadScoringService');
+const { enrichContact, enrichInBackground } = require('../../services/enrichment');
+const { exitContactEnrollments } = require('../../services/sequenceExitService');
 
 const prisma = new PrismaClient();
 
@@ -71,6 +75,42 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/contacts/export/:format - Export contacts as csv, json or xlsx (streamed)
+// Accepts the list filters plus columns (comma-separated keys, customFields.<key>, customFields.* or all)
+router.get('/export/:format', async (req, res) => {
+  try {
+    const { search, companyId, lifecycle, status, columns } = req.query;
+
+    const where = { userId: req.user.id };
+
+    if (search) {
+      where.OR = [
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (companyId) where.companyId = companyId;
+    if (lifecycle) where.lifecycle = lifecycle;
+    if (status) where.status = status;
+
+    await streamExport(res, {
+      entity: 'contacts',
+      format: req.params.format,
+      columns: parseColumnsParam(columns),
+      where
+    });
+
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export contacts stream error:', error);
+      return res.end();
+    }
+    const status = error.code === 'INVALID_EXPORT' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/v1/tackle/contacts/:id - Get contact details
 router.get('/:id', async (req, res) => {
   try {
@@ -95,6 +135,58 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/contacts/:id/score - Score breakdown by scoring rule
+router.get('/:id/score', async (req, res) => {
+  try {
+    const contact = await prisma.contact.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: { company: true }
+    });
+
+    if (!contact) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const { score, rawScore, breakdown, rulesApplied } = await scoreContact(contact);
+
+    res.json({
+      success: true,
+      data: {
+        contactId: contact.id,
+        score: rulesApplied > 0 ? score : contact.leadScore,
+        storedScore: contact.leadScore,
+        rawScore,
+        rulesApplied,
+        breakdown
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/tackle/contacts/:id/enrich - Re-run enrichment (fills empty fields only)
+router.post('/:id/enrich', async (req, res) => {
+  try {
+    const existing = await prisma.contact.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: { id: true }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const result = await enrichContact(existing.id);
+
+    res.json({ success: true, data: result });
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // POST /api/v1/tackle/contacts - Create contact
 router.post('/', async (req, res) => {
   try {
@@ -171,6 +263,12 @@ router.post('/', async (req, res) => {
       }
     });
 
+    // Scoring rules replace the manual leadScore when the account has any
+    const scoring = await recomputeContactScore(contact.id);
+    if (scoring) contact.leadScore = scoring.score;
+
+    enrichInBackground('contact', contact.id);
+
     res.status(201).json({ success: true, data: contact });
 
   } catch (error) {
@@ -197,6 +295,19 @@ router.put('/:id', async (req, res) => {
       }
     });
 
+    // Opting out of email or being marked bounced ends the contact's sequences
+    if (contact.status === 'bounced' && existing.status !== 'bounced') {
+      await exitContactEnrollments([contact.id], 'bounced');
+    } else if (
+      (!contact.emailOptIn && existing.emailOptIn) ||
+      (contact.status === 'unsubscribed' && existing.status !== 'unsubscribed')
+    ) {
+      await exitContactEnrollments([contact.id], 'unsubscribed');
+    }
+
+    const scoring = await recomputeContactScore(contact.id);
+    if (scoring) contact.leadScore = scoring.score;
+
     res.json({ success: true, data: contact });
 
   } catch (error) {
@@ -234,6 +345,7 @@ router.post('/import', async (req, res) => {
     }
 
     const results = { created: 0, skipped: 0, errors: [] };
+    const createdIds = [];
 
     for (const contact of contacts) {
       try {
@@ -252,7 +364,7 @@ router.post('/import', async (req, res) => {
           continue;
         }
 
-        await prisma.contact.create({
+        const created = await prisma.contact.create({
           data: {
             userId: req.user.id,
             firstName: contact.firstName,
@@ -266,6 +378,7 @@ router.post('/import', async (req, res) => {
           }
         });
 
+        createdIds.push(created.id);
         results.created++;
 
       } catch (err) {
@@ -273,6 +386,10 @@ router.post('/import', async (req, res) => {
       }
     }
 
+    if (createdIds.length > 0) {
+      enrichInBackground('contact', createdIds);
+    }
+
     res.json({ success: true, data: results });
 
   } catch (error) {
@@ -6,9 +6,30 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const { streamExport, parseColumnsParam } = require('../../services/exportService');
+const { exitForDealStage } = require('../../services/sequenceExitService');
+const {
+  getPipeline,
+  resolveStage,
+  buildStageUpdate,
+  buildStageChange
+} = require('../../services/pipelineService');
+const { getRottingDeals } = require('../../services/dealRottingService');
 
 const prisma = new PrismaClient();
 
+// HTTP status for pipeline service errors
+const PIPELINE_ERROR_STATUS = {
+  PIPELINE_NOT_FOUND: 404,
+  STAGE_NOT_FOUND: 400,
+  PIPELINE_INVALID: 400
+};
+
+const sendDealError = (res, error) => {
+  const status = PIPELINE_ERROR_STATUS[error.code] || 500;
+  res.status(status).json({ success: false, error: error.message });
+};
+
 // GET /api/v1/tackle/deals - List deals
 router.get('/', async (req, res) => {
   try {
@@ -18,6 +39,8 @@ router.get('/', async (req, res) => {
       limit = 50,
       search,
       stage,
+      pipelineId,
+      stageId,
       companyId,
       ownerId,
       priority,
@@ -33,6 +56,8 @@ router.get('/', async (req, res) => {
       where.name = { contains: search, mode: 'insensitive' };
     }
     if (stage) where.stage = stage;
+    if (pipelineId) where.pipelineId = pipelineId;
+    if (stageId) where.stageId = stageId;
     if (companyId) where.companyId = companyId;
     if (ownerId) where.ownerId = ownerId;
     if (priority) where.priority = priority;
@@ -45,6 +70,7 @@ router.get('/', async (req, res) => {
         orderBy: { [sortBy]: sortOrder },
         include: {
           company: { select: { id: true, name: true } },
+          pipelineStage: { select: { id: true, name: true, type: true, color: true } },
           contacts: { select: { id: true, firstName: true, lastName: true, email: true } },
           _count: { select: { activities: true, documents: true } }
         }
@@ -71,17 +97,18 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/v1/tackle/deals/pipeline - Get deals by pipeline stage
+// Query: pipelineId (default pipeline when omitted)
 router.get('/pipeline', async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const stages = ['lead', 'qualified', 'proposal', 'negotiation', 'closed_won', 'closed_lost'];
+    const pipeline = await getPipeline(userId, req.query.pipelineId);
 
-    const pipeline = {};
+    const stages = [];
 
-    for (const stage of stages) {
+    for (const stage of pipeline.stages) {
       const deals = await prisma.deal.findMany({
-        where: { userId, stage },
+        where: { userId, stageId: stage.id },
         orderBy: { updatedAt: 'desc' },
         include: {
           company: { select: { id: true, name: true } },
@@ -90,25 +117,90 @@ router.get('/pipeline', async (req, res) => {
       });
 
       const total = await prisma.deal.aggregate({
-        where: { userId, stage },
+        where: { userId, stageId: stage.id },
         _sum: { value: true },
         _count: true
       });
 
-      pipeline[stage] = {
+      stages.push({
+        id: stage.id,
+        name: stage.name,
+        type: stage.type,
+        probability: stage.probability,
+        color: stage.color,
         deals,
         count: total._count,
         totalValue: total._sum.value || 0
-      };
+      });
     }
 
-    res.json({ success: true, data: pipeline });
+    // Deals not on any stage yet (see POST /pipelines/:id/deals/migrate)
+    const unassigned = await prisma.deal.count({ where: { userId, stageId: null } });
+
+    res.json({
+      success: true,
+      data: {
+        pipeline: { id: pipeline.id, name: pipeline.name, isDefault: pipeline.isDefault },
+        stages,
+        unassigned
+      }
+    });
+
+  } catch (error) {
+    sendDealError(res, error);
+  }
+});
+
+// GET /api/v1/tackle/deals/rotting - Deals past their stage's rottingDays, grouped by owner
+// Query: pipelineId, ownerId (optional)
+router.get('/rotting', async (req, res) => {
+  try {
+    const { pipelineId, ownerId } = req.query;
+
+    const result = await getRottingDeals(req.user.id, { pipelineId, ownerId });
+
+    res.json({ success: true, data: result });
 
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// GET /api/v1/tackle/deals/export/:format - Export deals as csv, json or xlsx (streamed)
+// Accepts the list filters plus columns (comma-separated keys, customFields.<key>, customFields.* or all)
+router.get('/export/:format', async (req, res) => {
+  try {
+    const { search, stage, pipelineId, stageId, companyId, ownerId, priority, columns } = req.query;
+
+    const where = { userId: req.user.id };
+
+    if (search) {
+      where.name = { contains: search, mode: 'insensitive' };
+    }
+    if (stage) where.stage = stage;
+    if (pipelineId) where.pipelineId = pipelineId;
+    if (stageId) where.stageId = stageId;
+    if (companyId) where.companyId = companyId;
+    if (ownerId) where.ownerId = ownerId;
+    if (priority) where.priority = priority;
+
+    await streamExport(res, {
+      entity: 'deals',
+      format: req.params.format,
+      columns: parseColumnsParam(columns),
+      where
+    });
+
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export deals stream error:', error);
+      return res.end();
+    }
+    const status = error.code === 'INVALID_EXPORT' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
 // GET /api/v1/tackle/deals/:id - Get deal details
 router.get('/:id', async (req, res) => {
   try {
@@ -116,6 +208,8 @@ router.get('/:id', async (req, res) => {
       where: { id: req.params.id, userId: req.user.id },
       include: {
         company: true,
+        pipeline: { select: { id: true, name: true } },
+        pipelineStage: true,
         contacts: true,
         activities: { take: 20, orderBy: { createdAt: 'desc' } },
         documents: { orderBy: { createdAt: 'desc' } }
@@ -133,6 +227,45 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/deals/:id/stage-history - Stage transitions, oldest first
+router.get('/:id/stage-history', async (req, res) => {
+  try {
+    const deal = await prisma.deal.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      select: { id: true }
+    });
+
+    if (!deal) {
+      return res.status(404).json({ success: false, error: 'Deal not found' });
+    }
+
+    const changes = await prisma.dealStageChange.findMany({
+      where: { dealId: deal.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    // Stage names for stages that still exist
+    const stageIds = [...new Set(changes.flatMap(change => [change.fromStageId, change.toStageId]).filter(Boolean))];
+    const stages = await prisma.pipelineStage.findMany({
+      where: { id: { in: stageIds } },
+      select: { id: true, name: true }
+    });
+    const stageNames = new Map(stages.map(stage => [stage.id, stage.name]));
+
+    res.json({
+      success: true,
+      data: changes.map(change => ({
+        ...change,
+        fromStageName: stageNames.get(change.fromStageId) || null,
+        toStageName: stageNames.get(change.toStageId) || null
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // POST /api/v1/tackle/deals - Create deal
 router.post('/', async (req, res) => {
   try {
@@ -140,6 +273,8 @@ router.post('/', async (req, res) => {
       name,
       value,
       currency,
+      pipelineId,
+      stageId,
       stage,
       probability,
       priority,
@@ -149,6 +284,7 @@ router.post('/', async (req, res) => {
       nextStep,
       expectedClose,
       competitor,
+      source,
       ownerId,
       teamId,
       tags,
@@ -162,25 +298,32 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Stage by ID or key; the pipeline's first stage (default pipeline when none given) otherwise
+    const pipelineStage = await resolveStage(req.user.id, { pipelineId, stageId, stage });
+    const stageData = buildStageUpdate(pipelineStage);
+
     const deal = await prisma.deal.create({
       data: {
         userId: req.user.id,
         name,
         value,
         currency: currency || 'USD',
-        stage: stage || 'lead',
-        probability: probability || 0,
+        ...stageData,
+        probability: probability ?? stageData.probability,
         priority: priority || 'medium',
         companyId,
         description,
         nextStep,
         expectedClose: expectedClose ? new Date(expectedClose) : null,
         competitor,
+        source,
         ownerId: ownerId || req.user.id,
         teamId,
         tags: tags || [],
         customFields,
-        contacts: contactIds ? { connect: contactIds.map(id => ({ id })) } : undefined
+        contacts: contactIds ? { connect: contactIds.map(id => ({ id })) } : undefined,
+        // Written with the deal so it never exists without its creation entry
+        stageChanges: { create: buildStageChange(null, null, pipelineStage, { userId: req.user.id }) }
       },
       include: {
         company: { select: { id: true, name: true } },
@@ -188,10 +331,14 @@ router.post('/', async (req, res) => {
       }
     });
 
+    if (deal.contacts.length > 0) {
+      await exitForDealStage(deal.id);
+    }
+
     res.status(201).json({ success: true, data: deal });
 
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendDealError(res, error);
   }
 });
 
@@ -206,75 +353,98 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Deal not found' });
     }
 
-    const { contactIds, ...updateData } = req.body;
-
-    // Handle stage changes
-    if (updateData.stage) {
-      if (updateData.stage === 'closed_won' && existing.stage !== 'closed_won') {
-        updateData.actualClose = new Date();
-      }
-      if (updateData.stage === 'closed_lost' && existing.stage !== 'closed_lost') {
-        updateData.actualClose = new Date();
+    const { contactIds, pipelineId, stageId, stage, ...updateData } = req.body;
+
+    // Handle stage changes: a new pipeline alone starts the deal at its first stage;
+    // a stage key alone is looked up in the deal's current pipeline
+    const stageChanged = Boolean(pipelineId || stageId || stage);
+    let stageData = {};
+    let stageChange = null;
+    if (stageChanged) {
+      const pipelineStage = await resolveStage(req.user.id, {
+        pipelineId: pipelineId || (stageId ? undefined : existing.pipelineId),
+        stageId,
+        stage
+      });
+      stageData = buildStageUpdate(pipelineStage, existing);
+      if (pipelineStage.id !== existing.stageId) {
+        stageChange = buildStageChange(existing.id, existing, pipelineStage, { userId: req.user.id });
       }
     }
 
-    const deal = await prisma.deal.update({
-      where: { id: req.params.id },
-      data: {
-        ...updateData,
-        contacts: contactIds ? { set: contactIds.map(id => ({ id })) } : undefined
-      },
-      include: {
-        company: { select: { id: true, name: true } },
-        contacts: { select: { id: true, firstName: true, lastName: true } }
-      }
-    });
+    const [deal] = await prisma.$transaction([
+      prisma.deal.update({
+        where: { id: req.params.id },
+        data: {
+          ...stageData,
+          ...updateData,
+          contacts: contactIds ? { set: contactIds.map(id => ({ id })) } : undefined
+        },
+        include: {
+          company: { select: { id: true, name: true } },
+          contacts: { select: { id: true, firstName: true, lastName: true } }
+        }
+      }),
+      ...(stageChange ? [prisma.dealStageChange.create({ data: stageChange })] : [])
+    ]);
+
+    // Linked contacts leave sequences that end at the deal's new stage
+    if (stageChanged || contactIds) {
+      await exitForDealStage(deal.id);
+    }
 
     res.json({ success: true, data: deal });
 
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendDealError(res, error);
   }
 });
 
 // PUT /api/v1/tackle/deals/:id/stage - Move deal to new stage
+// Body: { stageId } or { stage } (stage key in the deal's pipeline), plus wonReason / lostReason
 router.put('/:id/stage', async (req, res) => {
   try {
-    const { stage, lostReason, wonReason } = req.body;
+    const { stageId, stage, lostReason, wonReason } = req.body;
+
+    if (!stageId && !stage) {
+      return res.status(400).json({ success: false, error: 'stageId or stage is required' });
+    }
 
     const existing = await prisma.deal.findFirst({
-      where: { id: req.params.id, userId: req.user.id }
+      where: { id: req.params.id, userId: req.user.id },
+      include: { pipelineStage: { select: { name: true } } }
     });
 
     if (!existing) {
       return res.status(404).json({ success: false, error: 'Deal not found' });
     }
 
-    const updateData = { stage };
+    const pipelineStage = await resolveStage(req.user.id, {
+      pipelineId: stageId ? undefined : existing.pipelineId,
+      stageId,
+      stage
+    });
+
+    // Probability defaults from the stage
+    const updateData = buildStageUpdate(pipelineStage, existing);
 
-    if (stage === 'closed_won') {
-      updateData.actualClose = new Date();
+    if (pipelineStage.type === 'won') {
       updateData.wonReason = wonReason;
-    } else if (stage === 'closed_lost') {
-      updateData.actualClose = new Date();
+    } else if (pipelineStage.type === 'lost') {
       updateData.lostReason = lostReason;
     }
 
-    // Update probability based on stage
-    const stageProbabilities = {
-      lead: 10,
-      qualified: 25,
-      proposal: 50,
-      negotiation: 75,
-      closed_won: 100,
-      closed_lost: 0
-    };
-    updateData.probability = stageProbabilities[stage] || existing.probability;
-
-    const deal = await prisma.deal.update({
-      where: { id: req.params.id },
-      data: updateData
-    });
+    const [deal] = await prisma.$transaction([
+      prisma.deal.update({
+        where: { id: req.params.id },
+        data: updateData
+      }),
+      ...(pipelineStage.id !== existing.stageId ? [
+        prisma.dealStageChange.create({
+          data: buildStageChange(existing.id, existing, pipelineStage, { userId: req.user.id })
+        })
+      ] : [])
+    ]);
 
     // Log activity
     await prisma.activity.create({
@@ -282,17 +452,19 @@ router.put('/:id/stage', async (req, res) => {
         userId: req.user.id,
         dealId: deal.id,
         type: 'note',
-        subject: `Deal moved to ${stage}`,
-        description: `Deal stage changed from ${existing.stage} to ${stage}`,
+        subject: `Deal moved to ${pipelineStage.name}`,
+        description: `Deal stage changed from ${existing.pipelineStage?.name || existing.stage} to ${pipelineStage.name}`,
         isCompleted: true,
         completedAt: new Date()
       }
     });
 
+    await exitForDealStage(deal.id);
+
     res.json({ success: true, data: deal });
 
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendDealError(res, error);
   }
 });
 
@@ -6,9 +6,31 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const {
+  validateStages,
+  migrateDeals,
+  updateStage,
+  reorderStages,
+  deleteStage,
+  deletePipeline
+} = require('../../services/pipelineService');
 
 const prisma = new PrismaClient();
 
+// HTTP status for pipeline service errors
+const PIPELINE_ERROR_STATUS = {
+  PIPELINE_NOT_FOUND: 404,
+  STAGE_NOT_FOUND: 404,
+  PIPELINE_INVALID: 400,
+  PIPELINE_IN_USE: 409,
+  STAGE_IN_USE: 409
+};
+
+const sendPipelineError = (res, error) => {
+  const status = PIPELINE_ERROR_STATUS[error.code] || 500;
+  res.status(status).json({ success: false, error: error.message });
+};
+
 // GET /api/v1/tackle/pipelines - List pipelines
 router.get('/', async (req, res) => {
   try {
@@ -51,12 +73,17 @@ router.get('/:id', async (req, res) => {
 // POST /api/v1/tackle/pipelines - Create pipeline
 router.post('/', async (req, res) => {
   try {
-    const { name, description, isDefault, stages } = req.body;
+    const { name, description, isDefault, rottingTasks, stages } = req.body;
 
     if (!name) {
       return res.status(400).json({ success: false, error: 'Pipeline name is required' });
     }
 
+    const validationError = stages && validateStages(stages);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
     // If this is default, unset other defaults
     if (isDefault) {
       await prisma.pipeline.updateMany({
@@ -71,11 +98,13 @@ router.post('/', async (req, res) => {
         name,
         description,
         isDefault: isDefault || false,
+        rottingTasks: rottingTasks || false,
         stages: stages ? {
           create: stages.map((stage, index) => ({
             name: stage.name,
             position: index,
             probability: stage.probability || 0,
+            type: stage.type || 'open',
             color: stage.color,
             rottingDays: stage.rottingDays
           }))
@@ -104,7 +133,7 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Pipeline not found' });
     }
 
-    const { name, description, isDefault } = req.body;
+    const { name, description, isDefault, rottingTasks } = req.body;
 
     if (isDefault) {
       await prisma.pipeline.updateMany({
@@ -115,7 +144,7 @@ router.put('/:id', async (req, res) => {
 
     const pipeline = await prisma.pipeline.update({
       where: { id: req.params.id },
-      data: { name, description, isDefault },
+      data: { name, description, isDefault, rottingTasks },
       include: { stages: { orderBy: { position: 'asc' } } }
     });
 
@@ -138,7 +167,12 @@ router.post('/:id/stages', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Pipeline not found' });
     }
 
-    const { name, probability, color, rottingDays } = req.body;
+    const { name, probability, type, color, rottingDays } = req.body;
+
+    const validationError = validateStages([{ name, probability, type, rottingDays }]);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
 
     const stage = await prisma.pipelineStage.create({
       data: {
@@ -146,6 +180,7 @@ router.post('/:id/stages', async (req, res) => {
         name,
         position: pipeline.stages.length,
         probability: probability || 0,
+        type: type || 'open',
         color,
         rottingDays
       }
@@ -159,46 +194,90 @@ router.post('/:id/stages', async (req, res) => {
 });
 
 // PUT /api/v1/tackle/pipelines/:id/stages/reorder - Reorder stages
+// Body: { stageIds } - every stage of the pipeline in the new order
 router.put('/:id/stages/reorder', async (req, res) => {
   try {
-    const { stageIds } = req.body;
+    const pipeline = await reorderStages(req.user.id, req.params.id, req.body.stageIds);
 
-    for (let i = 0; i < stageIds.length; i++) {
-      await prisma.pipelineStage.update({
-        where: { id: stageIds[i] },
-        data: { position: i }
-      });
+    res.json({ success: true, data: pipeline });
+
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// PUT /api/v1/tackle/pipelines/:id/stages/:stageId - Update stage
+router.put('/:id/stages/:stageId', async (req, res) => {
+  try {
+    const { name, probability, type, color, rottingDays } = req.body;
+
+    const validationError = validateStages([{ name, probability, type, rottingDays }], { partial: true });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
 
-    const pipeline = await prisma.pipeline.findFirst({
-      where: { id: req.params.id },
-      include: { stages: { orderBy: { position: 'asc' } } }
+    const stage = await updateStage(req.user.id, req.params.id, req.params.stageId, {
+      name,
+      probability,
+      type,
+      color,
+      rottingDays
     });
 
-    res.json({ success: true, data: pipeline });
+    res.json({ success: true, data: stage });
 
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendPipelineError(res, error);
   }
 });
 
-// DELETE /api/v1/tackle/pipelines/:id - Delete pipeline
-router.delete('/:id', async (req, res) => {
+// DELETE /api/v1/tackle/pipelines/:id/stages/:stageId - Delete stage
+// Query: moveToStageId - where the stage's deals go (required when it has deals)
+router.delete('/:id/stages/:stageId', async (req, res) => {
   try {
-    const existing = await prisma.pipeline.findFirst({
-      where: { id: req.params.id, userId: req.user.id }
+    const result = await deleteStage(req.user.id, req.params.id, req.params.stageId, {
+      moveToStageId: req.query.moveToStageId
     });
 
-    if (!existing) {
-      return res.status(404).json({ success: false, error: 'Pipeline not found' });
+    res.json({ success: true, data: result });
+
+  } catch (error) {
+    sendPipelineError(res, error);
+  }
+});
+
+// POST /api/v1/tackle/pipelines/:id/deals/migrate - Put deals on this pipeline
+// Body: { dealIds } (optional) - default moves every deal that isn't on a stage yet.
+// Deals keep their stage when the pipeline has a stage with the same key, else go to the first stage.
+router.post('/:id/deals/migrate', async (req, res) => {
+  try {
+    const { dealIds } = req.body;
+
+    if (dealIds !== undefined && !Array.isArray(dealIds)) {
+      return res.status(400).json({ success: false, error: 'dealIds must be an array' });
     }
 
-    await prisma.pipeline.delete({ where: { id: req.params.id } });
+    const result = await migrateDeals(req.user.id, req.params.id, { dealIds });
 
-    res.json({ success: true, message: 'Pipeline deleted' });
+    res.json({ success: true, data: result });
 
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendPipelineError(res, error);
+  }
+});
+
+// DELETE /api/v1/tackle/pipelines/:id - Delete pipeline
+// Query: moveToPipelineId - where the pipeline's deals go (required when it has deals)
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await deletePipeline(req.user.id, req.params.id, {
+      moveToPipelineId: req.query.moveToPipelineId
+    });
+
+    res.json({ success: true, message: 'Pipeline deleted', data: result });
+
+  } catch (error) {
+    sendPipelineError(res, error);
   }
 });
 
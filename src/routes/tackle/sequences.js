@@ -6,9 +6,35 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
+const {
+  enrollContacts,
+  unenrollContacts,
+  validateSendingWindow,
+  SEQUENCE_CHANNELS
+} = require('../../services/sequenceService');
 
 const prisma = new PrismaClient();
 
+// HTTP status for sequence service errors
+const SEQUENCE_ERROR_STATUS = {
+  SEQUENCE_NOT_FOUND: 404,
+  SEQUENCE_INVALID: 400
+};
+
+// Validate step channels; returns an error message or null
+const validateStepChannels = (steps) => {
+  const invalid = steps.find(step => !SEQUENCE_CHANNELS.includes(step.channel));
+  return invalid ? `Step channel must be one of: ${SEQUENCE_CHANNELS.join(', ')}` : null;
+};
+
+// Validate the deal stages that end an enrollment; returns an error message or null
+const validateExitDealStages = (exitDealStages) => {
+  if (exitDealStages === undefined) return null;
+  const valid = Array.isArray(exitDealStages) &&
+    exitDealStages.every(stage => typeof stage === 'string' && stage.trim());
+  return valid ? null : 'exitDealStages must be an array of deal stages';
+};
+
 // GET /api/v1/tackle/sequences - List sequences
 router.get('/', async (req, res) => {
   try {
@@ -51,12 +77,29 @@ router.get('/:id', async (req, res) => {
 // POST /api/v1/tackle/sequences - Create sequence
 router.post('/', async (req, res) => {
   try {
-    const { name, description, channels, timezone, sendingDays, sendingStart, sendingEnd, steps } = req.body;
+    const {
+      name,
+      description,
+      channels,
+      timezone,
+      sendingDays,
+      sendingStart,
+      sendingEnd,
+      exitDealStages,
+      steps
+    } = req.body;
 
     if (!name) {
       return res.status(400).json({ success: false, error: 'Sequence name is required' });
     }
 
+    const validationError = validateSendingWindow(req.body) ||
+      validateExitDealStages(exitDealStages) ||
+      (steps && validateStepChannels(steps));
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
     const sequence = await prisma.sequence.create({
       data: {
         userId: req.user.id,
@@ -67,12 +110,13 @@ router.post('/', async (req, res) => {
         sendingDays: sendingDays || ['mon', 'tue', 'wed', 'thu', 'fri'],
         sendingStart,
         sendingEnd,
+        exitDealStages: exitDealStages || [],
         steps: steps ? {
           create: steps.map((step, index) => ({
             position: index,
             channel: step.channel,
-            delayDays: step.delayDays || 1,
-            delayHours: step.delayHours || 0,
+            delayDays: step.delayDays ?? 1,
+            delayHours: step.delayHours ?? 0,
             subject: step.subject,
             body: step.body,
             template: step.template
@@ -102,6 +146,11 @@ router.put('/:id', async (req, res) => {
 
     const { steps, ...updateData } = req.body;
 
+    const validationError = validateSendingWindow(updateData) || validateExitDealStages(updateData.exitDealStages);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
     const sequence = await prisma.sequence.update({
       where: { id: req.params.id },
       data: updateData,
@@ -159,13 +208,18 @@ router.post('/:id/steps', async (req, res) => {
 
     const { channel, delayDays, delayHours, subject, body, template } = req.body;
 
+    const validationError = validateStepChannels([{ channel }]);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
     const step = await prisma.sequenceStep.create({
       data: {
         sequenceId: sequence.id,
         position: sequence.steps.length,
         channel,
-        delayDays: delayDays || 1,
-        delayHours: delayHours || 0,
+        delayDays: delayDays ?? 1,
+        delayHours: delayHours ?? 0,
         subject,
         body,
         template
@@ -179,6 +233,97 @@ router.post('/:id/steps', async (req, res) => {
   }
 });
 
+// GET /api/v1/tackle/sequences/:id/enrollments - List enrollments
+router.get('/:id/enrollments', async (req, res) => {
+  try {
+    const { status, exitReason, page = 1, limit = 50 } = req.query;
+
+    const sequence = await prisma.sequence.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+
+    const where = { sequenceId: sequence.id };
+    if (status) where.status = status;
+    if (exitReason) where.exitReason = exitReason;
+
+    const [enrollments, total] = await Promise.all([
+      prisma.sequenceEnrollment.findMany({
+        where,
+        include: {
+          contact: { select: { id: true, firstName: true, lastName: true, email: true } }
+        },
+        orderBy: { enrolledAt: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.sequenceEnrollment.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        enrollments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/tackle/sequences/:id/enroll - Enroll contacts
+// Body: { contactIds, restart } - restart re-runs contacts whose enrollment already finished
+router.post('/:id/enroll', async (req, res) => {
+  try {
+    const { contactIds, restart = false } = req.body;
+
+    if (!Array.isArray(contactIds) || contactIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'contactIds array is required' });
+    }
+
+    const result = await enrollContacts(req.user.id, req.params.id, contactIds, { restart: Boolean(restart) });
+
+    res.status(201).json({ success: true, data: result });
+
+  } catch (error) {
+    if (SEQUENCE_ERROR_STATUS[error.code]) {
+      return res.status(SEQUENCE_ERROR_STATUS[error.code]).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/v1/tackle/sequences/:id/unenroll - Stop contacts' active enrollments
+router.post('/:id/unenroll', async (req, res) => {
+  try {
+    const { contactIds } = req.body;
+
+    if (!Array.isArray(contactIds) || contactIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'contactIds array is required' });
+    }
+
+    const result = await unenrollContacts(req.user.id, req.params.id, contactIds);
+
+    res.json({ success: true, data: result });
+
+  } catch (error) {
+    if (SEQUENCE_ERROR_STATUS[error.code]) {
+      return res.status(SEQUENCE_ERROR_STATUS[error.code]).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // DELETE /api/v1/tackle/sequences/:id - Delete sequence
 router.delete('/:id', async (req, res) => {
   try {
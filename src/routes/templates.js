@@ -0,0 +1,325 @@
+// Email Template Routes
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../middleware/auth');
+const {
+  buildMergeContext,
+  renderMergeFields,
+  extractMergeFields,
+  findMissingFields
+} = require('../services/mergeFieldService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Sample recipient used for previews when no lead is chosen
+const SAMPLE_LEAD = {
+  name: 'Jane Doe',
+  email: 'jane.doe@example.com',
+  company: 'Example Inc',
+  title: 'VP of Sales',
+  customFields: {}
+};
+
+// Collect variables from explicit list plus placeholders found in the content
+const collectVariables = (variables, subject, htmlContent, textContent) => Array.from(new Set([
+  ...(Array.isArray(variables) ? variables : []),
+  ...extractMergeFields(subject, htmlContent, textContent)
+]));
+
+// Get all templates
+router.get('/', async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const where = { userId: req.user.id };
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { subject: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const templates = await prisma.emailTemplate.findMany({
+      where,
+      orderBy: [
+        { isDefault: 'desc' },
+        { updatedAt: 'desc' }
+      ],
+      include: {
+        _count: { select: { campaigns: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(({ _count, ...template }) => ({
+          ...template,
+          campaignCount: _count.campaigns
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get single template
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await prisma.emailTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Create template
+router.post('/', async (req, res) => {
+  try {
+    const { name, subject, htmlContent, textContent, variables, isDefault = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    if (!htmlContent && !textContent) {
+      return res.status(400).json({ error: 'Template content (htmlContent or textContent) is required' });
+    }
+
+    // Only one default template per user
+    if (isDefault) {
+      await prisma.emailTemplate.updateMany({
+        where: { userId: req.user.id, isDefault: true },
+        data: { isDefault: false }
+      });
+    }
+
+    const template = await prisma.emailTemplate.create({
+      data: {
+        userId: req.user.id,
+        name,
+        subject,
+        htmlContent,
+        textContent: textContent || (htmlContent ? htmlContent.replace(/<[^>]*>/g, '') : null),
+        variables: collectVariables(variables, subject, htmlContent, textContent),
+        isDefault: Boolean(isDefault)
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update template
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, subject, htmlContent, textContent, variables, isDefault } = req.body;
+
+    const existing = await prisma.emailTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (subject !== undefined) updateData.subject = subject;
+    if (htmlContent !== undefined) {
+      updateData.htmlContent = htmlContent;
+      if (textContent === undefined && htmlContent) {
+        updateData.textContent = htmlContent.replace(/<[^>]*>/g, '');
+      }
+    }
+    if (textContent !== undefined) updateData.textContent = textContent;
+    if (isDefault !== undefined) updateData.isDefault = Boolean(isDefault);
+
+    updateData.variables = collectVariables(
+      variables,
+      updateData.subject ?? existing.subject,
+      updateData.htmlContent ?? existing.htmlContent,
+      updateData.textContent ?? existing.textContent
+    );
+
+    if (updateData.isDefault) {
+      await prisma.emailTemplate.updateMany({
+        where: { userId: req.user.id, isDefault: true, id: { not: existing.id } },
+        data: { isDefault: false }
+      });
+    }
+
+    const template = await prisma.emailTemplate.update({
+      where: { id: existing.id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete template (campaigns using it keep their own content)
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await prisma.emailTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await prisma.campaign.updateMany({
+      where: { templateId: template.id },
+      data: { templateId: null }
+    });
+
+    await prisma.emailTemplate.delete({
+      where: { id: template.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Duplicate template
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const template = await prisma.emailTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const copy = await prisma.emailTemplate.create({
+      data: {
+        userId: req.user.id,
+        name: req.body?.name || `${template.name} (Copy)`,
+        subject: template.subject,
+        htmlContent: template.htmlContent,
+        textContent: template.textContent,
+        variables: template.variables,
+        isDefault: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template duplicated successfully',
+      data: copy
+    });
+  } catch (error) {
+    console.error('Duplicate template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Preview template rendered against a lead (or a sample lead)
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const { leadId, variables = {} } = req.body || {};
+
+    const template = await prisma.emailTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    let lead = SAMPLE_LEAD;
+    if (leadId) {
+      lead = await prisma.lead.findFirst({
+        where: {
+          id: leadId,
+          userId: req.user.id
+        }
+      });
+
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+    }
+
+    const sender = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, name: true, company: true }
+    });
+
+    const context = buildMergeContext(lead, sender, variables);
+
+    res.json({
+      success: true,
+      data: {
+        templateId: template.id,
+        leadId: lead.id || null,
+        subject: renderMergeFields(template.subject, context),
+        htmlContent: renderMergeFields(template.htmlContent, context, { html: true }),
+        textContent: renderMergeFields(template.textContent, context),
+        missingFields: findMissingFields(
+          [template.subject, template.htmlContent, template.textContent],
+          context
+        )
+      }
+    });
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// Email Tracking Routes (public - no authentication)
+// Open pixel and click redirects embedded in campaign emails
+const express = require('express');
+const {
+  TRACKING_PIXEL,
+  verifyToken,
+  verifyUrl
+} = require('../services/trackingService');
+const { recordCampaignEvent } = require('../services/campaignEventService');
+
+const router = express.Router();
+
+// Request details worth keeping on the EmailEvent
+const requestInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+// Open tracking pixel
+router.get('/open/:token', async (req, res) => {
+  const token = req.params.token.replace(/\.gif$/, '');
+  const campaignLeadId = verifyToken(token);
+
+  if (campaignLeadId) {
+    try {
+      await recordCampaignEvent(campaignLeadId, 'opened', requestInfo(req));
+    } catch (error) {
+      // Never break the image for the recipient
+      console.error('Open tracking error:', error);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Content-Length': TRACKING_PIXEL.length,
+    // Webmail clients load the pixel cross-origin; helmet defaults to same-origin
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    Pragma: 'no-cache',
+    Expires: '0'
+  });
+  res.end(TRACKING_PIXEL);
+});
+
+// Click tracking redirect
+router.get('/click/:token', async (req, res) => {
+  const { url, sig } = req.query;
+  const { token } = req.params;
+
+  if (!url || !/^https?:\/\//i.test(url) || !verifyUrl(token, url, sig)) {
+    return res.status(400).json({ error: 'Invalid tracking link' });
+  }
+
+  const campaignLeadId = verifyToken(token);
+  if (campaignLeadId) {
+    try {
+      await recordCampaignEvent(campaignLeadId, 'clicked', { ...requestInfo(req), url });
+    } catch (error) {
+      // Still send the recipient where they wanted to go
+      console.error('Click tracking error:', error);
+    }
+  }
+
+  res.redirect(302, url);
+});
+
+module.exports = router;
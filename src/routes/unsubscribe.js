@@ -0,0 +1,106 @@
+// Unsubscribe Routes (public - no authentication)
+// Landing page and RFC 8058 one-click unsubscribe for campaign emails
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { verifyToken } = require('../services/trackingService');
+const { recordCampaignEvent } = require('../services/campaignEventService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+// Minimal standalone page - recipients land here from their mail client
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="robots" content="noindex" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333; }
+main { max-width: 480px; margin: 80px auto; padding: 32px; background: #fff; border-radius: 8px; text-align: center; }
+button { padding: 10px 24px; font-size: 16px; border: 0; border-radius: 4px; background: #333; color: #fff; cursor: pointer; }
+</style>
+</head>
+<body><main><h1>${escapeHtml(title)}</h1>${body}</main></body>
+</html>`;
+
+// Look up the recipient behind a signed unsubscribe token
+const findRecipient = async (token) => {
+  const campaignLeadId = verifyToken(token, 'unsubscribe');
+  if (!campaignLeadId) return null;
+
+  return prisma.campaignLead.findUnique({
+    where: { id: campaignLeadId },
+    include: {
+      lead: { select: { email: true } },
+      campaign: { select: { user: { select: { company: true, name: true } } } }
+    }
+  });
+};
+
+// Unsubscribe confirmation page
+router.get('/:token', async (req, res) => {
+  try {
+    const campaignLead = await findRecipient(req.params.token);
+
+    if (!campaignLead) {
+      return res.status(404).send(renderPage('Link not valid', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    if (campaignLead.status === 'unsubscribed') {
+      return res.send(renderPage('You are unsubscribed', `<p>${escapeHtml(campaignLead.lead.email)} will no longer receive these emails.</p>`));
+    }
+
+    const sender = campaignLead.campaign.user.company || campaignLead.campaign.user.name;
+
+    res.send(renderPage('Unsubscribe', `
+<p>Stop emails${sender ? ` from ${escapeHtml(sender)}` : ''} to ${escapeHtml(campaignLead.lead.email)}?</p>
+<form method="POST" action="">
+<button type="submit">Unsubscribe</button>
+</form>`));
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// Unsubscribe (form submit and List-Unsubscribe-Post one-click)
+router.post('/:token', async (req, res) => {
+  const oneClick = req.body && req.body['List-Unsubscribe'] === 'One-Click';
+
+  try {
+    const campaignLead = await findRecipient(req.params.token);
+
+    if (!campaignLead) {
+      return oneClick
+        ? res.status(404).json({ success: false, error: 'Invalid unsubscribe link' })
+        : res.status(404).send(renderPage('Link not valid', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    await recordCampaignEvent(campaignLead.id, 'unsubscribed', {
+      method: oneClick ? 'one-click' : 'link',
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
+
+    if (oneClick) {
+      return res.json({ success: true });
+    }
+
+    res.send(renderPage('You are unsubscribed', `<p>${escapeHtml(campaignLead.lead.email)} will no longer receive these emails.</p>`));
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ success: false, error: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,58 @@
 // Email Webhook Handler
-// Handles inbound emails from SendGrid, AWS SES, etc.
+// Handles inbound emails and delivery events (delivered, bounce, open, click, ...)
+// from SendGrid, AWS SES, etc.
 
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticate } = require('../../middleware/auth');
+const {
+  recordCampaignEvent,
+  findCampaignLead,
+  findRepliedCampaignLead,
+} = require('../../services/campaignEventService');
+const {
+  verifySendGridSignature,
+  verifySnsMessage,
+  SENDGRID_WEBHOOK_PUBLIC_KEY,
+  SES_SNS_TOPIC_ARNS,
+} = require('../../services/webhookSignatureService');
+const { recomputeScoresForAddress, recomputeInBackground } = require('../../services/leadScoringService');
+const { recordLeadChanges } = require('../../services/leadTimelineService');
+const { addSuppression } = require('../../services/suppressionService');
+const { exitRepliedContact, exitInBackground } = require('../../services/sequenceExitService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Set WEBHOOK_SIGNATURE_VERIFICATION=false only for local testing
+const VERIFY_SIGNATURES = process.env.WEBHOOK_SIGNATURE_VERIFICATION !== 'false';
+
+// SendGrid event webhook types -> campaign event types (null = log only)
+const SENDGRID_EVENT_MAP = {
+  processed: null,
+  deferred: 'deferred',
+  delivered: 'delivered',
+  bounce: 'bounced',
+  dropped: 'bounced',
+  open: 'opened',
+  click: 'clicked',
+  spamreport: 'complained',
+  unsubscribe: 'unsubscribed',
+  group_unsubscribe: 'unsubscribed',
+  group_resubscribe: null,
+};
+
+// SES notification/event types -> campaign event types
+const SES_EVENT_MAP = {
+  Delivery: 'delivered',
+  Bounce: 'bounced',
+  Complaint: 'complained',
+  Open: 'opened',
+  Click: 'clicked',
+  Reject: 'bounced',
+  DeliveryDelay: 'deferred',
+};
+
 // SendGrid webhook (POST /webhooks/email/sendgrid)
 // Note: SendGrid Inbound Parse sends multipart/form-data, but we accept JSON for testing
 router.post('/sendgrid', async (req, res) => {
@@ -30,12 +75,39 @@ router.post('/sendgrid', async (req, res) => {
       return res.status(400).json({ error: 'Invalid webhook format' });
     }
     
+    const deliveryEvents = events.filter((event) => event.event && event.event in SENDGRID_EVENT_MAP);
+
+    // Delivery events must come from SendGrid's signed event webhook
+    if (deliveryEvents.length > 0 && VERIFY_SIGNATURES) {
+      if (!SENDGRID_WEBHOOK_PUBLIC_KEY) {
+        console.error('SendGrid event webhook rejected: SENDGRID_WEBHOOK_PUBLIC_KEY is not configured');
+        return res.status(403).json({ error: 'Webhook signature verification is not configured' });
+      }
+
+      const verified = verifySendGridSignature(
+        req.rawBody || (Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body)),
+        req.get('X-Twilio-Email-Event-Webhook-Signature'),
+        req.get('X-Twilio-Email-Event-Webhook-Timestamp')
+      );
+
+      if (!verified) {
+        console.warn('SendGrid event webhook signature verification failed');
+        return res.status(403).json({ error: 'Invalid webhook signature' });
+      }
+    }
+
     for (const event of events) {
+      if (event.event && event.event in SENDGRID_EVENT_MAP) {
+        await processSendGridEvent(event);
+        continue;
+      }
+
       // Handle both SendGrid event format and direct inbound email format
       if (event.event === 'inbound' || event.from) {
         await processInboundEmail({
           from: event.from || event.headers?.from,
           to: event.to || event.headers?.to,
+          cc: event.cc || event.headers?.cc,
           subject: event.subject || event.headers?.subject,
           text: event.text || event.plain || event['text/plain'],
           html: event.html || event['text/html'],
@@ -56,21 +128,56 @@ router.post('/sendgrid', async (req, res) => {
 });
 
 // AWS SES webhook (POST /webhooks/email/ses)
-router.post('/ses', express.json(), async (req, res) => {
+// SNS posts with Content-Type text/plain, so accept text and parse it ourselves
+router.post('/ses', express.text({ type: 'text/plain' }), async (req, res) => {
   try {
     // AWS SES sends notifications via SNS
     // For inbound emails, you typically use SES Receipt Rules with S3/Lambda
     // This is a simplified handler - adjust based on your SES setup
-    
-    const { Type, Message } = req.body;
-    
+
+    let snsMessage;
+    try {
+      snsMessage = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (parseError) {
+      return res.status(400).json({ error: 'Invalid SNS payload' });
+    }
+
+    // Without a topic allowlist any SNS topic could post here (and get subscribed)
+    if (SES_SNS_TOPIC_ARNS.length === 0) {
+      console.error('SES webhook rejected: SES_SNS_TOPIC_ARNS is not configured');
+      return res.status(403).json({ error: 'Webhook signature verification is not configured' });
+    }
+
+    if (VERIFY_SIGNATURES && !(await verifySnsMessage(snsMessage))) {
+      console.warn('SES/SNS signature verification failed');
+      return res.status(403).json({ error: 'Invalid webhook signature' });
+    }
+
+    const { Type, Message } = snsMessage;
+
+    // Confirm the SNS topic subscription so notifications start flowing
+    if (Type === 'SubscriptionConfirmation' && snsMessage.SubscribeURL) {
+      if (!SES_SNS_TOPIC_ARNS.includes(snsMessage.TopicArn)) {
+        console.warn(`SNS subscription for unknown topic ${snsMessage.TopicArn} not confirmed`);
+        return res.status(403).json({ error: 'Unknown SNS topic' });
+      }
+
+      await fetch(snsMessage.SubscribeURL);
+      console.log(`SNS subscription confirmed for ${snsMessage.TopicArn}`);
+      return res.status(200).send('OK');
+    }
+
     if (Type === 'Notification' && Message) {
       const message = JSON.parse(Message);
-      
-      if (message.notificationType === 'Received') {
+      const sesType = message.notificationType || message.eventType;
+
+      if (sesType in SES_EVENT_MAP) {
+        await processSesEvent(sesType, message);
+      } else if (sesType === 'Received') {
         await processInboundEmail({
           from: message.mail.commonHeaders.from?.[0],
-          to: message.mail.commonHeaders.to?.[0],
+          to: message.mail.commonHeaders.to?.join(', '),
+          cc: message.mail.commonHeaders.cc?.join(', '),
           subject: message.mail.commonHeaders.subject,
           text: message.content, // May need to fetch from S3
           html: null,
@@ -89,10 +196,148 @@ router.post('/ses', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * Apply a SendGrid event webhook event to its campaign recipient
+ * @param {Object} event - SendGrid event
+ */
+async function processSendGridEvent(event) {
+  let eventType = SENDGRID_EVENT_MAP[event.event];
+  if (!eventType) {
+    return;
+  }
+
+  // "blocked" bounces are temporary rejections, not a dead address
+  if (event.event === 'bounce' && event.type === 'blocked') {
+    eventType = 'deferred';
+  }
+
+  const campaignLead = await findCampaignLead({
+    campaignLeadId: event.campaign_lead_id,
+    // sg_message_id is "<X-Message-Id>.<filter suffix>"
+    messageId: event.sg_message_id?.split('.')[0],
+  });
+
+  if (!campaignLead) {
+    await processSequenceEvent(event.sequence_enrollment_id, eventType, event.email);
+    return;
+  }
+
+  await recordCampaignEvent(campaignLead.id, eventType, {
+    provider: 'sendgrid',
+    providerEvent: event.event,
+    email: event.email,
+    reason: event.reason,
+    bounceType: event.type,
+    url: event.url,
+    sgEventId: event.sg_event_id,
+  });
+}
+
+/**
+ * Apply an SES notification (or configuration set event) to its campaign recipient
+ * @param {string} sesType - Bounce, Complaint, Delivery, Open, Click, ...
+ * @param {Object} message - Parsed SES message
+ */
+async function processSesEvent(sesType, message) {
+  let eventType = SES_EVENT_MAP[sesType];
+
+  // Transient bounces (mailbox full, etc.) are retried by SES - not a hard bounce
+  if (sesType === 'Bounce' && message.bounce?.bounceType !== 'Permanent') {
+    eventType = 'deferred';
+  }
+
+  const campaignLead = await findCampaignLead({
+    campaignLeadId: message.mail?.tags?.campaign_lead_id?.[0],
+    messageId: message.mail?.messageId,
+  });
+
+  if (!campaignLead) {
+    await processSequenceEvent(
+      message.mail?.tags?.sequence_enrollment_id?.[0],
+      eventType,
+      message.mail?.destination?.[0]
+    );
+    return;
+  }
+
+  await recordCampaignEvent(campaignLead.id, eventType, {
+    provider: 'ses',
+    providerEvent: sesType,
+    bounceType: message.bounce?.bounceType,
+    bounceSubType: message.bounce?.bounceSubType,
+    complaintFeedbackType: message.complaint?.complaintFeedbackType,
+    url: message.click?.link,
+  });
+}
+
+// Delivery events that stop a sequence contact from being emailed again
+const SEQUENCE_SUPPRESSING_EVENTS = ['bounced', 'complained', 'unsubscribed'];
+
+/**
+ * Suppress a sequence recipient who bounced, complained or unsubscribed
+ * The suppression also takes the contact out of their sequences.
+ * @param {string} enrollmentId - sequence_enrollment_id echoed back by the provider
+ * @param {string} eventType - Mapped event type
+ * @param {string} email - Recipient address from the event (optional)
+ */
+async function processSequenceEvent(enrollmentId, eventType, email) {
+  if (!enrollmentId || !SEQUENCE_SUPPRESSING_EVENTS.includes(eventType)) {
+    return;
+  }
+
+  const enrollment = await prisma.sequenceEnrollment.findUnique({
+    where: { id: enrollmentId },
+    include: { contact: { select: { email: true } } },
+  });
+
+  if (!enrollment) {
+    return;
+  }
+
+  await addSuppression({
+    userId: enrollment.userId,
+    channel: 'email',
+    value: email || enrollment.contact.email,
+    reason: eventType,
+    source: 'sequence',
+    sourceId: enrollment.sequenceId,
+  });
+}
+
+// Lead statuses a campaign reply may move forward (qualified/converted leads keep their status)
+const REPLY_UPDATABLE_LEAD_STATUSES = ['new', 'contacted'];
+
+/**
+ * Record a reply against the campaign recipient it answers
+ * @param {Object} campaignLead - CampaignLead with lead included
+ * @param {Object} details - { messageId, conversationId, from }
+ */
+async function recordCampaignReply(campaignLead, details) {
+  await recordCampaignEvent(campaignLead.id, 'replied', {
+    ...details,
+    source: 'inbound_email',
+  });
+
+  const lead = await prisma.lead.findUnique({ where: { id: campaignLead.leadId } });
+
+  const { count } = await prisma.lead.updateMany({
+    where: {
+      id: campaignLead.leadId,
+      status: { in: REPLY_UPDATABLE_LEAD_STATUSES },
+    },
+    data: { status: 'replied' },
+  });
+
+  if (count > 0 && lead) {
+    await recordLeadChanges(lead, { status: 'replied' }, { source: 'campaign' });
+  }
+}
+
 // Generic inbound email processor
 async function processInboundEmail({
   from,
   to,
+  cc,
   subject,
   text,
   html,
@@ -120,6 +365,20 @@ async function processInboundEmail({
       throw new Error('Invalid email addresses');
     }
 
+    // Match replies to campaign emails back to the recipient they were sent to
+    const recipients = [to, cc]
+      .filter(Boolean)
+      .flatMap((list) => String(list).split(','))
+      .map(extractEmail)
+      .filter(Boolean);
+
+    let campaignLead = null;
+    try {
+      campaignLead = await findRepliedCampaignLead({ recipients, inReplyTo, references });
+    } catch (matchError) {
+      console.error('Error matching campaign reply:', matchError);
+    }
+
     // Find or create conversation
     // Check if this is a reply to an existing conversation
     let conversation = null;
@@ -153,6 +412,7 @@ async function processInboundEmail({
           where: {
             contactEmail: fromEmail,
             channel: 'email',
+            ...(campaignLead && { userId: campaignLead.campaign.userId }),
           },
           orderBy: { createdAt: 'desc' },
         });
@@ -162,21 +422,24 @@ async function processInboundEmail({
 
       // Create new conversation if none exists
       if (!conversation) {
-        // For now, assign to first user (in production, use routing logic)
+        // Campaign replies go to the campaign owner; otherwise assign to first user (in production, use routing logic)
         try {
-          const firstUser = await prisma.user.findFirst({
-            orderBy: { createdAt: 'asc' },
-          });
+          const owner = campaignLead
+            ? { id: campaignLead.campaign.userId }
+            : await prisma.user.findFirst({
+              orderBy: { createdAt: 'asc' },
+            });
           
-          if (!firstUser) {
+          if (!owner) {
             console.warn('No users found in database - cannot create conversation');
             return; // Skip processing if no users exist
           }
 
           conversation = await prisma.conversation.create({
             data: {
-              userId: firstUser.id,
+              userId: owner.id,
               contactEmail: fromEmail,
+              contactId: campaignLead ? campaignLead.leadId : undefined,
               contactName: from?.replace(/<.+>/, '').trim() || fromEmail.split('@')[0],
               channel: 'email',
               subject: subject || 'No Subject',
@@ -226,6 +489,25 @@ async function processInboundEmail({
       },
     });
 
+    if (campaignLead) {
+      await recordCampaignReply(campaignLead, {
+        messageId,
+        conversationId: conversation.id,
+        from: fromEmail,
+      });
+      console.log(`Inbound email matched campaign ${campaignLead.campaignId} recipient ${campaignLead.id}`);
+    }
+
+    recomputeInBackground(
+      recomputeScoresForAddress(conversation.userId, { email: fromEmail }),
+      `inbound email from ${fromEmail}`
+    );
+
+    exitInBackground(
+      exitRepliedContact({ userId: conversation.userId, email: fromEmail, inReplyTo, references }),
+      `inbound email from ${fromEmail}`
+    );
+
     console.log(`Inbound email processed: ${messageId || 'no-id'} -> Conversation ${conversation.id}`);
     return { conversation, message };
   } catch (error) {
@@ -3,6 +3,8 @@
 
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { recomputeScoresForAddress, recomputeInBackground } = require('../../services/leadScoringService');
+const { exitRepliedContact, exitInBackground } = require('../../services/sequenceExitService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -107,6 +109,16 @@ async function processInboundSMS({
       },
     });
 
+    recomputeInBackground(
+      recomputeScoresForAddress(conversation.userId, { phone: fromPhone }),
+      `inbound SMS from ${fromPhone}`
+    );
+
+    exitInBackground(
+      exitRepliedContact({ userId: conversation.userId, phone: fromPhone }),
+      `inbound SMS from ${fromPhone}`
+    );
+
     console.log(`Inbound SMS processed: ${messageId} -> Conversation ${conversation.id}`);
   } catch (error) {
     console.error('Process inbound SMS error:', error);
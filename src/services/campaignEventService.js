@@ -0,0 +1,271 @@
+// Campaign Event Service
+// Records EmailEvents for campaign recipients and keeps CampaignLead status
+// and the denormalized Campaign counters in sync.
+
+const { PrismaClient } = require('@prisma/client');
+const { addSuppression } = require('./suppressionService');
+const { parseCampaignMessageId, parseReplyAddress } = require('./trackingService');
+const { recomputeLeadScore, recomputeInBackground } = require('./leadScoringService');
+
+const prisma = new PrismaClient();
+
+// Engagement progression - a CampaignLead never moves backwards along this list
+const STATUS_RANK = {
+  pending: 0,
+  sending: 1,
+  failed: 1,
+  sent: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+  replied: 6,
+};
+
+// First-occurrence timestamp and Campaign counter for each event type
+const EVENT_FIELDS = {
+  opened: { timestamp: 'openedAt', counter: 'openCount' },
+  clicked: { timestamp: 'clickedAt', counter: 'clickCount' },
+  replied: { timestamp: 'repliedAt', counter: 'replyCount' },
+};
+
+// Negative outcomes override engagement status; value is the Campaign counter to bump (if any)
+const TERMINAL_STATUSES = {
+  bounced: 'bounceCount',
+  complained: null,
+  unsubscribed: null,
+};
+
+/**
+ * Find the CampaignLead a provider event refers to
+ * @param {Object} options
+ * @param {string} options.campaignLeadId - From custom args / message tags (preferred)
+ * @param {string} options.messageId - Provider message ID stored at send time
+ * @returns {Promise<Object|null>} - CampaignLead or null
+ */
+async function findCampaignLead({ campaignLeadId, messageId }) {
+  if (campaignLeadId) {
+    const campaignLead = await prisma.campaignLead.findUnique({
+      where: { id: campaignLeadId },
+    });
+    if (campaignLead) return campaignLead;
+  }
+
+  if (messageId) {
+    return prisma.campaignLead.findFirst({
+      where: { messageId },
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Find the CampaignLead an inbound email is replying to
+ * Checks the plus-addressed reply-to first, then every Message-ID in In-Reply-To/References
+ * against our own campaign Message-IDs and the provider message IDs stored at send time.
+ * @param {Object} options
+ * @param {string[]} options.recipients - To/Cc addresses of the inbound email
+ * @param {string} options.inReplyTo - In-Reply-To header
+ * @param {string|string[]} options.references - References header
+ * @returns {Promise<Object|null>} - CampaignLead with campaign and lead, or null
+ */
+async function findRepliedCampaignLead({ recipients = [], inReplyTo, references }) {
+  const include = { campaign: true, lead: true };
+
+  for (const address of recipients) {
+    const campaignLeadId = parseReplyAddress(address);
+    if (campaignLeadId) {
+      const campaignLead = await prisma.campaignLead.findUnique({ where: { id: campaignLeadId }, include });
+      if (campaignLead) return campaignLead;
+    }
+  }
+
+  // Most recent reference last, so check In-Reply-To first then walk References backwards
+  const messageIds = [inReplyTo, ...[].concat(references || []).flatMap((ref) => String(ref).split(/\s+/)).reverse()]
+    .map((id) => (id || '').trim())
+    .filter(Boolean);
+
+  if (messageIds.length === 0) {
+    return null;
+  }
+
+  const campaignLeadIds = messageIds.map(parseCampaignMessageId).filter(Boolean);
+  if (campaignLeadIds.length > 0) {
+    const campaignLead = await prisma.campaignLead.findFirst({
+      where: { id: { in: campaignLeadIds } },
+      include,
+    });
+    if (campaignLead) return campaignLead;
+  }
+
+  // Provider IDs: SES uses "<messageId@email.amazonses.com>", SendGrid "<X-Message-Id.filter...@...>"
+  const providerIds = messageIds.flatMap((id) => {
+    const localPart = id.replace(/^<|>$/g, '').split('@')[0];
+    return [localPart, localPart.split('.')[0]];
+  });
+
+  return prisma.campaignLead.findFirst({
+    where: { messageId: { in: Array.from(new Set(providerIds)) } },
+    include,
+  });
+}
+
+/**
+ * Record an event for a campaign recipient
+ * Every call creates an EmailEvent; counters only move on the first occurrence
+ * of each event type so Campaign stats reflect unique recipients.
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @param {string} eventType - opened, clicked, replied, ...
+ * @param {Object} eventData - Extra event data (user agent, url, provider payload)
+ * @returns {Promise<Object|null>} - { campaignLead, firstOccurrence } or null if not found
+ */
+async function recordCampaignEvent(campaignLeadId, eventType, eventData = {}) {
+  const campaignLead = await prisma.campaignLead.findUnique({
+    where: { id: campaignLeadId },
+  });
+
+  if (!campaignLead) {
+    return null;
+  }
+
+  const now = new Date();
+
+  await prisma.emailEvent.create({
+    data: {
+      campaignId: campaignLead.campaignId,
+      leadId: campaignLead.leadId,
+      eventType,
+      eventData: { ...eventData, timestamp: now.toISOString() },
+    },
+  });
+
+  if (eventType in TERMINAL_STATUSES) {
+    const firstOccurrence = await applyTerminalStatus(campaignLead, eventType);
+    await suppressRecipient(campaignLead, eventType);
+    return { campaignLead, firstOccurrence };
+  }
+
+  const firstOccurrence = await markFirstOccurrence(campaignLead, eventType, now);
+
+  // A click proves the email was opened even when images were blocked
+  if (eventType === 'clicked' && !campaignLead.openedAt) {
+    await markFirstOccurrence(campaignLead, 'opened', now);
+  }
+
+  await advanceStatus(campaignLead.id, eventType);
+
+  // Engagement feeds event-based scoring rules
+  recomputeInBackground(recomputeLeadScore(campaignLead.leadId), `lead ${campaignLead.leadId}`);
+
+  return { campaignLead, firstOccurrence };
+}
+
+/**
+ * Set the first-occurrence timestamp and bump the campaign (and variant) counter
+ * Uses a conditional update so concurrent events only count once.
+ * @returns {Promise<boolean>} - True if this was the first occurrence
+ */
+async function markFirstOccurrence(campaignLead, eventType, timestamp) {
+  const fields = EVENT_FIELDS[eventType];
+  if (!fields) {
+    return false;
+  }
+
+  const result = await prisma.campaignLead.updateMany({
+    where: { id: campaignLead.id, [fields.timestamp]: null },
+    data: { [fields.timestamp]: timestamp },
+  });
+
+  if (result.count === 0) {
+    return false;
+  }
+
+  await prisma.campaign.update({
+    where: { id: campaignLead.campaignId },
+    data: { [fields.counter]: { increment: 1 } },
+  });
+
+  // A/B variants keep the same counters for winner selection
+  if (campaignLead.variantId) {
+    await prisma.campaignVariant.updateMany({
+      where: { id: campaignLead.variantId },
+      data: { [fields.counter]: { increment: 1 } },
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Set a negative outcome status (bounced, complained, unsubscribed)
+ * The first negative outcome wins so repeated provider events never double count.
+ * @returns {Promise<boolean>} - True if the status changed
+ */
+async function applyTerminalStatus(campaignLead, status) {
+  const result = await prisma.campaignLead.updateMany({
+    where: { id: campaignLead.id, status: { notIn: Object.keys(TERMINAL_STATUSES) } },
+    data: { status },
+  });
+
+  if (result.count === 0) {
+    return false;
+  }
+
+  const counter = TERMINAL_STATUSES[status];
+  if (counter) {
+    await prisma.campaign.update({
+      where: { id: campaignLead.campaignId },
+      data: { [counter]: { increment: 1 } },
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Add a bounced, complaining or unsubscribed recipient to the account's suppression list
+ */
+async function suppressRecipient(campaignLead, reason) {
+  const [campaign, lead] = await Promise.all([
+    prisma.campaign.findUnique({ where: { id: campaignLead.campaignId }, select: { userId: true } }),
+    prisma.lead.findUnique({ where: { id: campaignLead.leadId }, select: { email: true } }),
+  ]);
+
+  if (!campaign || !lead?.email) {
+    return;
+  }
+
+  await addSuppression({
+    userId: campaign.userId,
+    channel: 'email',
+    value: lead.email,
+    reason,
+    source: 'campaign',
+    sourceId: campaignLead.campaignId,
+  });
+}
+
+/**
+ * Move CampaignLead.status forward if the event ranks higher than the current status
+ */
+async function advanceStatus(campaignLeadId, status) {
+  const rank = STATUS_RANK[status];
+  if (rank === undefined) {
+    return;
+  }
+
+  const lowerStatuses = Object.keys(STATUS_RANK).filter((s) => STATUS_RANK[s] < rank);
+
+  await prisma.campaignLead.updateMany({
+    where: { id: campaignLeadId, status: { in: lowerStatuses } },
+    data: { status },
+  });
+}
+
+module.exports = {
+  recordCampaignEvent,
+  findCampaignLead,
+  findRepliedCampaignLead,
+  STATUS_RANK,
+  TERMINAL_STATUSES,
+};
@@ -0,0 +1,265 @@
+// Campaign Scheduler
+// Background dispatcher that starts campaigns once their scheduledAt has passed,
+// sends A/B test winners once the test window ends, and resumes campaigns left
+// 'active' by a restarted process.
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { getRedisClient, isRedisReady } = require('../config/redis');
+const campaignService = require('./campaignService');
+const { getSendBudget } = require('./sendThrottleService');
+
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const LOCK_TTL_MS = parseInt(process.env.CAMPAIGN_SCHEDULER_LOCK_TTL_MS) || 10 * 60 * 1000;
+const BATCH_SIZE = 10;
+
+// Identifies this process when holding Redis locks
+const INSTANCE_ID = crypto.randomUUID();
+
+let schedulerInterval = null;
+let tickInProgress = false;
+
+/**
+ * Acquire a per-campaign dispatch lock
+ * Uses Redis when available so only one instance dispatches a campaign.
+ * Without Redis the per-recipient claim in campaignService still prevents double-sends.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} - True if this process may dispatch the campaign
+ */
+async function acquireLock(campaignId) {
+  if (!isRedisReady()) {
+    return true;
+  }
+
+  try {
+    const result = await getRedisClient().set(
+      `campaign:dispatch:${campaignId}`,
+      INSTANCE_ID,
+      'PX',
+      LOCK_TTL_MS,
+      'NX'
+    );
+    return result === 'OK';
+  } catch (error) {
+    console.error('Campaign scheduler lock error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Release a per-campaign dispatch lock held by this process
+ * @param {string} campaignId - Campaign ID
+ */
+async function releaseLock(campaignId) {
+  if (!isRedisReady()) {
+    return;
+  }
+
+  try {
+    const key = `campaign:dispatch:${campaignId}`;
+    const owner = await getRedisClient().get(key);
+    if (owner === INSTANCE_ID) {
+      await getRedisClient().del(key);
+    }
+  } catch (error) {
+    console.error('Campaign scheduler unlock error:', error.message);
+  }
+}
+
+// Extends the lock only while this process still owns it
+const RENEW_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+/**
+ * Extend a per-campaign dispatch lock held by this process
+ * Called between send batches so a long send keeps its lock past LOCK_TTL_MS.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<boolean>} - False if the lock expired and another process may own it
+ */
+async function renewLock(campaignId) {
+  if (!isRedisReady()) {
+    return true;
+  }
+
+  try {
+    const renewed = await getRedisClient().eval(
+      RENEW_LOCK_SCRIPT,
+      1,
+      `campaign:dispatch:${campaignId}`,
+      INSTANCE_ID,
+      LOCK_TTL_MS
+    );
+    return renewed === 1;
+  } catch (error) {
+    // Keep sending - the per-recipient claim still prevents double-sends
+    console.error('Campaign scheduler lock renewal error:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Dispatch a single campaign under lock
+ * Also used by the send route to start a campaign immediately instead of waiting for the next tick.
+ * @param {string} campaignId - Campaign ID
+ */
+async function dispatchCampaign(campaignId) {
+  if (campaignService.isSending(campaignId) || !(await acquireLock(campaignId))) {
+    return;
+  }
+
+  try {
+    const summary = await campaignService.sendCampaign(campaignId, {
+      // Stop if the lock was lost; whoever holds it now carries on
+      beforeBatch: () => renewLock(campaignId),
+    });
+    console.log(`Campaign ${campaignId} dispatched: ${summary.sent} sent, ${summary.failed} failed (${summary.status})`);
+  } catch (error) {
+    console.error(`Campaign ${campaignId} dispatch failed:`, error.message);
+  } finally {
+    await releaseLock(campaignId);
+  }
+}
+
+/**
+ * Run one scheduler pass
+ * 1. Claims due campaigns (scheduled -> active) with a conditional update so only one instance wins
+ * 2. Picks A/B winners for campaigns whose test window has ended (testing -> active)
+ * 3. Releases recipients stuck in 'sending' by a process that died mid-send
+ * 4. Resumes active campaigns that still have pending recipients (throttled, or after a restart),
+ *    least recently tried first so a few throttled campaigns can't starve the rest
+ * Dispatches are started without waiting for them; the lock and isSending keep each campaign
+ * to one send at a time.
+ */
+async function runSchedulerTick() {
+  if (tickInProgress) {
+    return;
+  }
+  tickInProgress = true;
+
+  try {
+    const now = new Date();
+
+    const dueCampaigns = await prisma.campaign.findMany({
+      where: {
+        status: 'scheduled',
+        scheduledAt: { lte: now },
+      },
+      select: { id: true },
+      orderBy: { scheduledAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    const toDispatch = [];
+
+    for (const { id } of dueCampaigns) {
+      const claimed = await prisma.campaign.updateMany({
+        where: { id, status: 'scheduled' },
+        data: { status: 'active', startedAt: now },
+      });
+
+      if (claimed.count === 1) {
+        toDispatch.push(id);
+      }
+    }
+
+    const finishedTests = await prisma.campaign.findMany({
+      where: {
+        status: 'testing',
+        abTestEndsAt: { lte: now },
+      },
+      select: { id: true },
+      take: BATCH_SIZE,
+    });
+
+    for (const { id } of finishedTests) {
+      try {
+        const winner = await campaignService.selectAbTestWinner(id);
+        if (winner) {
+          console.log(`A/B test for campaign ${id} won by variant ${winner.name}`);
+          toDispatch.push(id);
+        }
+      } catch (error) {
+        console.error(`A/B winner selection for campaign ${id} failed:`, error.message);
+      }
+    }
+
+    const released = await campaignService.releaseStaleClaims();
+    if (released > 0) {
+      console.log(`Released ${released} campaign recipients stuck in sending`);
+    }
+
+    const orphanedCampaigns = await prisma.campaign.findMany({
+      where: {
+        status: 'active',
+        campaignLeads: { some: { status: 'pending' } },
+      },
+      select: { id: true, userId: true, fromEmail: true },
+      orderBy: { lastDispatchAt: { sort: 'asc', nulls: 'first' } },
+      take: BATCH_SIZE,
+    });
+
+    // Counts as an attempt even when skipped below, so the next tick looks at other campaigns
+    await prisma.campaign.updateMany({
+      where: { id: { in: orphanedCampaigns.map((campaign) => campaign.id) } },
+      data: { lastDispatchAt: now },
+    });
+
+    for (const campaign of orphanedCampaigns) {
+      if (toDispatch.includes(campaign.id) || campaignService.isSending(campaign.id)) {
+        continue;
+      }
+
+      // Still over the account's limits - nothing would be sent
+      const budget = await getSendBudget({ userId: campaign.userId, fromEmail: campaign.fromEmail });
+      if (budget.remaining > 0) {
+        toDispatch.push(campaign.id);
+      }
+    }
+
+    for (const id of toDispatch) {
+      dispatchCampaign(id);
+    }
+  } catch (error) {
+    console.error('Campaign scheduler tick error:', error.message);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+/**
+ * Start the background scheduler
+ */
+function startCampaignScheduler() {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(runSchedulerTick, POLL_INTERVAL_MS);
+  // Pick up anything that became due (or was interrupted) while the process was down
+  setTimeout(runSchedulerTick, 5000);
+
+  console.log(`📅 Campaign scheduler started (interval ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop the background scheduler
+ */
+function stopCampaignScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+module.exports = {
+  startCampaignScheduler,
+  stopCampaignScheduler,
+  runSchedulerTick,
+  dispatchCampaign,
+};
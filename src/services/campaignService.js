@@ -0,0 +1,713 @@
+// Campaign Delivery Service
+// Sends campaign emails to each CampaignLead via the configured email service
+
+const { PrismaClient } = require('@prisma/client');
+const channelService = require('./channelService');
+const { buildMergeContext, renderMergeFields, validateRecipients } = require('./mergeFieldService');
+const {
+  addTracking,
+  buildUnsubscribeUrl,
+  buildCampaignMessageId,
+  buildReplyAddress,
+} = require('./trackingService');
+
+const { getSendBudget, getEmailDomain } = require('./sendThrottleService');
+const { verifyLeads } = require('./emailVerificationService');
+
+const UNSUBSCRIBE_MAILTO = process.env.UNSUBSCRIBE_MAILTO; // Optional mailto: fallback for List-Unsubscribe
+
+// Recipients loaded per pass; limits and pause state are re-checked between batches
+const SEND_BATCH_SIZE = 50;
+
+// A recipient still 'sending' this long after it was claimed belongs to a process that died
+const SEND_CLAIM_LEASE_MS = parseInt(process.env.CAMPAIGN_SEND_LEASE_MS) || 15 * 60 * 1000;
+
+const prisma = new PrismaClient();
+
+// Campaign IDs currently being sent by this process
+const activeSends = new Set();
+
+// Statuses in which a campaign's recipients and A/B variants can still be changed
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+// A/B winner metric -> CampaignVariant counter
+const WINNER_METRICS = {
+  open: 'openCount',
+  click: 'clickCount',
+  reply: 'replyCount',
+};
+
+/**
+ * Strip HTML tags to build a plain text fallback
+ * @param {string} html - HTML content
+ * @returns {string} - Plain text content
+ */
+function htmlToText(html) {
+  return html ? html.replace(/<[^>]*>/g, '') : '';
+}
+
+/**
+ * Resolve the subject and content a campaign sends
+ * When the campaign references an EmailTemplate, the template's subject/HTML/text win;
+ * the campaign's own fields fill any gaps the template leaves.
+ * An A/B variant overrides whichever fields it sets.
+ * @param {Object} campaign - Campaign record (with template included when templateId is set)
+ * @param {Object} variant - CampaignVariant (optional)
+ * @returns {Object} - { subject, htmlContent, textContent }
+ */
+function resolveCampaignContent(campaign, variant = null) {
+  const template = campaign.template || {};
+
+  const content = {
+    subject: template.subject || campaign.subject,
+    htmlContent: template.htmlContent || campaign.htmlContent,
+    textContent: template.htmlContent && !template.textContent
+      ? null
+      : template.textContent || campaign.textContent,
+  };
+
+  if (!variant) {
+    return content;
+  }
+
+  return {
+    subject: variant.subject || content.subject,
+    htmlContent: variant.htmlContent || (variant.textContent ? null : content.htmlContent),
+    textContent: variant.textContent || (variant.htmlContent ? null : content.textContent),
+  };
+}
+
+/**
+ * Render a campaign's subject and content for one lead
+ * An unsubscribe link is appended unless the content already uses {{unsubscribeUrl}}.
+ * @param {Object} campaign - Campaign record
+ * @param {Object} lead - Lead record
+ * @param {Object} sender - Sending user
+ * @param {Object} options
+ * @param {string} options.unsubscribeUrl - Signed unsubscribe link for this recipient (optional)
+ * @param {Object} options.variant - A/B variant this recipient receives (optional)
+ * @returns {Object} - { subject, html, text }
+ */
+function renderCampaignContent(campaign, lead, sender, { unsubscribeUrl, variant } = {}) {
+  const context = buildMergeContext(lead, sender, unsubscribeUrl ? { unsubscribeUrl } : {});
+  const content = resolveCampaignContent(campaign, variant);
+  let html = content.htmlContent;
+  let text = content.textContent || htmlToText(content.htmlContent);
+
+  if (unsubscribeUrl) {
+    if (html && !html.includes('unsubscribeUrl')) {
+      const footer = '<p style="font-size:12px;color:#888888;"><a href="{{unsubscribeUrl}}">Unsubscribe</a></p>';
+      html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${footer}</body>`) : `${html}${footer}`;
+    }
+    if (!text.includes('unsubscribeUrl')) {
+      text = `${text}\n\nUnsubscribe: {{unsubscribeUrl}}`;
+    }
+  }
+
+  return {
+    subject: renderMergeFields(content.subject, context),
+    html: html ? renderMergeFields(html, context, { html: true }) : undefined,
+    text: renderMergeFields(text, context),
+  };
+}
+
+/**
+ * List campaign recipients whose merge fields would render empty
+ * Checks the content of every A/B variant since any recipient may get any of them.
+ * @param {Object} campaign - Campaign record (with variants included when A/B testing)
+ * @param {Object[]} leads - Recipient leads
+ * @param {Object} sender - Sending user
+ * @returns {Object[]} - [{ id, email, missingFields }]
+ */
+function validateCampaignMergeFields(campaign, leads, sender) {
+  const variants = campaign.variants?.length > 0 ? campaign.variants : [null];
+  const texts = variants.flatMap((variant) => Object.values(resolveCampaignContent(campaign, variant)));
+
+  return validateRecipients(
+    texts,
+    leads,
+    sender,
+    // Filled in per recipient at send time
+    { unsubscribeUrl: 'unsubscribe' }
+  );
+}
+
+/**
+ * Deliver a campaign email to a single recipient
+ * Claims the CampaignLead (pending -> sending, stamped with claimedAt) first so concurrent sends
+ * never double-deliver; releaseStaleClaims returns claims abandoned by a dead process.
+ * Send failures are recorded as 'failed' EmailEvents instead of being thrown.
+ * @param {Object} campaign - Campaign record (with user included for sender merge fields)
+ * @param {Object} campaignLead - CampaignLead record with lead included
+ * @returns {Promise<Object>} - { status: 'sent' | 'failed' | 'suppressed' | 'skipped', messageId?, error? }
+ */
+async function deliverToLead(campaign, campaignLead) {
+  const claimed = await prisma.campaignLead.updateMany({
+    where: { id: campaignLead.id, status: 'pending' },
+    data: { status: 'sending', claimedAt: new Date() },
+  });
+
+  if (claimed.count === 0) {
+    return { status: 'skipped' };
+  }
+
+  const { lead } = campaignLead;
+  const variant = campaign.variants?.find((v) => v.id === campaignLead.variantId) || null;
+
+  let result;
+  try {
+    const unsubscribeUrl = buildUnsubscribeUrl(campaignLead.id);
+    const content = renderCampaignContent(campaign, lead, campaign.user, { unsubscribeUrl, variant });
+    const html = addTracking(content.html, campaignLead.id, {
+      trackOpens: campaign.trackOpens,
+      trackClicks: campaign.trackClicks,
+    });
+
+    result = await channelService.sendMessage({
+      channel: 'email',
+      userId: campaign.userId,
+      to: lead.email,
+      subject: content.subject,
+      htmlContent: html,
+      content: content.text,
+      from: campaign.fromEmail || undefined,
+      fromName: campaign.fromName || undefined,
+      // Plus-addressed reply-to (when configured) routes replies back through inbound parse
+      replyTo: buildReplyAddress(campaignLead.id) || campaign.replyTo || undefined,
+      headers: {
+        // Replies quote this in In-Reply-To/References so they can be matched to the recipient
+        'Message-ID': buildCampaignMessageId(campaignLead.id),
+        // RFC 8058 one-click unsubscribe
+        'List-Unsubscribe': [`<${unsubscribeUrl}>`, UNSUBSCRIBE_MAILTO && `<mailto:${UNSUBSCRIBE_MAILTO}>`]
+          .filter(Boolean)
+          .join(', '),
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+      // Echoed back by SendGrid/SES delivery webhooks to find this recipient
+      customArgs: {
+        campaign_id: campaign.id,
+        campaign_lead_id: campaignLead.id,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'RECIPIENT_SUPPRESSED') {
+      await prisma.$transaction([
+        prisma.campaignLead.update({
+          where: { id: campaignLead.id },
+          data: { status: 'suppressed' },
+        }),
+        prisma.emailEvent.create({
+          data: {
+            campaignId: campaign.id,
+            leadId: lead.id,
+            eventType: 'suppressed',
+            eventData: {
+              reason: error.reason,
+              timestamp: new Date().toISOString(),
+            },
+          },
+        }),
+      ]);
+
+      return { status: 'suppressed', error: error.message };
+    }
+
+    console.error(`Campaign ${campaign.id} delivery to ${lead.email} failed:`, error.message);
+
+    await prisma.$transaction([
+      prisma.campaignLead.update({
+        where: { id: campaignLead.id },
+        data: { status: 'failed' },
+      }),
+      prisma.emailEvent.create({
+        data: {
+          campaignId: campaign.id,
+          leadId: lead.id,
+          eventType: 'failed',
+          eventData: {
+            error: error.message,
+            timestamp: new Date().toISOString(),
+          },
+        },
+      }),
+    ]);
+
+    return { status: 'failed', error: error.message };
+  }
+
+  const sentAt = new Date();
+
+  // The message is out, so a failed write must not mark it 'failed'; the claim is left
+  // for releaseStaleClaims instead
+  try {
+    await prisma.$transaction([
+      // Only from 'sending': a fast delivery webhook may already have moved the recipient on
+      prisma.campaignLead.updateMany({
+        where: { id: campaignLead.id, status: 'sending' },
+        data: { status: 'sent' },
+      }),
+      prisma.campaignLead.update({
+        where: { id: campaignLead.id },
+        data: {
+          sentAt,
+          messageId: result.messageId,
+        },
+      }),
+      prisma.emailEvent.create({
+        data: {
+          campaignId: campaign.id,
+          leadId: lead.id,
+          eventType: 'sent',
+          eventData: {
+            messageId: result.messageId,
+            service: result.service,
+            variantId: variant?.id,
+            timestamp: sentAt.toISOString(),
+          },
+        },
+      }),
+      prisma.campaign.update({
+        where: { id: campaign.id },
+        data: { sentCount: { increment: 1 } },
+      }),
+      ...(variant ? [
+        prisma.campaignVariant.update({
+          where: { id: variant.id },
+          data: { sentCount: { increment: 1 } },
+        }),
+      ] : []),
+      prisma.lead.update({
+        where: { id: lead.id },
+        data: { lastContactedAt: sentAt },
+      }),
+    ]);
+  } catch (error) {
+    console.error(`Campaign ${campaign.id} delivered to ${lead.email} but recording the send failed:`, error.message);
+  }
+
+  return { status: 'sent', messageId: result.messageId };
+}
+
+/**
+ * Put recipients whose send claim has expired back to 'pending'
+ * A claim only outlives its lease when the process died mid-send, so the recipient may
+ * (rarely) get the email twice rather than never. Claims from before claimedAt existed
+ * have no timestamp and are released too.
+ * @returns {Promise<number>} - Number of recipients released
+ */
+async function releaseStaleClaims() {
+  const { count } = await prisma.campaignLead.updateMany({
+    where: {
+      status: 'sending',
+      OR: [
+        { claimedAt: null },
+        { claimedAt: { lt: new Date(Date.now() - SEND_CLAIM_LEASE_MS) } },
+      ],
+    },
+    data: { status: 'pending', claimedAt: null },
+  });
+
+  return count;
+}
+
+/**
+ * Split a campaign's unassigned recipients across its A/B variants
+ * With abTestPercent set only that share is assigned; the rest are 'held' until a winner is picked.
+ * Runs once per campaign - recipients that already have a variant (or are held) are left alone.
+ * @param {Object} campaign - Campaign record with variants included
+ */
+async function assignVariants(campaign) {
+  if (!campaign.variants?.length || campaign.abWinnerVariantId) {
+    return;
+  }
+
+  const alreadyAssigned = await prisma.campaignLead.count({
+    where: {
+      campaignId: campaign.id,
+      OR: [{ variantId: { not: null } }, { status: 'held' }],
+    },
+  });
+
+  if (alreadyAssigned > 0) {
+    return;
+  }
+
+  const pending = await prisma.campaignLead.findMany({
+    where: { campaignId: campaign.id, status: 'pending' },
+    select: { id: true },
+  });
+
+  // Shuffle so the split isn't biased by insertion order
+  const ids = pending.map((cl) => cl.id);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  const testSize = campaign.abTestPercent && campaign.abWinnerWaitHours
+    ? Math.max(campaign.variants.length, Math.round(ids.length * campaign.abTestPercent / 100))
+    : ids.length;
+  const testIds = ids.slice(0, testSize);
+  const heldIds = ids.slice(testSize);
+
+  // Equal split when no variant has a positive weight
+  let weights = campaign.variants.map((v) => Math.max(v.weight || 0, 0));
+  if (weights.every((w) => w === 0)) {
+    weights = weights.map(() => 1);
+  }
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  let start = 0;
+  let cumulativeWeight = 0;
+
+  const updates = campaign.variants.map((variant, index) => {
+    cumulativeWeight += weights[index];
+    const end = Math.round(testIds.length * cumulativeWeight / totalWeight);
+    const slice = testIds.slice(start, end);
+    start = end;
+
+    return prisma.campaignLead.updateMany({
+      where: { id: { in: slice } },
+      data: { variantId: variant.id },
+    });
+  });
+
+  if (heldIds.length > 0) {
+    updates.push(prisma.campaignLead.updateMany({
+      where: { id: { in: heldIds } },
+      data: { status: 'held' },
+    }));
+  }
+
+  await prisma.$transaction(updates);
+}
+
+/**
+ * Exclude queued recipients whose email verdict the campaign skips (excludeEmailVerdicts)
+ * Recipients that were never verified are checked first, so leads added since are caught too.
+ * Each excluded recipient gets an 'excluded' EmailEvent with the verdict and reasons.
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<number>} - Recipients excluded
+ */
+async function excludeRecipientsByVerdict(campaign) {
+  const verdicts = campaign.excludeEmailVerdicts || [];
+  if (verdicts.length === 0) {
+    return 0;
+  }
+
+  const queued = { campaignId: campaign.id, status: { in: ['pending', 'held'] } };
+
+  const unverified = await prisma.campaignLead.findMany({
+    where: { ...queued, lead: { emailVerdict: null } },
+    select: { leadId: true },
+  });
+
+  if (unverified.length > 0) {
+    await verifyLeads(unverified.map((cl) => cl.leadId));
+  }
+
+  const excluded = await prisma.campaignLead.findMany({
+    where: { ...queued, lead: { emailVerdict: { in: verdicts } } },
+    include: { lead: { select: { emailVerdict: true, emailVerdictReasons: true } } },
+  });
+
+  if (excluded.length === 0) {
+    return 0;
+  }
+
+  const timestamp = new Date().toISOString();
+
+  await prisma.$transaction([
+    prisma.campaignLead.updateMany({
+      where: { ...queued, id: { in: excluded.map((cl) => cl.id) } },
+      data: { status: 'excluded' },
+    }),
+    prisma.emailEvent.createMany({
+      data: excluded.map((cl) => ({
+        campaignId: campaign.id,
+        leadId: cl.leadId,
+        eventType: 'excluded',
+        eventData: {
+          verdict: cl.lead.emailVerdict,
+          reasons: cl.lead.emailVerdictReasons,
+          timestamp,
+        },
+      })),
+    }),
+  ]);
+
+  return excluded.length;
+}
+
+/**
+ * Pick the A/B winner by the campaign's metric and release held recipients to it
+ * The campaign moves testing -> active with a conditional update so only one caller wins.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} variantId - Force a winner instead of picking by metric (optional)
+ * @returns {Promise<Object|null>} - Winning variant, or null if the campaign wasn't awaiting a winner
+ */
+async function selectAbTestWinner(campaignId, variantId = null) {
+  const campaign = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    include: { variants: { orderBy: { name: 'asc' } } },
+  });
+
+  if (!campaign || campaign.status !== 'testing' || campaign.variants.length === 0) {
+    return null;
+  }
+
+  const counter = WINNER_METRICS[campaign.abWinnerMetric] || WINNER_METRICS.open;
+  const rate = (v) => (v.sentCount > 0 ? v[counter] / v.sentCount : 0);
+
+  const winner = variantId
+    ? campaign.variants.find((v) => v.id === variantId)
+    : campaign.variants.reduce((best, v) => (rate(v) > rate(best) ? v : best));
+
+  if (!winner) {
+    throw new Error('Variant not found');
+  }
+
+  const claimed = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'testing' },
+    data: { status: 'active', abWinnerVariantId: winner.id },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  await prisma.campaignLead.updateMany({
+    where: { campaignId, status: 'held' },
+    data: { status: 'pending', variantId: winner.id },
+  });
+
+  return winner;
+}
+
+/**
+ * Send a campaign to all of its pending recipients
+ * Moves the campaign to 'active' while sending and 'completed' once every recipient is processed.
+ * Sending stops early when the account's limits are reached ('throttled' - resumed by the scheduler)
+ * or the campaign is paused.
+ * A/B tests with held recipients go to 'testing' until the winner is sent to the rest.
+ * Recipients whose email verdict is in excludeEmailVerdicts are excluded before anything is sent.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} options
+ * @param {Function} options.beforeBatch - Called before each batch; resolving false stops the
+ *   send ('interrupted', the campaign stays active for the scheduler)
+ * @returns {Promise<Object>} - Delivery summary { sent, failed, suppressed, excluded, skipped, errors, status }
+ *   status: completed, testing, throttled, paused or interrupted
+ */
+async function sendCampaign(campaignId, options = {}) {
+  activeSends.add(campaignId);
+
+  try {
+    return await runCampaignSend(campaignId, options);
+  } finally {
+    activeSends.delete(campaignId);
+  }
+}
+
+/**
+ * Add leads to a campaign as pending recipients and refresh totalLeads
+ * Leads already in the campaign are left as they are.
+ * @param {string} campaignId - Campaign ID
+ * @param {string[]} leadIds - Lead IDs (already checked to belong to the campaign owner)
+ * @returns {Promise<Object>} - { added, totalLeads }
+ */
+async function addCampaignRecipients(campaignId, leadIds) {
+  const { count: added } = leadIds.length > 0
+    ? await prisma.campaignLead.createMany({
+      data: leadIds.map(leadId => ({
+        campaignId,
+        leadId,
+        status: 'pending',
+      })),
+      skipDuplicates: true,
+    })
+    : { count: 0 };
+
+  const totalLeads = await prisma.campaignLead.count({ where: { campaignId } });
+
+  await prisma.campaign.update({
+    where: { id: campaignId },
+    data: { totalLeads },
+  });
+
+  return { added, totalLeads };
+}
+
+/**
+ * Check whether this process is currently sending a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {boolean}
+ */
+function isSending(campaignId) {
+  return activeSends.has(campaignId);
+}
+
+async function runCampaignSend(campaignId, { beforeBatch } = {}) {
+  const campaign = await prisma.campaign.findUnique({
+    where: { id: campaignId },
+    include: {
+      user: { select: { id: true, email: true, name: true, company: true } },
+      template: true,
+      variants: true,
+    },
+  });
+
+  if (!campaign) {
+    throw new Error('Campaign not found');
+  }
+
+  const summary = { sent: 0, failed: 0, suppressed: 0, excluded: 0, skipped: 0, errors: [] };
+
+  if (campaign.status === 'paused') {
+    summary.status = 'paused';
+    return summary;
+  }
+
+  // Before the A/B split, so excluded recipients don't take up test slots
+  summary.excluded = await excludeRecipientsByVerdict(campaign);
+
+  await assignVariants(campaign);
+
+  await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: {
+      status: 'active',
+      startedAt: campaign.startedAt || new Date(),
+    },
+  });
+
+  let throttled = false;
+
+  for (;;) {
+    // Pausing the campaign stops the remaining queue between batches
+    const current = await prisma.campaign.findUnique({
+      where: { id: campaign.id },
+      select: { status: true },
+    });
+
+    if (!current || current.status === 'paused') {
+      summary.status = 'paused';
+      return summary;
+    }
+
+    if (beforeBatch && !(await beforeBatch())) {
+      summary.status = 'interrupted';
+      return summary;
+    }
+
+    const budget = await getSendBudget({ userId: campaign.userId, fromEmail: campaign.fromEmail });
+    if (budget.remaining === 0) {
+      throttled = true;
+      break;
+    }
+
+    const cappedDomains = Object.keys(budget.domainRemaining).filter((domain) => budget.domainRemaining[domain] === 0);
+
+    const batch = await prisma.campaignLead.findMany({
+      where: {
+        campaignId: campaign.id,
+        status: 'pending',
+        ...(cappedDomains.length > 0 && {
+          lead: {
+            AND: cappedDomains.map((domain) => ({
+              NOT: { email: { endsWith: `@${domain}`, mode: 'insensitive' } },
+            })),
+          },
+        }),
+      },
+      include: { lead: true },
+      orderBy: { id: 'asc' },
+      take: Math.min(budget.remaining, SEND_BATCH_SIZE),
+    });
+
+    if (batch.length === 0) {
+      // Anything still pending is waiting on a per-domain cap
+      throttled = cappedDomains.length > 0 && (await prisma.campaignLead.count({
+        where: { campaignId: campaign.id, status: 'pending' },
+      })) > 0;
+      break;
+    }
+
+    // Keep within per-domain caps inside the batch; the rest wait for the next pass
+    const domainRemaining = { ...budget.domainRemaining };
+    const toSend = batch.filter((campaignLead) => {
+      const domain = getEmailDomain(campaignLead.lead.email);
+      if (!(domain in domainRemaining)) return true;
+      if (domainRemaining[domain] === 0) return false;
+      domainRemaining[domain] -= 1;
+      return true;
+    });
+
+    for (let i = 0; i < toSend.length; i += budget.maxConcurrent) {
+      const chunk = toSend.slice(i, i + budget.maxConcurrent);
+      const results = await Promise.all(chunk.map((campaignLead) => deliverToLead(campaign, campaignLead)));
+
+      results.forEach((result, index) => {
+        summary[result.status] += 1;
+
+        if (result.status === 'failed') {
+          summary.errors.push({
+            leadId: chunk[index].leadId,
+            email: chunk[index].lead.email,
+            error: result.error,
+          });
+        }
+      });
+    }
+  }
+
+  // Over a limit - the campaign stays active and the scheduler resumes it later
+  if (throttled) {
+    summary.status = 'throttled';
+    return summary;
+  }
+
+  const heldCount = await prisma.campaignLead.count({
+    where: { campaignId: campaign.id, status: 'held' },
+  });
+
+  if (heldCount > 0) {
+    const now = new Date();
+    summary.status = 'testing';
+    await prisma.campaign.update({
+      where: { id: campaign.id },
+      data: {
+        status: 'testing',
+        abTestEndsAt: campaign.abTestEndsAt
+          || new Date(now.getTime() + campaign.abWinnerWaitHours * 60 * 60 * 1000),
+      },
+    });
+    return summary;
+  }
+
+  summary.status = 'completed';
+  await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: {
+      status: 'completed',
+      completedAt: new Date(),
+    },
+  });
+
+  return summary;
+}
+
+module.exports = {
+  sendCampaign,
+  isSending,
+  selectAbTestWinner,
+  addCampaignRecipients,
+  excludeRecipientsByVerdict,
+  deliverToLead,
+  releaseStaleClaims,
+  resolveCampaignContent,
+  renderCampaignContent,
+  validateCampaignMergeFields,
+  htmlToText,
+  WINNER_METRICS,
+  EDITABLE_STATUSES,
+};
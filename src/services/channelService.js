@@ -3,6 +3,7 @@
 
 const emailService = require('./emailService');
 const smsService = require('./smsService');
+const { checkSuppression } = require('./suppressionService');
 
 /**
  * Send message via appropriate channel
@@ -17,15 +18,41 @@ const smsService = require('./smsService');
  * @param {string} options.replyTo - Reply-to address (for email)
  * @param {string} options.inReplyTo - In-Reply-To header (for email threading)
  * @param {string} options.references - References header (for email threading)
+ * @param {Object} options.headers - Extra email headers, e.g. List-Unsubscribe (optional)
+ * @param {Object} options.customArgs - Values echoed back in delivery webhooks (for email)
+ * @param {string} options.userId - Sending account; used to enforce its suppression list
  * @returns {Promise<Object>} - Result with success status and messageId
  */
 async function sendMessage(options) {
-  const { channel, to, content, subject, htmlContent, from, fromName, replyTo, inReplyTo, references } = options;
+  const {
+    channel,
+    to,
+    content,
+    subject,
+    htmlContent,
+    from,
+    fromName,
+    replyTo,
+    inReplyTo,
+    references,
+    headers,
+    customArgs,
+    userId,
+  } = options;
 
   if (!channel || !to || !content) {
     throw new Error('Missing required fields: channel, to, and content');
   }
 
+  // Never contact an address that bounced, complained, unsubscribed or opted out
+  const suppression = await checkSuppression(userId, channel, to);
+  if (suppression) {
+    const error = new Error(`Recipient ${to} is suppressed (${suppression.reason})`);
+    error.code = 'RECIPIENT_SUPPRESSED';
+    error.reason = suppression.reason;
+    throw error;
+  }
+
   switch (channel.toLowerCase()) {
     case 'email':
       return await emailService.sendEmail({
@@ -38,6 +65,8 @@ async function sendMessage(options) {
         replyTo,
         inReplyTo,
         references,
+        headers,
+        customArgs,
       });
 
     case 'sms':
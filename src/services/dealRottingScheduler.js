@@ -0,0 +1,61 @@
+// Deal Rotting Scheduler
+// Background runner that flags deals that have outstayed their stage's rottingDays
+
+const { flagRottingDeals } = require('./dealRottingService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.DEAL_ROTTING_INTERVAL_MS) || 60 * 60 * 1000;
+
+let schedulerInterval = null;
+let tickInProgress = false;
+
+/**
+ * Run one rotting pass
+ */
+async function runDealRottingTick() {
+  if (tickInProgress) {
+    return;
+  }
+  tickInProgress = true;
+
+  try {
+    const { flagged, cleared, tasks } = await flagRottingDeals();
+    if (flagged > 0 || cleared > 0) {
+      console.log(`Deal rotting: ${flagged} flagged, ${cleared} cleared, ${tasks} follow-up tasks created`);
+    }
+  } catch (error) {
+    console.error('Deal rotting tick error:', error.message);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+/**
+ * Start the background scheduler
+ */
+function startDealRottingScheduler() {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(runDealRottingTick, POLL_INTERVAL_MS);
+  // Catch up on deals that started rotting while the process was down
+  setTimeout(runDealRottingTick, 30 * 1000);
+
+  console.log(`🕒 Deal rotting scheduler started (interval ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop the background scheduler
+ */
+function stopDealRottingScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+module.exports = {
+  startDealRottingScheduler,
+  stopDealRottingScheduler,
+  runDealRottingTick,
+};
@@ -0,0 +1,179 @@
+// Deal Rotting Service
+// Finds open deals that have sat on a stage longer than the stage's rottingDays, flags them
+// (Deal.rottingSince) and, for pipelines with rottingTasks on, gives the owner a follow-up task
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days a deal has been on its current stage
+ * @param {Object} deal - Deal with stageEnteredAt
+ * @param {Date} now
+ * @returns {number}
+ */
+function getDaysInStage(deal, now = new Date()) {
+  return Math.floor((now - deal.stageEnteredAt) / DAY_MS);
+}
+
+// Open stages with a rotting threshold
+function findRottingStages(where = {}) {
+  return prisma.pipelineStage.findMany({
+    where: { ...where, type: 'open', rottingDays: { gt: 0 } },
+    include: { pipeline: { select: { id: true, name: true, userId: true, rottingTasks: true } } },
+  });
+}
+
+// Deals that entered the stage at or before this moment are rotting
+function getRottingCutoff(stage, now) {
+  return new Date(now.getTime() - stage.rottingDays * DAY_MS);
+}
+
+/**
+ * List an account's rotting deals grouped by owner
+ * Worked out from stageEnteredAt at request time, so deals show up even before the
+ * rotting job has flagged them.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} filters
+ * @param {string} filters.pipelineId - Only this pipeline (optional)
+ * @param {string} filters.ownerId - Only this owner (optional)
+ * @returns {Promise<Object>} - { owners: [{ ownerId, owner, count, totalValue, deals }], total }
+ */
+async function getRottingDeals(userId, { pipelineId, ownerId } = {}) {
+  const now = new Date();
+  const stages = await findRottingStages({
+    pipeline: { userId, ...(pipelineId && { id: pipelineId }) },
+  });
+
+  if (stages.length === 0) {
+    return { owners: [], total: 0 };
+  }
+
+  const deals = await prisma.deal.findMany({
+    where: {
+      userId,
+      ...(ownerId && { ownerId }),
+      OR: stages.map(stage => ({ stageId: stage.id, stageEnteredAt: { lte: getRottingCutoff(stage, now) } })),
+    },
+    include: {
+      company: { select: { id: true, name: true } },
+      pipeline: { select: { id: true, name: true } },
+      pipelineStage: { select: { id: true, name: true, rottingDays: true } },
+    },
+    orderBy: { stageEnteredAt: 'asc' },
+  });
+
+  const groups = new Map();
+  for (const deal of deals) {
+    const key = deal.ownerId || null;
+    if (!groups.has(key)) {
+      groups.set(key, { ownerId: key, owner: null, count: 0, totalValue: 0, deals: [] });
+    }
+
+    const group = groups.get(key);
+    const daysInStage = getDaysInStage(deal, now);
+    group.count += 1;
+    group.totalValue += Number(deal.value);
+    group.deals.push({
+      ...deal,
+      daysInStage,
+      daysRotting: daysInStage - deal.pipelineStage.rottingDays,
+    });
+  }
+
+  const ownerIds = [...groups.keys()].filter(Boolean);
+  const owners = ownerIds.length > 0
+    ? await prisma.user.findMany({
+      where: { id: { in: ownerIds } },
+      select: { id: true, name: true, email: true },
+    })
+    : [];
+  for (const owner of owners) {
+    groups.get(owner.id).owner = owner;
+  }
+
+  return {
+    owners: [...groups.values()].sort((a, b) => b.count - a.count),
+    total: deals.length,
+  };
+}
+
+/**
+ * Flag deals that have started rotting and clear flags that no longer apply
+ * Each deal is claimed (rottingSince set only while still null) so a deal is flagged, and
+ * gets a follow-up task, once per stay on a stage even with several instances running.
+ * @returns {Promise<Object>} - { flagged, cleared, tasks }
+ */
+async function flagRottingDeals() {
+  const now = new Date();
+  const summary = { flagged: 0, cleared: 0, tasks: 0 };
+
+  const stages = await findRottingStages();
+
+  for (const stage of stages) {
+    const cutoff = getRottingCutoff(stage, now);
+
+    // Deals back inside the threshold, e.g. after rottingDays was raised
+    const { count: cleared } = await prisma.deal.updateMany({
+      where: { stageId: stage.id, rottingSince: { not: null }, stageEnteredAt: { gt: cutoff } },
+      data: { rottingSince: null },
+    });
+    summary.cleared += cleared;
+
+    const deals = await prisma.deal.findMany({
+      where: { stageId: stage.id, stageEnteredAt: { lte: cutoff }, rottingSince: null },
+      select: { id: true, userId: true, ownerId: true, companyId: true, name: true, stageEnteredAt: true },
+    });
+
+    for (const deal of deals) {
+      const { count } = await prisma.deal.updateMany({
+        where: { id: deal.id, stageId: stage.id, rottingSince: null },
+        data: { rottingSince: now },
+      });
+      if (count === 0) continue;
+      summary.flagged += 1;
+
+      if (stage.pipeline.rottingTasks) {
+        const daysInStage = getDaysInStage(deal, now);
+        await prisma.activity.create({
+          data: {
+            userId: deal.userId,
+            dealId: deal.id,
+            companyId: deal.companyId,
+            type: 'task',
+            subject: `Follow up on ${deal.name}`,
+            description: `${deal.name} has been in ${stage.name} for ${daysInStage} days (rotting after ${stage.rottingDays}).`,
+            dueDate: now,
+            assignedTo: deal.ownerId || deal.userId,
+            priority: 'high',
+            metadata: { reason: 'deal_rotting', stageId: stage.id, daysInStage },
+          },
+        });
+        summary.tasks += 1;
+      }
+    }
+  }
+
+  // Deals whose stage no longer rots (threshold removed, stage now won/lost, stage deleted)
+  const { count: stale } = await prisma.deal.updateMany({
+    where: {
+      rottingSince: { not: null },
+      OR: [
+        { stageId: null },
+        { pipelineStage: { OR: [{ rottingDays: null }, { rottingDays: { lte: 0 } }, { type: { not: 'open' } }] } },
+      ],
+    },
+    data: { rottingSince: null },
+  });
+  summary.cleared += stale;
+
+  return summary;
+}
+
+module.exports = {
+  getDaysInStage,
+  getRottingDeals,
+  flagRottingDeals,
+};
@@ -8,6 +8,7 @@ const AWS_SES_ACCESS_KEY = process.env.AWS_SES_ACCESS_KEY;
 const AWS_SES_SECRET_KEY = process.env.AWS_SES_SECRET_KEY;
 const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@leadsite.ai';
 const FROM_NAME = process.env.FROM_NAME || 'LeadSite.AI';
+const SES_CONFIGURATION_SET = process.env.SES_CONFIGURATION_SET; // Required for SES open/click/delivery event publishing
 
 let sendgridClient = null;
 let sesClient = null;
@@ -51,6 +52,8 @@ if (EMAIL_SERVICE === 'ses' && AWS_SES_ACCESS_KEY && AWS_SES_SECRET_KEY) {
  * @param {string} options.replyTo - Reply-to email (optional)
  * @param {string} options.inReplyTo - In-Reply-To header for threading (optional)
  * @param {string} options.references - References header for threading (optional)
+ * @param {Object} options.customArgs - Key/value pairs echoed back in delivery webhooks (optional)
+ * @param {Object} options.headers - Additional headers, e.g. List-Unsubscribe (optional)
  * @returns {Promise<Object>} - Result with success status and messageId
  */
 async function sendEmail({
@@ -63,6 +66,8 @@ async function sendEmail({
   replyTo,
   inReplyTo,
   references,
+  customArgs,
+  headers,
 }) {
   if (!to || !subject || (!text && !html)) {
     throw new Error('Missing required email fields: to, subject, and text/html');
@@ -97,10 +102,12 @@ async function sendEmail({
         text,
         html,
         ...(replyTo && { replyTo }),
-        ...(inReplyTo && {
+        ...(customArgs && { customArgs }),
+        ...((inReplyTo || headers) && {
           headers: {
-            'In-Reply-To': inReplyTo,
-            ...(references && { References: references }),
+            ...headers,
+            ...(inReplyTo && { 'In-Reply-To': inReplyTo }),
+            ...(inReplyTo && references && { References: references }),
           },
         }),
       };
@@ -117,6 +124,44 @@ async function sendEmail({
     }
   }
 
+  // AWS SES with custom headers - SendEmail can't carry them, so send a raw MIME message
+  if (EMAIL_SERVICE === 'ses' && sesClient && headers) {
+    try {
+      const { SendRawEmailCommand } = require('@aws-sdk/client-ses');
+
+      const rawMessage = buildRawEmail({
+        from: `${fromName} <${from}>`,
+        to,
+        subject,
+        text,
+        html,
+        headers: {
+          ...(replyTo && { 'Reply-To': replyTo }),
+          ...(inReplyTo && { 'In-Reply-To': inReplyTo }),
+          ...(references && { References: references }),
+          ...headers,
+        },
+      });
+
+      const response = await sesClient.send(new SendRawEmailCommand({
+        RawMessage: { Data: Buffer.from(rawMessage) },
+        ...(SES_CONFIGURATION_SET && { ConfigurationSetName: SES_CONFIGURATION_SET }),
+        ...(customArgs && {
+          Tags: Object.entries(customArgs).map(([Name, Value]) => ({ Name, Value: String(Value) })),
+        }),
+      }));
+
+      return {
+        success: true,
+        messageId: response.MessageId,
+        service: 'ses',
+      };
+    } catch (error) {
+      console.error('AWS SES error:', error);
+      throw new Error(`AWS SES error: ${error.message}`);
+    }
+  }
+
   // AWS SES
   if (EMAIL_SERVICE === 'ses' && sesClient) {
     try {
@@ -148,6 +193,10 @@ async function sendEmail({
           },
         },
         ...(replyTo && { ReplyToAddresses: [replyTo] }),
+        ...(SES_CONFIGURATION_SET && { ConfigurationSetName: SES_CONFIGURATION_SET }),
+        ...(customArgs && {
+          Tags: Object.entries(customArgs).map(([Name, Value]) => ({ Name, Value: String(Value) })),
+        }),
       };
 
       // Add headers for threading
@@ -174,6 +223,60 @@ async function sendEmail({
   throw new Error(`Email service not configured. Set EMAIL_SERVICE and required API keys.`);
 }
 
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it contains non-ASCII characters
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build a raw multipart/alternative MIME message
+ * @param {Object} options - { from, to, subject, text, html, headers }
+ * @returns {string} - RFC 5322 message
+ */
+function buildRawEmail({ from, to, subject, text, html, headers = {} }) {
+  const boundary = `----=_Part_${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+  const base64Lines = (content) => Buffer.from(content, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+  ];
+
+  if (text) {
+    lines.push(
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(text)
+    );
+  }
+
+  if (html) {
+    lines.push(
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(html)
+    );
+  }
+
+  lines.push(`--${boundary}--`, '');
+  return lines.join('\r\n');
+}
+
 /**
  * Generate email thread headers for conversation threading
  * @param {string} conversationId - Conversation ID
@@ -0,0 +1,321 @@
+// Email Verification Service
+// Checks addresses (syntax, disposable and role addresses, MX records) and stores a valid/risky/invalid verdict on leads
+//
+// MX lookups go through a pluggable resolver { name, resolveMx(domain) } that resolves to
+// [{ exchange, priority }] ([] when the domain can't take mail). EMAIL_MX_RESOLVER picks a built-in
+// one: 'dns' (default) or 'static', which accepts every domain and never touches the network.
+
+const dns = require('dns');
+const { PrismaClient } = require('@prisma/client');
+const { ROLE_LOCAL_PARTS } = require('./enrichment/offlineProvider');
+const { withTimeout } = require('./enrichment');
+
+const prisma = new PrismaClient();
+
+const EMAIL_VERDICTS = ['valid', 'risky', 'invalid'];
+
+// Reasons that make an address undeliverable; any other reason makes it risky
+const INVALID_REASONS = ['invalid_syntax', 'no_mx', 'null_mx'];
+
+// Throwaway inbox providers (subdomains match too)
+const DISPOSABLE_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+  'tempmail.com', 'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com',
+  'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mailnesia.com', 'mintemail.com', 'tempr.email',
+  'discard.email', 'emailondeck.com', 'mohmal.com', 'burnermail.io', 'spamgourmet.com', 'mytemp.email',
+]);
+
+const LOCAL_PART_REGEX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i;
+const DOMAIN_LABEL_REGEX = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+const MX_TIMEOUT_MS = parseInt(process.env.EMAIL_MX_TIMEOUT_MS) || 5000;
+const MX_CACHE_TTL_MS = 60 * 60 * 1000;
+// Lookup failures are retried sooner than answers expire
+const MX_FAILURE_TTL_MS = 5 * 60 * 1000;
+// Domains kept in the MX cache; the least recently used goes first when it is full
+const MX_CACHE_MAX_ENTRIES = parseInt(process.env.EMAIL_MX_CACHE_SIZE) || 10000;
+// Domains looked up at once when verifying a list
+const MX_CONCURRENCY = 5;
+
+// Leads verified per database round trip
+const VERIFY_BATCH_SIZE = 100;
+
+const isMissingRecord = (error) => error.code === 'ENOTFOUND' || error.code === 'ENODATA';
+
+// A domain without MX records takes mail on its own A/AAAA address (RFC 5321 section 5.1)
+async function hasAddressRecord(domain) {
+  for (const type of ['resolve4', 'resolve6']) {
+    try {
+      if ((await dns.promises[type](domain)).length > 0) return true;
+    } catch (error) {
+      if (!isMissingRecord(error)) throw error;
+    }
+  }
+  return false;
+}
+
+const dnsResolver = {
+  name: 'dns',
+  async resolveMx(domain) {
+    try {
+      return await dns.promises.resolveMx(domain);
+    } catch (error) {
+      if (isMissingRecord(error)) {
+        return (await hasAddressRecord(domain)) ? [{ exchange: domain, priority: 0 }] : [];
+      }
+      throw error;
+    }
+  },
+};
+
+// For local development: every domain has a mail server
+const staticResolver = {
+  name: 'static',
+  async resolveMx(domain) {
+    return [{ exchange: `mx.${domain}`, priority: 10 }];
+  },
+};
+
+const MX_RESOLVERS = { dns: dnsResolver, static: staticResolver };
+
+let mxResolver = MX_RESOLVERS[process.env.EMAIL_MX_RESOLVER] || dnsResolver;
+
+// domain -> { records, error, expiresAt }, least recently used first
+const mxCache = new Map();
+
+function cacheMx(domain, entry) {
+  mxCache.delete(domain);
+  if (mxCache.size >= MX_CACHE_MAX_ENTRIES) {
+    mxCache.delete(mxCache.keys().next().value);
+  }
+  mxCache.set(domain, entry);
+}
+
+/**
+ * Replace the MX resolver (e.g. with a stub in local development)
+ * @param {Object} resolver - { name, resolveMx(domain) }
+ */
+function setMxResolver(resolver) {
+  if (!resolver?.name || typeof resolver.resolveMx !== 'function') {
+    throw new Error('MX resolvers need a name and a resolveMx(domain) function');
+  }
+  mxResolver = resolver;
+  mxCache.clear();
+}
+
+/**
+ * Check an address's syntax
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isValidSyntax(email) {
+  if (typeof email !== 'string' || email.length > 254) return false;
+
+  const at = email.lastIndexOf('@');
+  if (at < 1) return false;
+
+  const localPart = email.slice(0, at);
+  const labels = email.slice(at + 1).split('.');
+
+  return localPart.length <= 64 &&
+    LOCAL_PART_REGEX.test(localPart) &&
+    labels.length >= 2 &&
+    labels.every(label => DOMAIN_LABEL_REGEX.test(label)) &&
+    /^[a-z]{2,}$/i.test(labels[labels.length - 1]);
+}
+
+/**
+ * Check whether a domain (or a parent domain) is a disposable inbox provider
+ * @param {string} domain - Lowercased domain
+ * @returns {boolean}
+ */
+function isDisposableDomain(domain) {
+  const labels = domain.split('.');
+  return labels.some((_, index) => DISPOSABLE_DOMAINS.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Look up a domain's MX records through the active resolver (cached)
+ * @param {string} domain - Lowercased domain
+ * @returns {Promise<Object>} - { records } or { error } when the lookup failed
+ */
+async function lookupMx(domain) {
+  const cached = mxCache.get(domain);
+  if (cached && cached.expiresAt > Date.now()) {
+    cacheMx(domain, cached);
+    return cached;
+  }
+
+  let entry;
+  try {
+    const records = await withTimeout(mxResolver.resolveMx(domain), MX_TIMEOUT_MS, `MX lookup for ${domain}`);
+    entry = { records: records || [], expiresAt: Date.now() + MX_CACHE_TTL_MS };
+  } catch (error) {
+    entry = { error: error.message, expiresAt: Date.now() + MX_FAILURE_TTL_MS };
+  }
+
+  cacheMx(domain, entry);
+  return entry;
+}
+
+/**
+ * Verify an email address
+ * invalid: bad syntax, no MX or A/AAAA records, or a null MX (RFC 7505).
+ * risky: disposable domain, role address (info@, sales@...) or an MX lookup that failed.
+ * @param {string} email - Email address
+ * @returns {Promise<Object>} - { email, verdict, reasons, domain, mxRecords }
+ */
+async function verifyEmail(email) {
+  const address = String(email || '').trim().toLowerCase();
+  const result = { email: address, verdict: 'valid', reasons: [], domain: null, mxRecords: null };
+
+  if (!isValidSyntax(address)) {
+    result.verdict = 'invalid';
+    result.reasons.push('invalid_syntax');
+    return result;
+  }
+
+  const at = address.lastIndexOf('@');
+  const localPart = address.slice(0, at).replace(/\+.*$/, '');
+  result.domain = address.slice(at + 1);
+
+  if (isDisposableDomain(result.domain)) result.reasons.push('disposable_domain');
+  if (ROLE_LOCAL_PARTS.has(localPart)) result.reasons.push('role_address');
+
+  const mx = await lookupMx(result.domain);
+  if (mx.error) {
+    result.reasons.push('mx_lookup_failed');
+  } else if (mx.records.length === 0) {
+    result.reasons.push('no_mx');
+  } else if (mx.records.every(record => !record.exchange || record.exchange === '.')) {
+    result.reasons.push('null_mx');
+  } else {
+    result.mxRecords = mx.records.length;
+  }
+
+  if (result.reasons.some(reason => INVALID_REASONS.includes(reason))) {
+    result.verdict = 'invalid';
+  } else if (result.reasons.length > 0) {
+    result.verdict = 'risky';
+  }
+
+  return result;
+}
+
+/**
+ * Verify many addresses, looking up each domain once
+ * @param {string[]} emails - Email addresses
+ * @returns {Promise<Map>} - email (as given) -> verifyEmail result
+ */
+async function verifyEmails(emails) {
+  const domains = [...new Set(
+    emails
+      .filter(isValidSyntax)
+      .map(email => email.trim().toLowerCase().split('@').pop())
+  )];
+
+  for (let i = 0; i < domains.length; i += MX_CONCURRENCY) {
+    await Promise.all(domains.slice(i, i + MX_CONCURRENCY).map(lookupMx));
+  }
+
+  const results = new Map();
+  for (const email of emails) {
+    if (!results.has(email)) {
+      results.set(email, await verifyEmail(email));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Verify leads' email addresses and store the verdicts
+ * @param {string[]} leadIds - Lead IDs
+ * @param {Object} options
+ * @param {Function} options.onProgress - async (processed) => void (optional)
+ * @returns {Promise<Object>} - { processed, valid, risky, invalid }
+ */
+async function verifyLeads(leadIds, { onProgress } = {}) {
+  const summary = { processed: 0, valid: 0, risky: 0, invalid: 0 };
+
+  for (let i = 0; i < leadIds.length; i += VERIFY_BATCH_SIZE) {
+    const leads = await prisma.lead.findMany({
+      where: { id: { in: leadIds.slice(i, i + VERIFY_BATCH_SIZE) } },
+      select: { id: true, email: true },
+    });
+
+    const results = await verifyEmails(leads.map(lead => lead.email));
+    const verifiedAt = new Date();
+
+    await prisma.$transaction(leads.map(lead => {
+      const { verdict, reasons } = results.get(lead.email);
+      summary[verdict] += 1;
+
+      return prisma.lead.update({
+        where: { id: lead.id },
+        data: {
+          emailVerdict: verdict,
+          emailVerdictReasons: reasons,
+          emailVerifiedAt: verifiedAt,
+        },
+      });
+    }));
+
+    summary.processed += leads.length;
+    if (onProgress) {
+      await onProgress(Math.min(i + VERIFY_BATCH_SIZE, leadIds.length));
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Verify one lead's email address and store the verdict
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object|null>} - { lead, verification } or null if not found
+ */
+async function verifyLead(leadId) {
+  const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+  if (!lead) return null;
+
+  const verification = await verifyEmail(lead.email);
+
+  const updated = await prisma.lead.update({
+    where: { id: lead.id },
+    data: {
+      emailVerdict: verification.verdict,
+      emailVerdictReasons: verification.reasons,
+      emailVerifiedAt: new Date(),
+    },
+  });
+
+  return { lead: updated, verification };
+}
+
+/**
+ * Verify leads without holding up the request that created them
+ * @param {string|string[]} leadIds - One lead ID or several
+ */
+function verifyInBackground(leadIds) {
+  setImmediate(async () => {
+    try {
+      await verifyLeads([].concat(leadIds));
+    } catch (error) {
+      console.error('Email verification failed:', error.message);
+    }
+  });
+}
+
+module.exports = {
+  EMAIL_VERDICTS,
+  MX_RESOLVERS,
+  setMxResolver,
+  isValidSyntax,
+  isDisposableDomain,
+  verifyEmail,
+  verifyEmails,
+  verifyLead,
+  verifyLeads,
+  verifyInBackground,
+};
@@ -0,0 +1,305 @@
+// Enrichment Service
+// Runs the configured enrichment providers for leads and contacts and stores the results
+//
+// A provider is an object { name, enrich(subject) } where subject is
+// { type: 'lead' | 'contact', email, name, firstName, lastName, company, website, linkedinUrl }
+// and enrich resolves to { person: {...}, company: {...} | null }. Providers run in the
+// order listed in ENRICHMENT_PROVIDERS; the first provider to supply a value wins.
+
+const { PrismaClient } = require('@prisma/client');
+const offlineProvider = require('./offlineProvider');
+const { recordLeadChanges } = require('../leadTimelineService');
+const { recomputeLeadScore, recomputeContactScore } = require('../leadScoringService');
+
+const prisma = new PrismaClient();
+
+const ENRICHMENT_PROVIDERS = (process.env.ENRICHMENT_PROVIDERS || 'offline')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+const ENRICHMENT_TIMEOUT_MS = parseInt(process.env.ENRICHMENT_TIMEOUT_MS) || 10000;
+
+const providers = new Map([[offlineProvider.name, offlineProvider]]);
+
+// Company columns providers may fill (only when empty)
+const COMPANY_FIELDS = [
+  'name', 'domain', 'website', 'industry', 'size', 'employeeCount', 'foundedYear',
+  'technologies', 'funding', 'socialProfiles', 'description', 'linkedinUrl', 'city', 'country',
+];
+
+// Company details a lead keeps in customFields, since leads have no Company record
+const LEAD_COMPANY_KEYS = {
+  industry: company => company.industry,
+  companySize: company => company.employeeCount ?? company.size,
+  technologies: company => company.technologies,
+  foundedYear: company => company.foundedYear,
+  funding: company => company.funding,
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Register an enrichment provider
+ * It only runs if its name is listed in ENRICHMENT_PROVIDERS.
+ * @param {Object} provider - { name, enrich(subject) }
+ */
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.enrich !== 'function') {
+    throw new Error('Enrichment providers need a name and an enrich(subject) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Providers that will run, in order
+ * @returns {Object[]}
+ */
+function getActiveProviders() {
+  return ENRICHMENT_PROVIDERS.map(name => providers.get(name)).filter(Boolean);
+}
+
+/**
+ * Reject if a promise hasn't settled within ms
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Copy values from source into target where target has none yet
+function fillEmpty(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (isEmpty(target[key]) && !isEmpty(value)) {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Run every active provider for a subject and combine their output
+ * A failing or slow provider is recorded in errors and skipped.
+ * @param {Object} subject - See the provider contract at the top of this file
+ * @returns {Promise<Object>} - { person, company, providers, errors }
+ */
+async function runProviders(subject) {
+  const result = { person: {}, company: {}, providers: [], errors: [] };
+
+  for (const provider of getActiveProviders()) {
+    try {
+      const output = await withTimeout(provider.enrich(subject), ENRICHMENT_TIMEOUT_MS, `Provider ${provider.name}`);
+      fillEmpty(result.person, output?.person);
+      fillEmpty(result.company, output?.company);
+      result.providers.push(provider.name);
+    } catch (error) {
+      console.error(`Enrichment provider ${provider.name} failed:`, error.message);
+      result.errors.push({ provider: provider.name, error: error.message });
+    }
+  }
+
+  if (Object.keys(result.company).length === 0) {
+    result.company = null;
+  }
+
+  return result;
+}
+
+// Take a provider's name only when ours is missing or differs just in case/spacing
+function pickName(current, enriched) {
+  if (!enriched) return undefined;
+  if (isEmpty(current)) return enriched;
+  const same = current.replace(/\s+/g, ' ').trim().toLowerCase() === enriched.toLowerCase();
+  return same && current !== enriched ? enriched : undefined;
+}
+
+// Email facts the enrichment owns in customFields; refreshed on every run
+function buildEnrichmentFields(person, providerNames) {
+  return {
+    emailDomain: person.emailDomain ?? null,
+    isFreeEmail: Boolean(person.isFreeEmail),
+    isRoleAddress: Boolean(person.isRoleAddress),
+    enrichedAt: new Date().toISOString(),
+    enrichedBy: providerNames,
+  };
+}
+
+/**
+ * Enrich a lead and save the results
+ * Fills empty columns (name, company, website, title, phone, LinkedIn URL) and writes
+ * email facts and company details to customFields. User-entered values are never replaced.
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object|null>} - { lead, changed, providers, errors } or null if not found
+ */
+async function enrichLead(leadId) {
+  const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+  if (!lead) return null;
+
+  const { person, company, providers: used, errors } = await runProviders({
+    type: 'lead',
+    email: lead.email,
+    name: lead.name,
+    company: lead.company,
+    website: lead.website,
+    linkedinUrl: lead.linkedinUrl,
+  });
+
+  const data = {};
+  const name = pickName(lead.name, person.name);
+  if (name) data.name = name;
+  if (isEmpty(lead.title) && person.title) data.title = person.title;
+  if (isEmpty(lead.phone) && person.phone) data.phone = person.phone;
+  if (isEmpty(lead.linkedinUrl) && person.linkedinUrl) data.linkedinUrl = person.linkedinUrl;
+  if (company) {
+    if (isEmpty(lead.company) && company.name) data.company = company.name;
+    if (isEmpty(lead.website) && company.website) data.website = company.website;
+  }
+
+  const customFields = { ...(lead.customFields || {}), ...buildEnrichmentFields(person, used) };
+  if (company) {
+    for (const [key, get] of Object.entries(LEAD_COMPANY_KEYS)) {
+      if (isEmpty(customFields[key]) && !isEmpty(get(company))) {
+        customFields[key] = get(company);
+      }
+    }
+  }
+  data.customFields = customFields;
+
+  const updated = await prisma.lead.update({
+    where: { id: lead.id },
+    data,
+  });
+
+  // enrichedAt changes every run, so only columns count as a visible change
+  const changed = Object.keys(data).filter(field => field !== 'customFields');
+  await recordLeadChanges(lead, Object.fromEntries(changed.map(field => [field, data[field]])), { source: 'enrichment' });
+  await recomputeLeadScore(lead.id);
+
+  return { lead: updated, changed, providers: used, errors };
+}
+
+// Find the account's company for an enriched domain, or create it
+async function findOrCreateCompany(userId, company) {
+  if (company.domain) {
+    const existing = await prisma.company.findFirst({
+      where: { userId, domain: { equals: company.domain, mode: 'insensitive' } },
+    });
+    if (existing) return existing;
+  }
+
+  return prisma.company.create({
+    data: {
+      userId,
+      name: company.name || company.domain,
+      domain: company.domain,
+      website: company.website,
+    },
+  });
+}
+
+/**
+ * Enrich a Tackle contact and its company
+ * Links the contact to a Company matched (or created) by email domain when it has none,
+ * then fills the company's empty enrichment columns.
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} - { contact, company, changed, providers, errors } or null if not found
+ */
+async function enrichContact(contactId) {
+  const contact = await prisma.contact.findUnique({
+    where: { id: contactId },
+    include: { company: true },
+  });
+  if (!contact) return null;
+
+  const { person, company, providers: used, errors } = await runProviders({
+    type: 'contact',
+    email: contact.email,
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    company: contact.company?.name,
+    website: contact.company?.website,
+    linkedinUrl: contact.linkedinUrl,
+  });
+
+  const data = {};
+  const firstName = pickName(contact.firstName, person.firstName);
+  const lastName = pickName(contact.lastName, person.lastName);
+  if (firstName) data.firstName = firstName;
+  if (lastName) data.lastName = lastName;
+  if (isEmpty(contact.jobTitle) && person.title) data.jobTitle = person.title;
+  if (isEmpty(contact.phone) && person.phone) data.phone = person.phone;
+  if (isEmpty(contact.linkedinUrl) && person.linkedinUrl) data.linkedinUrl = person.linkedinUrl;
+  data.customFields = { ...(contact.customFields || {}), ...buildEnrichmentFields(person, used) };
+
+  let companyRecord = contact.company;
+  if (company && (company.domain || company.name)) {
+    if (!companyRecord) {
+      companyRecord = await findOrCreateCompany(contact.userId, company);
+      data.companyId = companyRecord.id;
+    }
+
+    const companyData = {};
+    for (const field of COMPANY_FIELDS) {
+      if (isEmpty(companyRecord[field]) && !isEmpty(company[field])) {
+        companyData[field] = company[field];
+      }
+    }
+
+    if (Object.keys(companyData).length > 0) {
+      companyRecord = await prisma.company.update({
+        where: { id: companyRecord.id },
+        data: companyData,
+      });
+    }
+  }
+
+  const updated = await prisma.contact.update({
+    where: { id: contact.id },
+    data,
+  });
+
+  await recomputeContactScore(contact.id);
+
+  return {
+    contact: updated,
+    company: companyRecord,
+    changed: Object.keys(data).filter(field => field !== 'customFields'),
+    providers: used,
+    errors,
+  };
+}
+
+/**
+ * Enrich leads or contacts without holding up the request that created them
+ * @param {string} type - 'lead' or 'contact'
+ * @param {string|string[]} ids - One ID or several (enriched one after another)
+ */
+function enrichInBackground(type, ids) {
+  const enrich = type === 'contact' ? enrichContact : enrichLead;
+
+  setImmediate(async () => {
+    for (const id of [].concat(ids)) {
+      try {
+        await enrich(id);
+      } catch (error) {
+        console.error(`Enrichment failed for ${type} ${id}:`, error.message);
+      }
+    }
+  });
+}
+
+module.exports = {
+  registerProvider,
+  getActiveProviders,
+  runProviders,
+  enrichLead,
+  enrichContact,
+  enrichInBackground,
+  withTimeout,
+};
@@ -0,0 +1,131 @@
+// Offline Enrichment Provider
+// Derives what it can from the email address and name alone - no network calls
+
+// Email domains shared by unrelated people, so they say nothing about the company
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'hotmail.com',
+  'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com',
+  'aol.com', 'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'mail.com', 'zoho.com',
+  'yandex.com', 'yandex.ru', 'web.de', 'fastmail.com', 'hey.com', 'qq.com', '163.com',
+]);
+
+// Local parts that reach a team or function rather than a person
+const ROLE_LOCAL_PARTS = new Set([
+  'info', 'sales', 'support', 'contact', 'hello', 'admin', 'office', 'team', 'marketing',
+  'billing', 'help', 'jobs', 'careers', 'hr', 'press', 'noreply', 'no-reply', 'webmaster',
+]);
+
+// Second-level labels used under country domains (acme.co.uk -> acme)
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'org', 'net', 'ac', 'gov', 'edu', 'ltd', 'plc']);
+
+// Name particles kept lowercase unless they start the name
+const NAME_PARTICLES = new Set(['van', 'von', 'de', 'der', 'den', 'da', 'di', 'du', 'la', 'le', 'del', 'dos', 'bin']);
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Normalize a person's name: collapse whitespace and fix casing
+ * Mixed-case input is trusted as typed; all-lower or all-upper input is title-cased,
+ * including hyphenated and apostrophe names ("o'neil-smith" -> "O'Neil-Smith").
+ * @param {string} name
+ * @returns {string|null}
+ */
+function normalizeName(name) {
+  const trimmed = String(name || '').replace(/\s+/g, ' ').trim();
+  if (!trimmed) return null;
+
+  const isMixedCase = trimmed !== trimmed.toLowerCase() && trimmed !== trimmed.toUpperCase();
+  if (isMixedCase) return trimmed;
+
+  return trimmed.toLowerCase().split(' ').map((word, index) => {
+    if (index > 0 && NAME_PARTICLES.has(word)) return word;
+    return word.split('-').map(part => part.split("'").map(capitalize).join("'")).join('-');
+  }).join(' ');
+}
+
+/**
+ * Guess a person's name from an email local part like "jane.doe" or "jane_doe"
+ * Single-token local parts ("jdoe", "jane") are too ambiguous and return null.
+ * @param {string} localPart
+ * @returns {Object|null} - { firstName, lastName }
+ */
+function guessNameFromLocalPart(localPart) {
+  const tokens = String(localPart || '').toLowerCase().replace(/\+.*$/, '').split(/[._-]/).filter(Boolean);
+  if (tokens.length !== 2 || tokens.some(token => token.length < 2 || /\d/.test(token))) {
+    return null;
+  }
+
+  return { firstName: normalizeName(tokens[0]), lastName: normalizeName(tokens[1]) };
+}
+
+/**
+ * Guess a company name from its domain ("acme-robotics.co.uk" -> "Acme Robotics")
+ * @param {string} domain
+ * @returns {string|null}
+ */
+function guessCompanyFromDomain(domain) {
+  const labels = String(domain || '').toLowerCase().split('.').filter(Boolean);
+  if (labels.length < 2) return null;
+
+  labels.pop(); // TLD
+  if (labels.length > 1 && SECOND_LEVEL_LABELS.has(labels[labels.length - 1])) {
+    labels.pop();
+  }
+
+  const label = labels[labels.length - 1];
+  if (!label) return null;
+
+  return label.split('-').filter(Boolean).map(capitalize).join(' ');
+}
+
+/**
+ * Enrich a lead or contact from its email address and name
+ * @param {Object} subject - { email, name, firstName, lastName }
+ * @returns {Promise<Object>} - { person, company }
+ */
+async function enrich(subject) {
+  const email = String(subject.email || '').trim().toLowerCase();
+  const [localPart, domain] = email.split('@');
+
+  const isFreeEmail = FREE_EMAIL_DOMAINS.has(domain);
+  const isRoleAddress = ROLE_LOCAL_PARTS.has(localPart);
+
+  // Contacts keep first and last name apart, so each part is normalized on its own
+  let [firstName, lastName] = [normalizeName(subject.firstName), normalizeName(subject.lastName)];
+  if (subject.name) {
+    const [first, ...rest] = normalizeName(subject.name)?.split(' ') || [];
+    [firstName, lastName] = [first || null, rest.join(' ') || null];
+  }
+  if (!firstName && !lastName && !isRoleAddress) {
+    ({ firstName = null, lastName = null } = guessNameFromLocalPart(localPart) || {});
+  }
+
+  const person = {
+    name: [firstName, lastName].filter(Boolean).join(' ') || null,
+    firstName,
+    lastName,
+    emailDomain: domain || null,
+    isFreeEmail,
+    isRoleAddress,
+  };
+
+  const company = domain && !isFreeEmail
+    ? {
+      name: guessCompanyFromDomain(domain),
+      domain,
+      website: `https://${domain}`,
+    }
+    : null;
+
+  return { person, company };
+}
+
+module.exports = {
+  name: 'offline',
+  enrich,
+  FREE_EMAIL_DOMAINS,
+  ROLE_LOCAL_PARTS,
+  normalizeName,
+  guessNameFromLocalPart,
+  guessCompanyFromDomain,
+};
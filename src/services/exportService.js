@@ -0,0 +1,373 @@
+// Export Service
+// Streams leads and Tackle contacts, companies and deals as CSV, JSON or XLSX
+// with selectable columns, including flattened custom fields
+
+const { PrismaClient } = require('@prisma/client');
+const ExcelJS = require('exceljs');
+
+const prisma = new PrismaClient();
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Records read from the database per query
+const EXPORT_BATCH_SIZE = 1000;
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+// Column key -> { header, get(record) }; `get` defaults to record[key]
+const column = (header, get) => ({ header, get });
+
+const EXPORT_ENTITIES = {
+  leads: {
+    model: 'lead',
+    columns: {
+      id: column('ID'),
+      email: column('Email'),
+      name: column('Name'),
+      firstName: column('First Name', lead => lead.name?.split(' ')[0] || ''),
+      lastName: column('Last Name', lead => lead.name?.split(' ').slice(1).join(' ') || ''),
+      company: column('Company'),
+      phone: column('Phone'),
+      title: column('Title'),
+      website: column('Website'),
+      linkedinUrl: column('LinkedIn URL'),
+      source: column('Source'),
+      status: column('Status'),
+      score: column('Score', lead => lead.score || 0),
+      notes: column('Notes'),
+      tags: column('Tags'),
+      emailVerdict: column('Email Verdict'),
+      emailVerifiedAt: column('Email Verified At'),
+      createdAt: column('Created At'),
+      updatedAt: column('Updated At'),
+      lastContactedAt: column('Last Contacted At'),
+    },
+    // The columns the original CSV export wrote
+    defaultColumns: ['email', 'name', 'company', 'phone', 'title', 'website', 'source', 'status', 'score', 'createdAt'],
+  },
+  contacts: {
+    model: 'contact',
+    include: { company: { select: { name: true } } },
+    columns: {
+      id: column('ID'),
+      firstName: column('First Name'),
+      lastName: column('Last Name'),
+      email: column('Email'),
+      phone: column('Phone'),
+      mobile: column('Mobile'),
+      jobTitle: column('Job Title'),
+      department: column('Department'),
+      company: column('Company', contact => contact.company?.name),
+      linkedinUrl: column('LinkedIn URL'),
+      twitterUrl: column('Twitter URL'),
+      status: column('Status'),
+      leadScore: column('Lead Score'),
+      lifecycle: column('Lifecycle'),
+      source: column('Source'),
+      tags: column('Tags'),
+      emailOptIn: column('Email Opt-In'),
+      phoneOptIn: column('Phone Opt-In'),
+      smsOptIn: column('SMS Opt-In'),
+      timezone: column('Timezone'),
+      lastContactedAt: column('Last Contacted At'),
+      createdAt: column('Created At'),
+      updatedAt: column('Updated At'),
+    },
+    defaultColumns: ['firstName', 'lastName', 'email', 'phone', 'jobTitle', 'company', 'status', 'lifecycle', 'leadScore', 'createdAt'],
+  },
+  companies: {
+    model: 'company',
+    columns: {
+      id: column('ID'),
+      name: column('Name'),
+      domain: column('Domain'),
+      industry: column('Industry'),
+      size: column('Size'),
+      employeeCount: column('Employee Count'),
+      revenue: column('Revenue'),
+      website: column('Website'),
+      linkedinUrl: column('LinkedIn URL'),
+      phone: column('Phone'),
+      address: column('Address'),
+      city: column('City'),
+      state: column('State'),
+      country: column('Country'),
+      postalCode: column('Postal Code'),
+      foundedYear: column('Founded Year'),
+      accountTier: column('Account Tier'),
+      accountOwner: column('Account Owner'),
+      tags: column('Tags'),
+      createdAt: column('Created At'),
+      updatedAt: column('Updated At'),
+    },
+    defaultColumns: ['name', 'domain', 'industry', 'size', 'website', 'city', 'country', 'accountTier', 'createdAt'],
+  },
+  deals: {
+    model: 'deal',
+    include: {
+      company: { select: { name: true } },
+      pipeline: { select: { name: true } },
+      pipelineStage: { select: { name: true } },
+      contacts: { select: { email: true } },
+    },
+    columns: {
+      id: column('ID'),
+      name: column('Name'),
+      value: column('Value'),
+      currency: column('Currency'),
+      pipeline: column('Pipeline', deal => deal.pipeline?.name),
+      stage: column('Stage'),
+      stageName: column('Stage Name', deal => deal.pipelineStage?.name),
+      stageEnteredAt: column('Stage Entered At'),
+      rottingSince: column('Rotting Since'),
+      probability: column('Probability'),
+      priority: column('Priority'),
+      company: column('Company', deal => deal.company?.name),
+      contacts: column('Contacts', deal => deal.contacts.map(contact => contact.email)),
+      description: column('Description'),
+      nextStep: column('Next Step'),
+      expectedClose: column('Expected Close'),
+      actualClose: column('Actual Close'),
+      lostReason: column('Lost Reason'),
+      wonReason: column('Won Reason'),
+      competitor: column('Competitor'),
+      source: column('Source'),
+      ownerId: column('Owner ID'),
+      tags: column('Tags'),
+      createdAt: column('Created At'),
+      updatedAt: column('Updated At'),
+    },
+    defaultColumns: ['name', 'value', 'currency', 'stage', 'probability', 'company', 'expectedClose', 'createdAt'],
+  },
+};
+
+function exportError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_EXPORT';
+  return error;
+}
+
+// Read every record matching `where` in batches, newest first
+async function* readBatches(definition, where, select) {
+  let cursor = null;
+
+  while (true) {
+    const records = await prisma[definition.model].findMany({
+      where,
+      ...(select ? { select } : definition.include && { include: definition.include }),
+      orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (records.length === 0) return;
+
+    yield records;
+
+    if (records.length < EXPORT_BATCH_SIZE) return;
+    cursor = records[records.length - 1].id;
+  }
+}
+
+// Every custom field key used by the matching records, sorted
+async function findCustomFieldKeys(definition, where) {
+  const keys = new Set();
+
+  for await (const records of readBatches(definition, where, { id: true, customFields: true })) {
+    for (const record of records) {
+      if (record.customFields && typeof record.customFields === 'object' && !Array.isArray(record.customFields)) {
+        Object.keys(record.customFields).forEach(key => keys.add(key));
+      }
+    }
+  }
+
+  return [...keys].sort();
+}
+
+/**
+ * Resolve requested column keys to column definitions
+ * Accepts standard column keys, 'customFields.<key>', 'customFields.*' (every custom
+ * field in the export) and 'all' (every standard column plus every custom field).
+ * @param {string} entity - leads, contacts, companies or deals
+ * @param {string[]} requested - Column keys (default: the entity's default columns)
+ * @param {Object} where - Export filter, used to discover custom field keys
+ * @returns {Promise<Object[]>} - [{ key, header, get }]
+ */
+async function resolveColumns(entity, requested, where) {
+  const definition = EXPORT_ENTITIES[entity];
+  let keys = requested && requested.length > 0 ? requested : definition.defaultColumns;
+
+  if (keys.includes('all')) {
+    keys = [...Object.keys(definition.columns), `${CUSTOM_FIELD_PREFIX}*`];
+  }
+
+  if (keys.includes(`${CUSTOM_FIELD_PREFIX}*`)) {
+    const customKeys = await findCustomFieldKeys(definition, where);
+    keys = keys.flatMap(key => (key === `${CUSTOM_FIELD_PREFIX}*`
+      ? customKeys.map(customKey => `${CUSTOM_FIELD_PREFIX}${customKey}`)
+      : [key]));
+  }
+
+  const unknown = keys.filter(key => !definition.columns[key] && !(key.startsWith(CUSTOM_FIELD_PREFIX) && key.length > CUSTOM_FIELD_PREFIX.length));
+  if (unknown.length > 0) {
+    throw exportError(`Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(definition.columns).join(', ')}, customFields.<key>, customFields.*, all`);
+  }
+
+  return [...new Set(keys)].map(key => {
+    if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+      const customKey = key.slice(CUSTOM_FIELD_PREFIX.length);
+      // Custom field headers are the bare key so the file re-imports as custom fields
+      return { key, header: customKey, get: record => record.customFields?.[customKey] };
+    }
+
+    const { header, get } = definition.columns[key];
+    return { key, header, get: get || (record => record[key]) };
+  });
+}
+
+// Convert a value for the output format; JSON keeps structure, CSV/XLSX get flat cells
+function formatValue(value, format) {
+  if (value === undefined || value === null) return format === 'json' ? null : '';
+  if (typeof value === 'object' && typeof value.toNumber === 'function') return value.toNumber(); // Prisma Decimal
+  if (value instanceof Date) return format === 'xlsx' ? value : value.toISOString();
+  if (format === 'json') return value;
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Text a spreadsheet would run as a formula; such cells get a leading ' (OWASP CSV injection)
+const FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (cell) => {
+  const text = typeof cell === 'string' && FORMULA_PREFIX_REGEX.test(cell) ? `'${cell}` : String(cell);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Write to the response, waiting for the socket to drain when its buffer is full
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+function createWriter(format, res, columns) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Export');
+    worksheet.columns = columns.map(col => ({ header: col.header, key: col.key }));
+
+    return {
+      start: async () => {},
+      row: async (values) => worksheet.addRow(values).commit(),
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  if (format === 'json') {
+    let first = true;
+
+    return {
+      start: () => write(res, '['),
+      row: (values) => {
+        const record = Object.fromEntries(columns.map((col, index) => [col.key, values[index]]));
+        const chunk = `${first ? '' : ','}\n${JSON.stringify(record)}`;
+        first = false;
+        return write(res, chunk);
+      },
+      end: async () => {
+        await write(res, '\n]\n');
+        res.end();
+      },
+    };
+  }
+
+  return {
+    start: () => write(res, `${columns.map(col => escapeCsv(col.header)).join(',')}\n`),
+    row: (values) => write(res, `${values.map(escapeCsv).join(',')}\n`),
+    end: async () => res.end(),
+  };
+}
+
+/**
+ * Stream an export to an HTTP response
+ * Columns are resolved before anything is written, so invalid requests can still
+ * get a JSON error. Records are read in batches and written as they arrive.
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.entity - leads, contacts, companies or deals
+ * @param {string} options.format - csv, json or xlsx
+ * @param {string[]} options.columns - Column keys (optional)
+ * @param {Object} options.where - Prisma where clause (must be scoped to the user)
+ * @param {string} options.filename - Download name without extension (optional)
+ * @returns {Promise<number>} - Number of records written
+ * @throws {Error} - code 'INVALID_EXPORT' for unknown formats or columns
+ */
+async function streamExport(res, { entity, format = 'csv', columns, where, filename }) {
+  const definition = EXPORT_ENTITIES[entity];
+  if (!definition) {
+    throw exportError(`Unknown export type: ${entity}`);
+  }
+  if (!EXPORT_FORMATS[format]) {
+    throw exportError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const selected = await resolveColumns(entity, columns, where);
+  const name = filename || `${entity}-export-${new Date().toISOString().split('T')[0]}`;
+
+  res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${name}.${EXPORT_FORMATS[format].extension}`);
+
+  const writer = createWriter(format, res, selected);
+  let written = 0;
+
+  await writer.start();
+
+  for await (const records of readBatches(definition, where)) {
+    // Client went away; stop reading
+    if (res.destroyed) return written;
+
+    for (const record of records) {
+      await writer.row(selected.map(col => formatValue(col.get(record), format)));
+      written += 1;
+    }
+  }
+
+  await writer.end();
+
+  return written;
+}
+
+/**
+ * Parse a `columns` query parameter ("email,name,customFields.industry")
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseColumnsParam(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_ENTITIES,
+  resolveColumns,
+  streamExport,
+  parseColumnsParam,
+};
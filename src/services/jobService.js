@@ -0,0 +1,168 @@
+// Background Job Service
+// Runs long work outside the request and records progress on a BackgroundJob row
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Write progress at most this often so large jobs don't hammer the database
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Running jobs touch their row this often, even while they report no progress
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// Jobs run inside the process that started them; one whose row hasn't been touched for this
+// long was lost to a restart or crash
+const STALE_JOB_MS = (parseInt(process.env.BACKGROUND_JOB_STALE_MINUTES) || 10) * 60 * 1000;
+
+/**
+ * Create a queued job
+ * @param {Object} options
+ * @param {string} options.userId - Owner (User) ID
+ * @param {string} options.type - Job type, e.g. 'lead_import'
+ * @param {number} options.total - Number of items to process
+ * @param {Object} options.input - Job parameters to keep for reference (optional)
+ * @returns {Promise<Object>} - BackgroundJob record
+ */
+async function createJob({ userId, type, total = 0, input = null }) {
+  return prisma.backgroundJob.create({
+    data: {
+      userId,
+      type,
+      total,
+      input,
+    },
+  });
+}
+
+/**
+ * Run a job in the background
+ * The worker receives a progress callback and returns the job result.
+ * Errors mark the job failed; they are never thrown to the caller. A heartbeat keeps the
+ * job's updatedAt fresh so failStaleJobs leaves it alone while the worker is alive.
+ * @param {string} jobId - BackgroundJob ID
+ * @param {Function} worker - async (reportProgress) => result
+ */
+function runJob(jobId, worker) {
+  setImmediate(async () => {
+    let lastReportAt = 0;
+
+    const reportProgress = async (processed, force = false) => {
+      const now = Date.now();
+      if (!force && now - lastReportAt < PROGRESS_INTERVAL_MS) {
+        return;
+      }
+      lastReportAt = now;
+
+      await prisma.backgroundJob.update({
+        where: { id: jobId },
+        data: { processed },
+      });
+    };
+
+    const heartbeat = setInterval(() => {
+      prisma.backgroundJob.update({
+        where: { id: jobId },
+        data: { updatedAt: new Date() },
+      }).catch((error) => console.error(`Job ${jobId} heartbeat failed:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    try {
+      await prisma.backgroundJob.update({
+        where: { id: jobId },
+        data: { status: 'running', startedAt: new Date() },
+      });
+
+      const result = await worker(reportProgress);
+
+      await prisma.backgroundJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'completed',
+          result,
+          ...(result?.processed !== undefined && { processed: result.processed }),
+          completedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`Background job ${jobId} failed:`, error);
+
+      await prisma.backgroundJob.update({
+        where: { id: jobId },
+        data: {
+          status: 'failed',
+          error: error.message,
+          completedAt: new Date(),
+        },
+      }).catch((updateError) => console.error(`Failed to record job ${jobId} failure:`, updateError));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  });
+}
+
+/**
+ * Set a job's item count once the worker knows it
+ * @param {string} jobId - BackgroundJob ID
+ * @param {number} total - Number of items to process
+ * @returns {Promise<Object>} - BackgroundJob record
+ */
+async function setJobTotal(jobId, total) {
+  return prisma.backgroundJob.update({
+    where: { id: jobId },
+    data: { total },
+  });
+}
+
+/**
+ * Fail queued or running jobs that stopped updating
+ * Nothing resumes a job after its process dies, so without this it would stay running forever.
+ * @param {Object} where - Extra BackgroundJob filter, e.g. { userId } (optional)
+ * @returns {Promise<number>} - Number of jobs marked failed
+ */
+async function failStaleJobs(where = {}) {
+  const { count } = await prisma.backgroundJob.updateMany({
+    where: {
+      ...where,
+      status: { in: ['queued', 'running'] },
+      updatedAt: { lt: new Date(Date.now() - STALE_JOB_MS) },
+    },
+    data: {
+      status: 'failed',
+      error: 'Job was interrupted before it finished (server restart)',
+      completedAt: new Date(),
+    },
+  });
+
+  return count;
+}
+
+/**
+ * Format a job for API responses
+ * @param {Object} job - BackgroundJob record
+ * @returns {Object}
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    total: job.total,
+    processed: job.processed,
+    progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : (job.status === 'completed' ? 100 : 0),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+  };
+}
+
+module.exports = {
+  createJob,
+  runJob,
+  setJobTotal,
+  failStaleJobs,
+  formatJob,
+};
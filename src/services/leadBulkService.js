@@ -0,0 +1,261 @@
+// Lead Bulk Action Service
+// Applies one action (tags, status, custom field, delete, add to campaign, enrich, verify email) to many leads in batches
+
+const { PrismaClient } = require('@prisma/client');
+const { buildSegmentWhere, getSegmentWhere } = require('./segmentService');
+const { buildLeadChangeRows } = require('./leadTimelineService');
+const { recomputeLeadScores } = require('./leadScoringService');
+const { addCampaignRecipients, EDITABLE_STATUSES } = require('./campaignService');
+const { enrichLead } = require('./enrichment');
+const { verifyLeads } = require('./emailVerificationService');
+
+const prisma = new PrismaClient();
+
+const BULK_ACTIONS = ['add_tags', 'remove_tags', 'set_status', 'set_custom_field', 'delete', 'add_to_campaign', 'enrich', 'verify_email'];
+
+const LEAD_STATUSES = ['new', 'contacted', 'replied', 'qualified', 'converted', 'lost'];
+
+// Leads updated per database round trip
+const BATCH_SIZE = 500;
+
+function bulkError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : [tags])
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim())
+    .filter(Boolean)
+)];
+
+/**
+ * Validate a bulk action and its parameters
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} params - Action parameters
+ * @returns {string|null} - Error message or null
+ */
+function validateBulkAction(action, params = {}) {
+  if (!BULK_ACTIONS.includes(action)) {
+    return `action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+
+  switch (action) {
+    case 'add_tags':
+    case 'remove_tags':
+      return normalizeTags(params.tags).length === 0 ? 'params.tags must list at least one tag' : null;
+    case 'set_status':
+      return LEAD_STATUSES.includes(params.status) ? null : `params.status must be one of: ${LEAD_STATUSES.join(', ')}`;
+    case 'set_custom_field':
+      return typeof params.key === 'string' && params.key.trim() && params.value !== undefined
+        ? null
+        : 'params.key and params.value are required (value null removes the field)';
+    case 'add_to_campaign':
+      return params.campaignId ? null : 'params.campaignId is required';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve the leads a bulk action targets
+ * Exactly one of leadIds, segmentId or filter (segment filter language) is used, in that order.
+ * The ID list is taken up front so updates that change filter membership don't move the target.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} target - { leadIds, segmentId, filter }
+ * @returns {Promise<string[]>} - Lead IDs
+ */
+async function resolveBulkTarget(userId, { leadIds, segmentId, filter }) {
+  let where;
+
+  if (Array.isArray(leadIds) && leadIds.length > 0) {
+    where = { userId, id: { in: leadIds } };
+  } else if (segmentId) {
+    where = await getSegmentWhere(userId, segmentId);
+    if (!where) {
+      throw bulkError('Segment not found', 'BULK_NOT_FOUND');
+    }
+  } else if (filter) {
+    where = buildSegmentWhere(userId, filter);
+  } else {
+    throw bulkError('leadIds, segmentId or filter is required', 'BULK_INVALID');
+  }
+
+  const leads = await prisma.lead.findMany({
+    where,
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return leads.map(lead => lead.id);
+}
+
+/**
+ * Load the campaign for add_to_campaign and check it can still take recipients
+ * @param {string} userId - Account (User) ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Campaign
+ */
+async function getTargetCampaign(userId, campaignId) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, userId },
+  });
+
+  if (!campaign) {
+    throw bulkError('Campaign not found', 'BULK_NOT_FOUND');
+  }
+  if (!EDITABLE_STATUSES.includes(campaign.status)) {
+    throw bulkError(`Recipients cannot be added to a ${campaign.status} campaign`, 'BULK_INVALID');
+  }
+
+  return campaign;
+}
+
+// Work out a lead's changed fields for an update action (null when nothing changes)
+function buildLeadUpdate(lead, action, params) {
+  switch (action) {
+    case 'add_tags': {
+      const tags = [...new Set([...lead.tags, ...normalizeTags(params.tags)])];
+      return tags.length === lead.tags.length ? null : { tags };
+    }
+    case 'remove_tags': {
+      const remove = normalizeTags(params.tags);
+      const tags = lead.tags.filter(tag => !remove.includes(tag));
+      return tags.length === lead.tags.length ? null : { tags };
+    }
+    case 'set_status': {
+      if (lead.status === params.status) return null;
+      return {
+        status: params.status,
+        ...((params.status === 'contacted' || params.status === 'replied') && { lastContactedAt: new Date() }),
+      };
+    }
+    case 'set_custom_field': {
+      const key = params.key.trim();
+      const customFields = { ...(lead.customFields || {}) };
+      if (params.value === null) {
+        if (!(key in customFields)) return null;
+        delete customFields[key];
+      } else {
+        if (JSON.stringify(customFields[key]) === JSON.stringify(params.value)) return null;
+        customFields[key] = params.value;
+      }
+      return { customFields };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply a bulk action to a list of leads
+ * @param {string} userId - Account (User) ID
+ * @param {string} action - One of BULK_ACTIONS (already validated)
+ * @param {Object} params - Action parameters
+ * @param {string[]} leadIds - Target lead IDs (from resolveBulkTarget)
+ * @param {Object} options
+ * @param {Function} options.onProgress - async (processed) => void (optional)
+ * @returns {Promise<Object>} - { action, matched, processed, updated, unchanged, deleted, added }
+ *   plus verdicts { valid, risky, invalid } for verify_email
+ */
+async function runBulkAction(userId, action, params, leadIds, { onProgress } = {}) {
+  const result = {
+    action,
+    matched: leadIds.length,
+    processed: 0,
+    updated: 0,
+    unchanged: 0,
+    deleted: 0,
+    added: 0,
+    ...(action === 'verify_email' && { verdicts: { valid: 0, risky: 0, invalid: 0 } }),
+  };
+
+  const campaign = action === 'add_to_campaign' ? await getTargetCampaign(userId, params.campaignId) : null;
+  const changedIds = [];
+
+  for (let i = 0; i < leadIds.length; i += BATCH_SIZE) {
+    const batch = leadIds.slice(i, i + BATCH_SIZE);
+
+    if (action === 'delete') {
+      const { count } = await prisma.lead.deleteMany({
+        where: { userId, id: { in: batch } },
+      });
+      result.deleted += count;
+    } else if (action === 'add_to_campaign') {
+      const { added } = await addCampaignRecipients(campaign.id, batch);
+      result.added += added;
+      result.unchanged += batch.length - added;
+    } else if (action === 'verify_email') {
+      const leads = await prisma.lead.findMany({
+        where: { userId, id: { in: batch } },
+        select: { id: true },
+      });
+      const verified = await verifyLeads(leads.map(lead => lead.id));
+      for (const verdict of Object.keys(result.verdicts)) {
+        result.verdicts[verdict] += verified[verdict];
+      }
+      result.updated += verified.processed;
+    } else if (action === 'enrich') {
+      // Providers may call out to the network, so leads are enriched one at a time
+      const leads = await prisma.lead.findMany({
+        where: { userId, id: { in: batch } },
+        select: { id: true },
+      });
+      for (const lead of leads) {
+        const enriched = await enrichLead(lead.id);
+        if (enriched?.changed.length > 0) {
+          result.updated++;
+        } else {
+          result.unchanged++;
+        }
+      }
+    } else {
+      const leads = await prisma.lead.findMany({
+        where: { userId, id: { in: batch } },
+        select: { id: true, status: true, tags: true, customFields: true },
+      });
+
+      const updates = [];
+      const changeRows = [];
+      for (const lead of leads) {
+        const data = buildLeadUpdate(lead, action, params);
+        if (!data) continue;
+
+        updates.push(prisma.lead.update({ where: { id: lead.id }, data }));
+        changeRows.push(...buildLeadChangeRows(lead, data, { userId, source: 'bulk' }));
+        changedIds.push(lead.id);
+      }
+
+      if (updates.length > 0) {
+        await prisma.$transaction([
+          ...updates,
+          prisma.leadFieldChange.createMany({ data: changeRows }),
+        ]);
+      }
+
+      result.updated += updates.length;
+      result.unchanged += leads.length - updates.length;
+    }
+
+    result.processed += batch.length;
+    if (onProgress) {
+      await onProgress(result.processed);
+    }
+  }
+
+  // Status, tags and custom fields can all feed scoring rules
+  await recomputeLeadScores(userId, changedIds);
+
+  return result;
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  LEAD_STATUSES,
+  validateBulkAction,
+  resolveBulkTarget,
+  getTargetCampaign,
+  runBulkAction,
+};
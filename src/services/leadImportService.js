@@ -0,0 +1,736 @@
+// Lead Import Service
+// Parses CSV/XLSX uploads, suggests column mappings to Lead fields,
+// validates rows (emails, duplicates, tier limit) and writes them in batches
+// using the chosen strategy for leads that already exist.
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { enrichInBackground } = require('./enrichment');
+const { verifyEmails, verifyInBackground } = require('./emailVerificationService');
+const { buildLeadChangeRows } = require('./leadTimelineService');
+
+const prisma = new PrismaClient();
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Rows written per createMany call
+const IMPORT_BATCH_SIZE = 500;
+
+// Rows kept per list in a background import's job result
+const JOB_RESULT_MAX_ROWS = 100;
+
+// Lead fields an upload column can map to, with header spellings we recognise
+const LEAD_FIELDS = {
+  email: ['email', 'emailaddress', 'email address', 'e-mail', 'work email', 'business email'],
+  firstName: ['first name', 'firstname', 'first', 'given name', 'forename'],
+  lastName: ['last name', 'lastname', 'last', 'surname', 'family name'],
+  name: ['name', 'full name', 'fullname', 'contact name', 'contact'],
+  company: ['company', 'company name', 'organization', 'organisation', 'account', 'account name', 'employer'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile phone', 'telephone', 'tel', 'cell'],
+  title: ['title', 'job title', 'position', 'role', 'designation'],
+  website: ['website', 'url', 'web', 'domain', 'company website', 'site'],
+  linkedinUrl: ['linkedin', 'linkedin url', 'linkedin profile', 'linkedinurl'],
+  source: ['source', 'lead source'],
+  status: ['status', 'lead status'],
+  score: ['score', 'lead score'],
+  notes: ['notes', 'note', 'comments', 'description'],
+  tags: ['tags', 'tag', 'labels'],
+};
+
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+// How rows matching an existing lead (by email) are handled
+const IMPORT_STRATEGIES = {
+  skip: 'Leave existing leads untouched',
+  overwrite: 'Replace existing values with non-empty values from the import; tags and customFields are replaced as a whole',
+  fill_empty: 'Only set fields that are empty on the existing lead',
+  merge: 'Replace values, add new tags and merge customFields keys',
+};
+
+// Scalar Lead fields an import may update
+const UPDATABLE_FIELDS = ['name', 'company', 'phone', 'title', 'website', 'linkedinUrl', 'source', 'status', 'score', 'notes'];
+
+/**
+ * Normalize a header for alias matching
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Turn a header into a camelCase customFields key
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function toCustomFieldKey(header) {
+  const words = normalizeHeader(header).split(' ').filter(Boolean);
+  return words
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+/**
+ * Convert an ExcelJS cell value to a string
+ * @param {*} value - Cell value (string, number, Date, rich text, hyperlink, formula)
+ * @returns {string}
+ */
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (value.hyperlink) return value.hyperlink.replace(/^mailto:/i, '');
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Parse an uploaded CSV or XLSX file into header + row objects
+ * @param {Buffer} buffer - File contents
+ * @param {Object} fileInfo - { originalname, mimetype }
+ * @returns {Promise<Object>} - { headers, rows } where each row maps header -> string
+ */
+async function parseUpload(buffer, { originalname = '', mimetype = '' } = {}) {
+  const isXlsx = /\.xlsx$/i.test(originalname) ||
+    mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  if (isXlsx) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      headers[colNumber - 1] = cellToString(cell.value).trim() || `Column ${colNumber}`;
+    });
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = cellToString(row.getCell(index + 1).value).trim();
+      });
+
+      if (Object.values(record).some(Boolean)) {
+        rows.push(record);
+      }
+    });
+
+    return { headers, rows };
+  }
+
+  const records = parse(buffer, {
+    bom: true,
+    columns: (header) => header.map((h, index) => String(h).trim() || `Column ${index + 1}`),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true,
+  });
+
+  return {
+    headers: records.length > 0 ? Object.keys(records[0]) : [],
+    rows: records,
+  };
+}
+
+/**
+ * Suggest a Lead field for each upload column
+ * Known headers map to Lead fields (each field at most once); everything else maps to customFields.
+ * @param {string[]} headers - Column headers
+ * @returns {Object} - { header: 'email' | 'company' | 'custom:industry' | ... }
+ */
+function suggestMapping(headers) {
+  const mapping = {};
+  const usedFields = new Set();
+
+  for (const header of headers) {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(LEAD_FIELDS).find(
+      (key) => !usedFields.has(key) && LEAD_FIELDS[key].some((alias) => normalizeHeader(alias) === normalized)
+    );
+
+    if (field) {
+      mapping[header] = field;
+      usedFields.add(field);
+    } else {
+      mapping[header] = `${CUSTOM_FIELD_PREFIX}${toCustomFieldKey(header)}`;
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Validate a client-supplied mapping
+ * @param {Object} mapping - { header: field }
+ * @returns {string|null} - Error message or null
+ */
+function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of { column: field }';
+  }
+
+  const targets = Object.values(mapping).filter(Boolean);
+
+  if (!targets.includes('email')) {
+    return 'A column must be mapped to email';
+  }
+
+  for (const target of targets) {
+    if (target !== 'ignore' && !(target in LEAD_FIELDS) && !target.startsWith(CUSTOM_FIELD_PREFIX)) {
+      return `Unknown field "${target}". Use a lead field, "custom:<name>" or "ignore"`;
+    }
+  }
+
+  const leadTargets = targets.filter((target) => target in LEAD_FIELDS);
+  if (new Set(leadTargets).size !== leadTargets.length) {
+    return 'Each lead field can only be mapped once';
+  }
+
+  return null;
+}
+
+/**
+ * Build lead data from an upload row
+ * @param {Object} row - { header: value }
+ * @param {Object} mapping - { header: field }
+ * @returns {Object} - Lead fields plus customFields
+ */
+function applyMapping(row, mapping) {
+  const data = { customFields: {} };
+
+  for (const [header, target] of Object.entries(mapping)) {
+    const value = row[header];
+    if (!target || target === 'ignore' || value === undefined || value === '') continue;
+
+    if (target.startsWith(CUSTOM_FIELD_PREFIX)) {
+      data.customFields[target.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+    } else {
+      data[target] = value;
+    }
+  }
+
+  return normalizeLeadInput(data);
+}
+
+/**
+ * Normalize one incoming lead (upload row or JSON bulk item)
+ * Only values present in the input are set, so update strategies can tell "empty" from "not provided".
+ * @param {Object} input - { email, firstName, lastName, name, ..., tags, customFields }
+ * @returns {Object} - Normalized lead input with originalEmail kept for case-sensitive matching
+ */
+function normalizeLeadInput(input = {}) {
+  const data = { ...input };
+
+  const originalEmail = typeof data.email === 'string' ? data.email.trim() : '';
+  data.originalEmail = originalEmail;
+  data.email = originalEmail.toLowerCase();
+
+  if (!data.name && (data.firstName || data.lastName)) {
+    data.name = [data.firstName, data.lastName].filter(Boolean).join(' ');
+  }
+
+  if (typeof data.tags === 'string') {
+    data.tags = data.tags.split(/[,;]/).map((tag) => tag.trim()).filter(Boolean);
+  } else if (!Array.isArray(data.tags)) {
+    delete data.tags;
+  }
+
+  if (data.score !== undefined && data.score !== '' && data.score !== null) {
+    const score = parseInt(data.score);
+    if (Number.isNaN(score)) delete data.score;
+    else data.score = score;
+  }
+
+  if (!data.customFields || typeof data.customFields !== 'object' || Array.isArray(data.customFields)) {
+    data.customFields = {};
+  }
+
+  return data;
+}
+
+/**
+ * Convert mapped lead data into a Lead create payload
+ * @param {string} userId - Owner (User) ID
+ * @param {Object} data - Output of applyMapping
+ * @param {string} defaultSource - Source when the file has none
+ * @returns {Object}
+ */
+function toLeadRecord(userId, data, defaultSource = 'import') {
+  const name = data.name || (data.firstName && data.lastName ? `${data.firstName} ${data.lastName}` : data.firstName || data.lastName || null);
+
+  return {
+    userId,
+    email: data.email,
+    name,
+    company: data.company || null,
+    phone: data.phone || null,
+    title: data.title || null,
+    website: data.website || null,
+    linkedinUrl: data.linkedinUrl || null,
+    source: data.source || defaultSource,
+    status: data.status || 'new',
+    score: parseInt(data.score) || 0,
+    notes: data.notes || null,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    customFields: data.customFields || {},
+  };
+}
+
+/**
+ * Find existing leads by email
+ * Matches both the lowercased and the original spelling, since older leads were stored as typed.
+ * @param {string} userId - Owner (User) ID
+ * @param {Object[]} leads - Normalized lead inputs
+ * @param {Object} select - Prisma select (optional, defaults to the whole lead)
+ * @returns {Promise<Map>} - lowercased email -> lead
+ */
+async function findExistingLeads(userId, leads, select = undefined) {
+  const emails = Array.from(new Set(
+    leads.flatMap((lead) => [lead.email, lead.originalEmail]).filter(Boolean)
+  ));
+  const existing = new Map();
+
+  for (let i = 0; i < emails.length; i += IMPORT_BATCH_SIZE) {
+    const found = await prisma.lead.findMany({
+      where: { userId, email: { in: emails.slice(i, i + IMPORT_BATCH_SIZE) } },
+      ...(select && { select }),
+    });
+    found.forEach((lead) => existing.set(lead.email.toLowerCase(), lead));
+  }
+
+  return existing;
+}
+
+/**
+ * Classify every mapped row before anything is written
+ * Row numbers are 1-based data rows (the header row is not counted).
+ * Rows matching an existing lead are importable (as updates) unless the strategy is 'skip';
+ * only new leads use up tier slots.
+ * Addresses are only verified (MX lookups are slow) when excludeEmailVerdicts is set; rows whose
+ * verdict is excluded are left out and the rest carry their verification for upsertLeads to store.
+ * @param {string} userId - Owner (User) ID
+ * @param {Object[]} leads - Output of applyMapping for each row
+ * @param {Object} options - { currentCount, limit, strategy, excludeEmailVerdicts }
+ * @returns {Promise<Object>} - { importable: [{ row, data, verification }], report }
+ */
+async function analyzeRows(userId, leads, { currentCount, limit, strategy = 'skip', excludeEmailVerdicts = [] }) {
+  const invalidEmails = [];
+  const excludedEmails = [];
+  const emailVerdicts = { valid: 0, risky: 0, invalid: 0 };
+  const duplicatesInFile = [];
+  const existingDuplicates = [];
+  const overLimit = [];
+  const importable = [];
+
+  const existing = await findExistingLeads(userId, leads, { email: true });
+  const verifications = excludeEmailVerdicts.length > 0
+    ? await verifyEmails(leads.map((data) => data.email).filter((email) => email && EMAIL_REGEX.test(email)))
+    : null;
+
+  const seen = new Map();
+  let slots = Math.max(limit - currentCount, 0);
+
+  leads.forEach((data, index) => {
+    const row = index + 1;
+
+    if (!data.email || !EMAIL_REGEX.test(data.email)) {
+      invalidEmails.push({ row, email: data.email || null });
+      return;
+    }
+
+    if (seen.has(data.email)) {
+      duplicatesInFile.push({ row, email: data.email, firstRow: seen.get(data.email) });
+      return;
+    }
+    seen.set(data.email, row);
+
+    const verification = verifications ? verifications.get(data.email) : undefined;
+    if (verification) {
+      emailVerdicts[verification.verdict] += 1;
+      if (excludeEmailVerdicts.includes(verification.verdict)) {
+        excludedEmails.push({ row, email: data.email, verdict: verification.verdict, reasons: verification.reasons });
+        return;
+      }
+    }
+
+    if (existing.has(data.email)) {
+      existingDuplicates.push({ row, email: data.email });
+      if (strategy !== 'skip') {
+        importable.push({ row, data, verification });
+      }
+      return;
+    }
+
+    if (slots === 0) {
+      overLimit.push({ row, email: data.email });
+      return;
+    }
+    slots -= 1;
+
+    importable.push({ row, data, verification });
+  });
+
+  return {
+    importable,
+    report: {
+      strategy,
+      totalRows: leads.length,
+      importable: importable.length,
+      invalidEmails,
+      emailVerdicts: verifications ? emailVerdicts : null,
+      excludeEmailVerdicts,
+      excludedEmails,
+      duplicatesInFile,
+      existingDuplicates,
+      overLimit,
+      limit,
+      currentCount,
+      remainingSlots: Math.max(limit - currentCount, 0),
+    },
+  };
+}
+
+/**
+ * Lead fields that store an email verification result
+ * @param {Object} verification - verifyEmail result
+ * @param {Date} verifiedAt
+ * @returns {Object}
+ */
+function toVerdictFields(verification, verifiedAt) {
+  return {
+    emailVerdict: verification.verdict,
+    emailVerdictReasons: verification.reasons,
+    emailVerifiedAt: verifiedAt,
+  };
+}
+
+/**
+ * Work out the update an import row makes to an existing lead
+ * @param {Object} existing - Existing Lead record
+ * @param {Object} incoming - Normalized lead input
+ * @param {string} strategy - overwrite, fill_empty or merge
+ * @returns {Object} - { data, changes } where changes lists the updated fields
+ */
+function buildLeadUpdate(existing, incoming, strategy) {
+  const data = {};
+  const changes = [];
+  const isEmpty = (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+  for (const field of UPDATABLE_FIELDS) {
+    const value = incoming[field];
+    if (isEmpty(value)) continue;
+
+    // A score of 0 is the default, so fill_empty treats it as empty
+    const current = existing[field];
+    if (strategy === 'fill_empty' && !isEmpty(current) && !(field === 'score' && current === 0)) continue;
+
+    if (value !== current) {
+      data[field] = value;
+      changes.push(field);
+    }
+  }
+
+  if (Array.isArray(incoming.tags) && incoming.tags.length > 0) {
+    const currentTags = existing.tags || [];
+    let tags = null;
+
+    if (strategy === 'overwrite') {
+      const same = incoming.tags.length === currentTags.length && incoming.tags.every((tag) => currentTags.includes(tag));
+      if (!same) tags = incoming.tags;
+    } else if (strategy === 'fill_empty') {
+      if (currentTags.length === 0) tags = incoming.tags;
+    } else {
+      const added = incoming.tags.filter((tag) => !currentTags.includes(tag));
+      if (added.length > 0) tags = [...currentTags, ...added];
+    }
+
+    if (tags) {
+      data.tags = tags;
+      changes.push('tags');
+    }
+  }
+
+  const incomingCustom = incoming.customFields || {};
+  if (Object.keys(incomingCustom).length > 0) {
+    const currentCustom = existing.customFields && typeof existing.customFields === 'object' ? existing.customFields : {};
+    const changedKeys = Object.keys(incomingCustom).filter((key) => {
+      if (strategy === 'fill_empty' && !isEmpty(currentCustom[key])) return false;
+      return currentCustom[key] !== incomingCustom[key];
+    });
+
+    if (strategy === 'overwrite') {
+      const removedKeys = Object.keys(currentCustom).filter((key) => !(key in incomingCustom));
+      if (changedKeys.length > 0 || removedKeys.length > 0) {
+        data.customFields = incomingCustom;
+        changes.push(...[...changedKeys, ...removedKeys].map((key) => `customFields.${key}`));
+      }
+    } else if (changedKeys.length > 0) {
+      data.customFields = {
+        ...currentCustom,
+        ...Object.fromEntries(changedKeys.map((key) => [key, incomingCustom[key]])),
+      };
+      changes.push(...changedKeys.map((key) => `customFields.${key}`));
+    }
+  }
+
+  return { data, changes };
+}
+
+/**
+ * Create new leads and apply the strategy to existing ones, in batches
+ * Each batch is one lookup, one createMany and one transaction of updates and their
+ * LeadFieldChange rows (source 'import').
+ * Rows that fail validation or repeat an earlier email are reported, not thrown.
+ * Created leads are enriched and verified in the background once every batch is written;
+ * rows carrying a verification (from analyzeRows) store it instead of being verified again.
+ * @param {string} userId - Owner (User) ID
+ * @param {Object[]} rows - [{ row, data, verification }] with normalized lead input
+ * @param {Object} options
+ * @param {string} options.strategy - skip, overwrite, fill_empty or merge
+ * @param {string} options.source - Lead source for new leads without one
+ * @param {Function} options.onProgress - async (processed) => void (optional)
+ * @returns {Promise<Object>} - { strategy, created, updated, unchanged, skipped, failed, processed, rows, leads }
+ */
+async function upsertLeads(userId, rows, { strategy = 'skip', source = 'import', onProgress } = {}) {
+  const summary = { strategy, created: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, processed: 0, rows: [], leads: [] };
+  const seen = new Set();
+
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + IMPORT_BATCH_SIZE);
+    const valid = [];
+    const verifiedAt = new Date();
+
+    for (const { row, data, verification } of batch) {
+      if (!data.email) {
+        summary.rows.push({ row, email: null, action: 'failed', error: 'Email is required' });
+      } else if (!EMAIL_REGEX.test(data.email)) {
+        summary.rows.push({ row, email: data.email, action: 'failed', error: 'Invalid email' });
+      } else if (seen.has(data.email)) {
+        summary.rows.push({ row, email: data.email, action: 'skipped', error: 'Duplicate email in import' });
+      } else {
+        seen.add(data.email);
+        valid.push({ row, data, verification });
+      }
+    }
+
+    const existing = await findExistingLeads(userId, valid.map(({ data }) => data));
+    const toCreate = valid.filter(({ data }) => !existing.has(data.email));
+    const toUpdate = valid.filter(({ data }) => existing.has(data.email));
+
+    if (toCreate.length > 0) {
+      // Ids are assigned here so rows createMany skips on a unique conflict (e.g. a concurrent
+      // import of the same email) can be told apart from the rows it wrote
+      const records = toCreate.map(({ data, verification }) => ({
+        id: crypto.randomUUID(),
+        ...toLeadRecord(userId, data, source),
+        ...(verification && toVerdictFields(verification, verifiedAt)),
+      }));
+
+      const { count } = await prisma.lead.createMany({ data: records, skipDuplicates: true });
+
+      const created = count > 0
+        ? await prisma.lead.findMany({ where: { id: { in: records.map((record) => record.id) } } })
+        : [];
+      const createdById = new Map(created.map((lead) => [lead.id, lead]));
+
+      toCreate.forEach(({ row, data }, index) => {
+        const lead = createdById.get(records[index].id);
+        if (lead) {
+          summary.rows.push({ row, email: data.email, action: 'created', leadId: lead.id });
+          summary.leads.push(lead);
+        } else {
+          summary.rows.push({ row, email: data.email, action: 'skipped', error: 'Lead already exists' });
+        }
+      });
+    }
+
+    const updates = [];
+    const changeRows = [];
+    for (const { row, data, verification } of toUpdate) {
+      const lead = existing.get(data.email);
+      const verdictData = verification ? toVerdictFields(verification, verifiedAt) : {};
+
+      if (strategy === 'skip') {
+        summary.rows.push({ row, email: data.email, action: 'skipped', leadId: lead.id, error: 'Lead already exists' });
+        continue;
+      }
+
+      const { data: updateData, changes } = buildLeadUpdate(lead, data, strategy);
+      if (changes.length === 0) {
+        if (verification) {
+          updates.push(prisma.lead.update({ where: { id: lead.id }, data: verdictData }));
+        }
+        summary.rows.push({ row, email: data.email, action: 'unchanged', leadId: lead.id });
+        continue;
+      }
+
+      updates.push(prisma.lead.update({ where: { id: lead.id }, data: { ...updateData, ...verdictData } }));
+      changeRows.push(...buildLeadChangeRows(lead, updateData, { userId, source: 'import' }));
+      summary.rows.push({ row, email: data.email, action: 'updated', leadId: lead.id, changes });
+    }
+
+    if (updates.length > 0) {
+      await prisma.$transaction([
+        ...updates,
+        ...(changeRows.length > 0 ? [prisma.leadFieldChange.createMany({ data: changeRows })] : []),
+      ]);
+    }
+
+    summary.processed = Math.min(i + batch.length, rows.length);
+    if (onProgress) {
+      await onProgress(summary.processed);
+    }
+  }
+
+  summary.rows.sort((a, b) => a.row - b.row);
+  for (const { action } of summary.rows) {
+    summary[action] += 1;
+  }
+
+  if (summary.leads.length > 0) {
+    enrichInBackground('lead', summary.leads.map(lead => lead.id));
+
+    const unverified = summary.leads.filter(lead => !lead.emailVerifiedAt);
+    if (unverified.length > 0) {
+      verifyInBackground(unverified.map(lead => lead.id));
+    }
+  }
+
+  return summary;
+}
+
+function importError(message, code, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data) error.data = data;
+  return error;
+}
+
+/**
+ * Parse an upload, apply the column mapping and analyze the rows
+ * Background imports call this inside the job, so a large file never holds up the request.
+ * @param {string} userId - Owner (User) ID
+ * @param {Object} file - { buffer, originalname, mimetype }
+ * @param {Object} options
+ * @param {Object} options.mapping - { header: field } (suggested from the headers when omitted)
+ * @param {boolean} options.dryRun - Return an invalid mapping as mappingError instead of throwing
+ * @param {string} options.strategy - skip, overwrite, fill_empty or merge
+ * @param {string[]} options.excludeEmailVerdicts - Verdicts to leave out (optional)
+ * @param {number} options.limit - Tier lead limit
+ * @returns {Promise<Object>} - { headers, suggestedMapping, mapping, mappingError, mappedRows, importable, report }
+ */
+async function prepareImport(userId, file, { mapping, dryRun = false, strategy, excludeEmailVerdicts, limit }) {
+  let parsed;
+  try {
+    parsed = await parseUpload(file.buffer, file);
+  } catch (error) {
+    throw importError(`Could not read file: ${error.message}`, 'IMPORT_UNREADABLE');
+  }
+
+  const { headers, rows } = parsed;
+  if (rows.length === 0) {
+    throw importError('File contains no data rows', 'IMPORT_EMPTY');
+  }
+
+  const suggestedMapping = suggestMapping(headers);
+  const finalMapping = mapping || suggestedMapping;
+  const mappingError = validateMapping(finalMapping);
+
+  if (mappingError && !dryRun) {
+    throw importError(mappingError, 'IMPORT_INVALID_MAPPING', {
+      headers,
+      suggestedMapping,
+      fields: Object.keys(LEAD_FIELDS),
+    });
+  }
+
+  const currentCount = await prisma.lead.count({ where: { userId } });
+  const mappedRows = rows.map((row) => applyMapping(row, finalMapping));
+  const { importable, report } = await analyzeRows(userId, mappedRows, {
+    currentCount,
+    limit,
+    strategy,
+    excludeEmailVerdicts,
+  });
+
+  return {
+    headers,
+    suggestedMapping,
+    mapping: finalMapping,
+    mappingError,
+    mappedRows,
+    importable,
+    report,
+  };
+}
+
+/**
+ * Write analyzed upload rows with the chosen strategy
+ * @param {string} userId - Owner (User) ID
+ * @param {Object[]} importable - From analyzeRows
+ * @param {Object} options - { strategy, source, onProgress }
+ * @returns {Promise<Object>} - upsertLeads summary without the lead records
+ */
+async function importRows(userId, importable, options = {}) {
+  const { leads, ...result } = await upsertLeads(userId, importable, options);
+  return result;
+}
+
+/**
+ * Shrink an import result for storage on its BackgroundJob
+ * Keeps the counts and only the skipped and failed rows (capped at JOB_RESULT_MAX_ROWS, as are
+ * the report's row lists); created/updated/unchanged rows are left out.
+ * @param {Object} result - importRows result
+ * @param {Object} report - analyzeRows report
+ * @returns {Object} - { ...counts, rows, rowsTruncated, report }
+ */
+function buildImportJobResult({ rows, ...counts }, report) {
+  const problemRows = rows.filter(row => row.action === 'skipped' || row.action === 'failed');
+  const capped = { ...report };
+  for (const [key, value] of Object.entries(report)) {
+    if (Array.isArray(value) && value.length > JOB_RESULT_MAX_ROWS) {
+      capped[key] = value.slice(0, JOB_RESULT_MAX_ROWS);
+      capped[`${key}Count`] = value.length;
+    }
+  }
+
+  return {
+    ...counts,
+    rows: problemRows.slice(0, JOB_RESULT_MAX_ROWS),
+    rowsTruncated: problemRows.length > JOB_RESULT_MAX_ROWS,
+    report: capped,
+  };
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  IMPORT_STRATEGIES,
+  parseUpload,
+  suggestMapping,
+  validateMapping,
+  applyMapping,
+  toLeadRecord,
+  normalizeLeadInput,
+  findExistingLeads,
+  buildLeadUpdate,
+  analyzeRows,
+  prepareImport,
+  upsertLeads,
+  importRows,
+  buildImportJobResult,
+};
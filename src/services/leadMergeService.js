@@ -0,0 +1,532 @@
+// Lead Merge Service
+// Finds likely duplicate leads and merges them, keeping an audit record so a merge can be undone
+
+const { PrismaClient } = require('@prisma/client');
+const { recordLeadChanges } = require('./leadTimelineService');
+const { FREE_EMAIL_DOMAINS } = require('./enrichment/offlineProvider');
+
+const prisma = new PrismaClient();
+
+// How much each signal counts towards a pair's duplicate score
+const SIGNAL_WEIGHTS = {
+  name: 0.35,
+  linkedin: 0.3,
+  phone: 0.25,
+  company: 0.1,
+};
+
+// Pairs scoring below this (0-100) are not reported by default
+const DEFAULT_MIN_SCORE = 70;
+
+// Blocks larger than this (e.g. hundreds of leads at one company) are too broad to compare pairwise
+const MAX_BLOCK_SIZE = 200;
+
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|sa|bv|the)\b/g;
+
+// Lead fields a merge combines; email stays the survivor's
+const MERGE_FIELDS = [
+  'name', 'company', 'phone', 'title', 'website', 'linkedinUrl', 'source',
+  'status', 'score', 'notes', 'tags', 'customFields', 'lastContactedAt',
+];
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastContactedAt'];
+
+const LEAD_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  company: true,
+  phone: true,
+  title: true,
+  linkedinUrl: true,
+  score: true,
+  createdAt: true,
+};
+
+function mergeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCompany(value) {
+  return normalizeText(value).replace(COMPANY_SUFFIXES, '').replace(/\s+/g, ' ').trim();
+}
+
+// Compare on the last 10 digits so "+1 (415) 555-0100" matches "415.555.0100"
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+function normalizeLinkedin(value) {
+  const match = String(value || '').toLowerCase().match(/linkedin\.com\/(in|pub)\/([^/?#]+)/);
+  return match ? decodeURIComponent(match[2]) : '';
+}
+
+// Sørensen–Dice coefficient over character bigrams (0-1)
+function diceSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap += 1;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Fuzzy person-name similarity (0-1)
+ * Word order is ignored, and an initial matches the full first name ("J. Smith" ~ "John Smith").
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const tokensA = normalizeText(a).split(' ').filter(Boolean);
+  const tokensB = normalizeText(b).split(' ').filter(Boolean);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const similarity = diceSimilarity([...tokensA].sort().join(' '), [...tokensB].sort().join(' '));
+
+  const lastA = tokensA[tokensA.length - 1];
+  const lastB = tokensB[tokensB.length - 1];
+  const initialMatch = tokensA.length > 1 && tokensB.length > 1 && lastA === lastB &&
+    tokensA[0][0] === tokensB[0][0] && (tokensA[0].length === 1 || tokensB[0].length === 1);
+
+  return initialMatch ? Math.max(similarity, 0.85) : similarity;
+}
+
+/**
+ * Score how likely two leads are the same person
+ * Only signals present on both leads count. A pair matched on name or company alone
+ * is discounted, since phone and LinkedIn are the only near-unique identifiers.
+ * @param {Object} a - Lead
+ * @param {Object} b - Lead
+ * @returns {Object} - { score (0-100), signals: [{ signal, similarity }] }
+ */
+function scoreDuplicatePair(a, b) {
+  const signals = [];
+
+  if (a.name && b.name) {
+    signals.push({ signal: 'name', similarity: nameSimilarity(a.name, b.name) });
+  }
+
+  const linkedinA = normalizeLinkedin(a.linkedinUrl);
+  const linkedinB = normalizeLinkedin(b.linkedinUrl);
+  if (linkedinA && linkedinB) {
+    signals.push({ signal: 'linkedin', similarity: linkedinA === linkedinB ? 1 : 0 });
+  }
+
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  if (phoneA && phoneB) {
+    signals.push({ signal: 'phone', similarity: phoneA === phoneB ? 1 : 0 });
+  }
+
+  const companyA = normalizeCompany(a.company);
+  const companyB = normalizeCompany(b.company);
+  if (companyA && companyB) {
+    signals.push({ signal: 'company', similarity: diceSimilarity(companyA, companyB) });
+  }
+
+  if (signals.length === 0) {
+    return { score: 0, signals };
+  }
+
+  const totalWeight = signals.reduce((sum, s) => sum + SIGNAL_WEIGHTS[s.signal], 0);
+  let score = signals.reduce((sum, s) => sum + SIGNAL_WEIGHTS[s.signal] * s.similarity, 0) / totalWeight;
+
+  const hasIdentifier = signals.some(s => (s.signal === 'phone' || s.signal === 'linkedin') && s.similarity === 1);
+  if (!hasIdentifier && signals.length < 2) {
+    score *= 0.6;
+  }
+
+  return {
+    score: Math.round(score * 100),
+    signals: signals.map(s => ({ ...s, similarity: Math.round(s.similarity * 100) / 100 })),
+  };
+}
+
+// Keys that put a lead in a comparison block; only leads sharing a block are compared
+function blockingKeys(lead) {
+  const keys = [];
+
+  const phone = normalizePhone(lead.phone);
+  if (phone) keys.push(`phone:${phone}`);
+
+  const linkedin = normalizeLinkedin(lead.linkedinUrl);
+  if (linkedin) keys.push(`linkedin:${linkedin}`);
+
+  const tokens = normalizeText(lead.name).split(' ').filter(Boolean);
+  if (tokens.length > 0) keys.push(`name:${tokens[tokens.length - 1]}:${tokens[0][0]}`);
+
+  const company = normalizeCompany(lead.company);
+  if (company) keys.push(`company:${company}`);
+
+  const domain = lead.email?.split('@')[1]?.toLowerCase();
+  if (domain && !FREE_EMAIL_DOMAINS.has(domain)) keys.push(`domain:${domain}`);
+
+  return keys;
+}
+
+/**
+ * Find likely duplicate lead pairs in an account
+ * @param {string} userId - Account (User) ID
+ * @param {Object} options
+ * @param {number} options.minScore - Minimum pair score, 0-100 (default 70)
+ * @param {string} options.leadId - Only return pairs involving this lead (optional)
+ * @param {number} options.limit - Maximum pairs to return (default 50)
+ * @returns {Promise<Object[]>} - [{ score, signals, leads: [a, b] }] best first
+ */
+async function findDuplicateCandidates(userId, { minScore = DEFAULT_MIN_SCORE, leadId, limit = 50 } = {}) {
+  const leads = await prisma.lead.findMany({
+    where: { userId },
+    select: LEAD_SELECT,
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const blocks = new Map();
+  for (const lead of leads) {
+    for (const key of blockingKeys(lead)) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(lead);
+    }
+  }
+
+  const seen = new Set();
+  const pairs = [];
+
+  for (const block of blocks.values()) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = [block[i], block[j]];
+        if (leadId && a.id !== leadId && b.id !== leadId) continue;
+
+        const pairKey = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const { score, signals } = scoreDuplicatePair(a, b);
+        if (score >= minScore) {
+          pairs.push({ score, signals, leads: [a, b] });
+        }
+      }
+    }
+  }
+
+  pairs.sort((x, y) => y.score - x.score);
+
+  return pairs.slice(0, limit);
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Work out the survivor's field values after absorbing another lead
+ * By default the survivor keeps its own values and only fills gaps; `prefer` picks
+ * the merged lead's value for specific fields, e.g. { title: 'merged' }.
+ * @param {Object} survivor - Lead that is kept
+ * @param {Object} merged - Lead that is absorbed
+ * @param {Object} prefer - Field -> 'survivor' | 'merged'
+ * @returns {Object} - Field values for the survivor
+ */
+function combineLeads(survivor, merged, prefer = {}) {
+  const data = {};
+
+  for (const field of MERGE_FIELDS) {
+    const keep = survivor[field];
+    const take = merged[field];
+
+    if (field === 'tags') {
+      data.tags = [...new Set([...(keep || []), ...(take || [])])];
+    } else if (field === 'customFields') {
+      data.customFields = prefer.customFields === 'merged'
+        ? { ...(keep || {}), ...(take || {}) }
+        : { ...(take || {}), ...(keep || {}) };
+    } else if (prefer[field] === 'merged') {
+      data[field] = isEmpty(take) ? keep : take;
+    } else if (prefer[field] === 'survivor') {
+      data[field] = keep;
+    } else if (field === 'score') {
+      data.score = Math.max(keep || 0, take || 0);
+    } else if (field === 'lastContactedAt') {
+      data.lastContactedAt = keep && take ? new Date(Math.max(new Date(keep), new Date(take))) : (keep || take);
+    } else if (field === 'notes' && !isEmpty(keep) && !isEmpty(take) && keep !== take) {
+      data.notes = `${keep}\n\n${take}`;
+    } else {
+      data[field] = isEmpty(keep) ? take : keep;
+    }
+  }
+
+  return data;
+}
+
+// JSON-safe comparison for field values (dates, arrays, objects)
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Snapshot a record for a Json column (dates become ISO strings)
+const toJson = (value) => JSON.parse(JSON.stringify(value));
+
+// Turn dates stored in a JSON snapshot back into Date objects
+function reviveDates(record) {
+  const data = { ...record };
+  for (const field of DATE_FIELDS) {
+    if (data[field]) data[field] = new Date(data[field]);
+  }
+  return data;
+}
+
+/**
+ * Merge one lead into another
+ * The merged lead's campaign recipients, email events, conversations and change history move to the
+ * survivor, then the merged lead is deleted. If both leads were in the same campaign,
+ * the survivor's recipient is kept and the merged lead's is dropped (and saved for undo).
+ * @param {string} userId - Account (User) ID
+ * @param {string} survivorId - Lead to keep
+ * @param {string} mergedId - Lead to absorb and delete
+ * @param {Object} prefer - Field -> 'survivor' | 'merged' overrides (optional)
+ * @returns {Promise<Object>} - { merge, survivor }
+ */
+async function mergeLeads(userId, survivorId, mergedId, prefer = {}) {
+  if (!survivorId || !mergedId) {
+    throw mergeError('survivorId and mergedId are required', 'MERGE_INVALID');
+  }
+  if (survivorId === mergedId) {
+    throw mergeError('A lead cannot be merged into itself', 'MERGE_INVALID');
+  }
+
+  const [survivor, merged] = await Promise.all([
+    prisma.lead.findFirst({ where: { id: survivorId, userId } }),
+    prisma.lead.findFirst({ where: { id: mergedId, userId } }),
+  ]);
+
+  if (!survivor || !merged) {
+    throw mergeError('Lead not found', 'LEAD_NOT_FOUND');
+  }
+
+  const [mergedRecipients, survivorRecipients, mergedEvents, conversations, fieldChanges] = await Promise.all([
+    prisma.campaignLead.findMany({ where: { leadId: merged.id } }),
+    prisma.campaignLead.findMany({ where: { leadId: survivor.id }, select: { campaignId: true } }),
+    prisma.emailEvent.findMany({ where: { leadId: merged.id }, select: { id: true } }),
+    prisma.conversation.findMany({ where: { userId, contactId: merged.id }, select: { id: true } }),
+    prisma.leadFieldChange.findMany({ where: { leadId: merged.id }, select: { id: true } }),
+  ]);
+
+  const survivorCampaignIds = new Set(survivorRecipients.map(r => r.campaignId));
+  const dropped = mergedRecipients.filter(r => survivorCampaignIds.has(r.campaignId));
+  const moved = mergedRecipients.filter(r => !survivorCampaignIds.has(r.campaignId));
+
+  const combined = combineLeads(survivor, merged, prefer);
+  const survivorBefore = {};
+  const survivorAfter = {};
+  for (const field of MERGE_FIELDS) {
+    if (!sameValue(survivor[field], combined[field])) {
+      survivorBefore[field] = survivor[field];
+      survivorAfter[field] = combined[field];
+    }
+  }
+
+  const [merge, updatedSurvivor] = await prisma.$transaction([
+    prisma.leadMerge.create({
+      data: {
+        userId,
+        survivorId: survivor.id,
+        mergedLeadId: merged.id,
+        mergedLead: toJson(merged),
+        survivorBefore: toJson(survivorBefore),
+        survivorAfter: toJson(survivorAfter),
+        droppedRecipients: toJson(dropped),
+        movedCampaignLeadIds: moved.map(r => r.id),
+        movedEmailEventIds: mergedEvents.map(e => e.id),
+        movedConversationIds: conversations.map(c => c.id),
+        movedFieldChangeIds: fieldChanges.map(c => c.id),
+      },
+    }),
+    prisma.lead.update({
+      where: { id: survivor.id },
+      data: survivorAfter,
+    }),
+    prisma.campaignLead.deleteMany({
+      where: { id: { in: dropped.map(r => r.id) } },
+    }),
+    ...dropped.map(r => prisma.campaign.update({
+      where: { id: r.campaignId },
+      data: { totalLeads: { decrement: 1 } },
+    })),
+    prisma.campaignLead.updateMany({
+      where: { id: { in: moved.map(r => r.id) } },
+      data: { leadId: survivor.id },
+    }),
+    prisma.emailEvent.updateMany({
+      where: { leadId: merged.id },
+      data: { leadId: survivor.id },
+    }),
+    prisma.conversation.updateMany({
+      where: { id: { in: conversations.map(c => c.id) } },
+      data: { contactId: survivor.id },
+    }),
+    // Keep the absorbed lead's change history with it so undo can take it back
+    prisma.leadFieldChange.updateMany({
+      where: { leadId: merged.id },
+      data: { leadId: survivor.id },
+    }),
+    prisma.lead.delete({
+      where: { id: merged.id },
+    }),
+  ]);
+
+  await recordLeadChanges(survivor, survivorAfter, { userId, source: 'merge' });
+
+  return { merge, survivor: updatedSurvivor };
+}
+
+/**
+ * Undo a merge: restore the deleted lead with its original ID and move its
+ * recipients, events and conversations back
+ * Survivor fields are only reverted if they still hold the value the merge set;
+ * fields edited since the merge are kept and reported as conflicts.
+ * @param {string} userId - Account (User) ID
+ * @param {string} mergeId - LeadMerge ID
+ * @returns {Promise<Object>} - { merge, restoredLead, conflicts }
+ */
+async function undoMerge(userId, mergeId) {
+  const merge = await prisma.leadMerge.findFirst({
+    where: { id: mergeId, userId },
+  });
+
+  if (!merge) {
+    throw mergeError('Merge not found', 'LEAD_NOT_FOUND');
+  }
+  if (merge.status !== 'merged') {
+    throw mergeError('This merge has already been undone', 'MERGE_INVALID');
+  }
+
+  const snapshot = reviveDates(merge.mergedLead);
+
+  const [survivor, emailTaken, idTaken] = await Promise.all([
+    prisma.lead.findFirst({ where: { id: merge.survivorId, userId } }),
+    prisma.lead.findUnique({ where: { userId_email: { userId, email: snapshot.email } } }),
+    prisma.lead.findUnique({ where: { id: merge.mergedLeadId } }),
+  ]);
+
+  if (!survivor) {
+    throw mergeError('The surviving lead no longer exists', 'MERGE_CONFLICT');
+  }
+  if (emailTaken || idTaken) {
+    throw mergeError(`Another lead now uses ${snapshot.email}`, 'MERGE_CONFLICT');
+  }
+
+  const restoreData = {};
+  const conflicts = [];
+  for (const [field, after] of Object.entries(merge.survivorAfter)) {
+    if (sameValue(survivor[field], after)) {
+      restoreData[field] = merge.survivorBefore[field];
+    } else {
+      conflicts.push(field);
+    }
+  }
+  if (restoreData.customFields === null) {
+    restoreData.customFields = {};
+  }
+
+  // Events recorded after the merge for moved recipients belong to the restored lead too
+  const movedRecipients = await prisma.campaignLead.findMany({
+    where: { id: { in: merge.movedCampaignLeadIds } },
+    select: { campaignId: true },
+  });
+  const movedCampaignIds = [...new Set(movedRecipients.map(r => r.campaignId))];
+
+  const dropped = (merge.droppedRecipients || []).map(r => ({
+    ...r,
+    sentAt: r.sentAt ? new Date(r.sentAt) : null,
+    openedAt: r.openedAt ? new Date(r.openedAt) : null,
+    clickedAt: r.clickedAt ? new Date(r.clickedAt) : null,
+    repliedAt: r.repliedAt ? new Date(r.repliedAt) : null,
+  }));
+
+  const { customFields, ...leadData } = snapshot;
+
+  const results = await prisma.$transaction([
+    prisma.lead.create({
+      data: {
+        ...leadData,
+        ...(customFields && { customFields }),
+      },
+    }),
+    prisma.campaignLead.updateMany({
+      where: { id: { in: merge.movedCampaignLeadIds }, leadId: survivor.id },
+      data: { leadId: merge.mergedLeadId },
+    }),
+    prisma.emailEvent.updateMany({
+      where: {
+        leadId: survivor.id,
+        OR: [
+          { id: { in: merge.movedEmailEventIds } },
+          { campaignId: { in: movedCampaignIds } },
+        ],
+      },
+      data: { leadId: merge.mergedLeadId },
+    }),
+    prisma.conversation.updateMany({
+      where: { id: { in: merge.movedConversationIds }, contactId: survivor.id },
+      data: { contactId: merge.mergedLeadId },
+    }),
+    prisma.leadFieldChange.updateMany({
+      where: { id: { in: merge.movedFieldChangeIds }, leadId: survivor.id },
+      data: { leadId: merge.mergedLeadId },
+    }),
+    prisma.campaignLead.createMany({
+      data: dropped,
+      skipDuplicates: true,
+    }),
+    prisma.campaign.updateMany({
+      where: { id: { in: dropped.map(r => r.campaignId) } },
+      data: { totalLeads: { increment: 1 } },
+    }),
+    prisma.lead.update({
+      where: { id: survivor.id },
+      data: reviveDates(restoreData),
+    }),
+    prisma.leadMerge.update({
+      where: { id: merge.id },
+      data: { status: 'undone', undoneAt: new Date() },
+    }),
+  ]);
+
+  await recordLeadChanges(survivor, reviveDates(restoreData), { userId, source: 'merge' });
+
+  return { merge: results[results.length - 1], restoredLead: results[0], conflicts };
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  MERGE_FIELDS,
+  scoreDuplicatePair,
+  findDuplicateCandidates,
+  combineLeads,
+  mergeLeads,
+  undoMerge,
+};
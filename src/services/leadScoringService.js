@@ -0,0 +1,533 @@
+// Lead Scoring Service
+// Scores Leads and Tackle Contacts from account-defined rules:
+// attribute conditions (title contains "VP", company size, source) and
+// engagement events (email opens/clicks/replies, inbound messages).
+
+const { PrismaClient } = require('@prisma/client');
+const { recordLeadChanges, buildLeadChangeRows } = require('./leadTimelineService');
+
+const prisma = new PrismaClient();
+
+const MIN_SCORE = 0;
+const MAX_SCORE = 100;
+
+const RULE_TYPES = ['attribute', 'event'];
+const RULE_TARGETS = ['lead', 'contact', 'all'];
+
+const OPERATORS = [
+  'equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with',
+  'in', 'gt', 'gte', 'lt', 'lte', 'exists', 'not_exists',
+];
+
+// Event rule types; campaign events come from EmailEvent, inbound_message from conversations
+const EVENT_TYPES = ['opened', 'clicked', 'replied', 'inbound_message'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a rule payload
+ * @param {Object} rule - Rule fields
+ * @returns {string|null} - Error message or null
+ */
+function validateRule(rule) {
+  if (!rule.name) return 'Rule name is required';
+  if (!Number.isInteger(rule.points)) return 'points must be an integer';
+  if (rule.type && !RULE_TYPES.includes(rule.type)) return `type must be one of: ${RULE_TYPES.join(', ')}`;
+  if (rule.appliesTo && !RULE_TARGETS.includes(rule.appliesTo)) return `appliesTo must be one of: ${RULE_TARGETS.join(', ')}`;
+
+  if ((rule.type || 'attribute') === 'attribute') {
+    if (!rule.field) return 'field is required for attribute rules';
+    if (!OPERATORS.includes(rule.operator)) return `operator must be one of: ${OPERATORS.join(', ')}`;
+    if (!['exists', 'not_exists'].includes(rule.operator) && (rule.value === undefined || rule.value === null)) {
+      return 'value is required for this operator';
+    }
+  } else {
+    if (!EVENT_TYPES.includes(rule.eventType)) return `eventType must be one of: ${EVENT_TYPES.join(', ')}`;
+    if (rule.maxOccurrences !== undefined && !(Number.isInteger(rule.maxOccurrences) && rule.maxOccurrences >= 1)) {
+      return 'maxOccurrences must be a positive integer';
+    }
+    if (rule.withinDays !== undefined && rule.withinDays !== null && !(Number.isInteger(rule.withinDays) && rule.withinDays >= 1)) {
+      return 'withinDays must be a positive integer';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a number out of values like 250, "250", "51-200" or "1000+"
+ * Ranges use their lower bound.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Read a (possibly dotted) field from a scoring context
+ * @param {Object} context - From buildLeadContext / buildContactContext
+ * @param {string} field - e.g. 'title' or 'customFields.industry'
+ * @returns {*}
+ */
+function getFieldValue(context, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Check an attribute rule against a scoring context
+ * String comparisons are case-insensitive; array fields (tags) match if any element matches.
+ * @param {Object} context - Scoring context
+ * @param {Object} rule - LeadScoringRule
+ * @returns {boolean}
+ */
+function matchesCondition(context, rule) {
+  const actual = getFieldValue(context, rule.field);
+  const isEmpty = actual === undefined || actual === null || actual === '' ||
+    (Array.isArray(actual) && actual.length === 0);
+
+  if (rule.operator === 'exists') return !isEmpty;
+  if (rule.operator === 'not_exists') return isEmpty;
+  if (isEmpty) return rule.operator === 'not_equals' || rule.operator === 'not_contains';
+
+  if (Array.isArray(actual)) {
+    const negated = rule.operator.startsWith('not_');
+    const positive = { ...rule, operator: negated ? rule.operator.slice(4) : rule.operator };
+    const anyMatch = actual.some((item) => matchesCondition({ value: item }, { ...positive, field: 'value' }));
+    return negated ? !anyMatch : anyMatch;
+  }
+
+  const text = String(actual).toLowerCase();
+  const expected = Array.isArray(rule.value) ? rule.value : [rule.value];
+  const expectedText = expected.map((v) => String(v).toLowerCase());
+
+  switch (rule.operator) {
+    case 'equals': return expectedText.includes(text);
+    case 'not_equals': return !expectedText.includes(text);
+    case 'in': return expectedText.includes(text);
+    case 'contains': return expectedText.some((v) => text.includes(v));
+    case 'not_contains': return !expectedText.some((v) => text.includes(v));
+    case 'starts_with': return expectedText.some((v) => text.startsWith(v));
+    case 'ends_with': return expectedText.some((v) => text.endsWith(v));
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const a = toNumber(actual);
+      const b = toNumber(expected[0]);
+      if (a === null || b === null) return false;
+      if (rule.operator === 'gt') return a > b;
+      if (rule.operator === 'gte') return a >= b;
+      if (rule.operator === 'lt') return a < b;
+      return a <= b;
+    }
+    default: return false;
+  }
+}
+
+/**
+ * Build the attribute context rules are evaluated against for a Lead
+ * Leads have no company record, so companySize comes from customFields when present.
+ * @param {Object} lead - Lead record
+ * @returns {Object}
+ */
+function buildLeadContext(lead) {
+  const customFields = lead.customFields && typeof lead.customFields === 'object' ? lead.customFields : {};
+
+  return {
+    email: lead.email,
+    emailDomain: lead.email?.split('@')[1]?.toLowerCase(),
+    name: lead.name,
+    title: lead.title,
+    company: lead.company,
+    companySize: customFields.companySize ?? customFields.employees ?? customFields.companyEmployees,
+    phone: lead.phone,
+    website: lead.website,
+    source: lead.source,
+    status: lead.status,
+    tags: lead.tags || [],
+    customFields,
+  };
+}
+
+/**
+ * Build the attribute context for a Tackle Contact (with company included)
+ * @param {Object} contact - Contact record
+ * @returns {Object}
+ */
+function buildContactContext(contact) {
+  const customFields = contact.customFields && typeof contact.customFields === 'object' ? contact.customFields : {};
+
+  return {
+    email: contact.email,
+    emailDomain: contact.email?.split('@')[1]?.toLowerCase(),
+    name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+    title: contact.jobTitle,
+    department: contact.department,
+    company: contact.company?.name,
+    companySize: contact.company?.employeeCount ?? contact.company?.size ?? customFields.companySize,
+    industry: contact.company?.industry,
+    phone: contact.phone || contact.mobile,
+    source: contact.source,
+    status: contact.status,
+    lifecycle: contact.lifecycle,
+    tags: contact.tags || [],
+    customFields,
+  };
+}
+
+/**
+ * Count engagement events of one type for a person
+ * @param {Object} person - { userId, email, phone, leadIds }
+ * @param {string} eventType - opened, clicked, replied, inbound_message
+ * @param {Date} since - Only count events after this (optional)
+ * @returns {Promise<number>}
+ */
+async function countEvents({ userId, email, phone, leadIds }, eventType, since) {
+  const createdAt = since ? { gte: since } : undefined;
+
+  if (eventType === 'inbound_message') {
+    const contactMatch = [
+      email && { contactEmail: { equals: email, mode: 'insensitive' } },
+      phone && { contactPhone: phone },
+    ].filter(Boolean);
+
+    if (contactMatch.length === 0) return 0;
+
+    return prisma.message.count({
+      where: {
+        direction: 'inbound',
+        ...(createdAt && { createdAt }),
+        conversation: { userId, OR: contactMatch },
+      },
+    });
+  }
+
+  if (!leadIds || leadIds.length === 0) return 0;
+
+  return prisma.emailEvent.count({
+    where: {
+      leadId: { in: leadIds },
+      eventType,
+      ...(createdAt && { createdAt }),
+    },
+  });
+}
+
+/**
+ * Score a person against a set of rules
+ * @param {Object[]} rules - Active LeadScoringRules
+ * @param {Object} context - Attribute context
+ * @param {Object} person - Event lookup keys { userId, email, phone, leadIds }
+ * @returns {Promise<Object>} - { score, rawScore, breakdown }
+ */
+async function scoreWithRules(rules, context, person) {
+  const now = Date.now();
+  const breakdown = [];
+
+  for (const rule of rules) {
+    if (rule.type === 'event') {
+      const since = rule.withinDays ? new Date(now - rule.withinDays * DAY_MS) : null;
+      const occurrences = await countEvents(person, rule.eventType, since);
+      const counted = Math.min(occurrences, rule.maxOccurrences || 1);
+
+      breakdown.push({
+        ruleId: rule.id,
+        name: rule.name,
+        type: rule.type,
+        eventType: rule.eventType,
+        matched: counted > 0,
+        occurrences,
+        points: counted * rule.points,
+      });
+    } else {
+      const matched = matchesCondition(context, rule);
+
+      breakdown.push({
+        ruleId: rule.id,
+        name: rule.name,
+        type: rule.type,
+        field: rule.field,
+        operator: rule.operator,
+        value: rule.value,
+        actual: getFieldValue(context, rule.field) ?? null,
+        matched,
+        points: matched ? rule.points : 0,
+      });
+    }
+  }
+
+  const rawScore = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    score: Math.min(Math.max(rawScore, MIN_SCORE), MAX_SCORE),
+    rawScore,
+    breakdown,
+  };
+}
+
+/**
+ * Load an account's active rules for a target
+ * @param {string} userId - Account (User) ID
+ * @param {string} target - 'lead' or 'contact'
+ * @returns {Promise<Object[]>}
+ */
+function getActiveRules(userId, target) {
+  return prisma.leadScoringRule.findMany({
+    where: {
+      userId,
+      isActive: true,
+      appliesTo: { in: [target, 'all'] },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+}
+
+/**
+ * Compute a lead's score and breakdown without saving it
+ * @param {Object} lead - Lead record
+ * @returns {Promise<Object>} - { score, rawScore, breakdown, rulesApplied }
+ */
+async function scoreLead(lead) {
+  const rules = await getActiveRules(lead.userId, 'lead');
+  const result = await scoreWithRules(rules, buildLeadContext(lead), {
+    userId: lead.userId,
+    email: lead.email,
+    phone: lead.phone,
+    leadIds: [lead.id],
+  });
+
+  return { ...result, rulesApplied: rules.length };
+}
+
+/**
+ * Compute a contact's score and breakdown without saving it
+ * Email engagement is taken from the account's Lead with the same email.
+ * @param {Object} contact - Contact record with company included
+ * @returns {Promise<Object>} - { score, rawScore, breakdown, rulesApplied }
+ */
+async function scoreContact(contact) {
+  const rules = await getActiveRules(contact.userId, 'contact');
+  const leads = await prisma.lead.findMany({
+    where: { userId: contact.userId, email: { equals: contact.email, mode: 'insensitive' } },
+    select: { id: true },
+  });
+
+  const result = await scoreWithRules(rules, buildContactContext(contact), {
+    userId: contact.userId,
+    email: contact.email,
+    phone: contact.phone || contact.mobile,
+    leadIds: leads.map((lead) => lead.id),
+  });
+
+  return { ...result, rulesApplied: rules.length };
+}
+
+/**
+ * Recompute and save a lead's score
+ * Accounts without active rules keep their manually entered scores.
+ * @param {string} leadId - Lead ID
+ * @returns {Promise<Object|null>} - Score result, or null if the lead has no rules to apply
+ */
+async function recomputeLeadScore(leadId) {
+  const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+  if (!lead) return null;
+
+  const result = await scoreLead(lead);
+  if (result.rulesApplied === 0) return null;
+
+  if (lead.score !== result.score) {
+    await prisma.lead.update({
+      where: { id: lead.id },
+      data: { score: result.score },
+    });
+    await recordLeadChanges(lead, { score: result.score }, { source: 'scoring' });
+  }
+
+  return result;
+}
+
+/**
+ * Recompute and save scores for many leads in one account
+ * Skips the per-lead work entirely when the account has no active lead rules.
+ * @param {string} userId - Account (User) ID
+ * @param {string[]} leadIds - Lead IDs
+ * @returns {Promise<number>} - Number of leads rescored
+ */
+async function recomputeLeadScores(userId, leadIds) {
+  const rules = await getActiveRules(userId, 'lead');
+  if (rules.length === 0) return 0;
+
+  for (const leadId of leadIds) {
+    await recomputeLeadScore(leadId);
+  }
+
+  return leadIds.length;
+}
+
+/**
+ * Recompute and save a contact's leadScore
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object|null>} - Score result, or null if the contact has no rules to apply
+ */
+async function recomputeContactScore(contactId) {
+  const contact = await prisma.contact.findUnique({
+    where: { id: contactId },
+    include: { company: true },
+  });
+  if (!contact) return null;
+
+  const result = await scoreContact(contact);
+  if (result.rulesApplied === 0) return null;
+
+  if (contact.leadScore !== result.score) {
+    await prisma.contact.update({
+      where: { id: contact.id },
+      data: { leadScore: result.score },
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Recompute scores for everyone in an account matching an email or phone
+ * Used when an inbound message arrives.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} address - { email, phone }
+ */
+async function recomputeScoresForAddress(userId, { email, phone }) {
+  const match = [
+    email && { email: { equals: email, mode: 'insensitive' } },
+    phone && { phone },
+  ].filter(Boolean);
+
+  if (match.length === 0) return;
+
+  const [leads, contacts] = await Promise.all([
+    prisma.lead.findMany({ where: { userId, OR: match }, select: { id: true } }),
+    prisma.contact.findMany({
+      where: { userId, OR: [...match, ...(phone ? [{ mobile: phone }] : [])] },
+      select: { id: true },
+    }),
+  ]);
+
+  for (const { id } of leads) await recomputeLeadScore(id);
+  for (const { id } of contacts) await recomputeContactScore(id);
+}
+
+/**
+ * Reset an account's lead and contact scores to 0 once no active rules apply to them
+ * @param {string} userId - Account (User) ID
+ * @param {Object} targets - { leads, contacts } booleans
+ * @returns {Promise<Object>} - { leads, contacts } counts reset
+ */
+async function resetScores(userId, { leads, contacts }) {
+  const reset = { leads: 0, contacts: 0 };
+
+  if (leads) {
+    const scored = await prisma.lead.findMany({
+      where: { userId, score: { not: MIN_SCORE } },
+      select: { id: true, score: true },
+    });
+
+    if (scored.length > 0) {
+      await prisma.$transaction([
+        prisma.lead.updateMany({
+          where: { id: { in: scored.map((lead) => lead.id) } },
+          data: { score: MIN_SCORE },
+        }),
+        prisma.leadFieldChange.createMany({
+          data: scored.flatMap((lead) => buildLeadChangeRows(lead, { score: MIN_SCORE }, { source: 'scoring' })),
+        }),
+      ]);
+      reset.leads = scored.length;
+    }
+  }
+
+  if (contacts) {
+    const { count } = await prisma.contact.updateMany({
+      where: { userId, leadScore: { not: MIN_SCORE } },
+      data: { leadScore: MIN_SCORE },
+    });
+    reset.contacts = count;
+  }
+
+  return reset;
+}
+
+/**
+ * Recompute every lead and contact score in an account (after rules change)
+ * Unlike single recomputes, which leave scores alone when no rules apply, a full recompute
+ * resets scores to 0 when the account has no active rules left, so deleted or deactivated
+ * rules stop counting.
+ * @param {string} userId - Account (User) ID
+ * @param {Function} onProgress - async (processed) => void (optional)
+ * @returns {Promise<Object>} - { leads, contacts, processed, reset }
+ */
+async function recomputeAllScores(userId, onProgress) {
+  const [leads, contacts, leadRules, contactRules] = await Promise.all([
+    prisma.lead.findMany({ where: { userId }, select: { id: true } }),
+    prisma.contact.findMany({ where: { userId }, select: { id: true } }),
+    getActiveRules(userId, 'lead'),
+    getActiveRules(userId, 'contact'),
+  ]);
+
+  const reset = await resetScores(userId, {
+    leads: leadRules.length === 0,
+    contacts: contactRules.length === 0,
+  });
+
+  let processed = 0;
+  if (leadRules.length === 0) {
+    processed += leads.length;
+  } else {
+    for (const { id } of leads) {
+      await recomputeLeadScore(id);
+      processed += 1;
+      if (onProgress) await onProgress(processed);
+    }
+  }
+
+  if (contactRules.length === 0) {
+    processed += contacts.length;
+  } else {
+    for (const { id } of contacts) {
+      await recomputeContactScore(id);
+      processed += 1;
+      if (onProgress) await onProgress(processed);
+    }
+  }
+
+  return { leads: leads.length, contacts: contacts.length, processed, reset };
+}
+
+/**
+ * Fire-and-forget wrapper so scoring never breaks the request or webhook that triggered it
+ * @param {Promise} promise - Recompute promise
+ * @param {string} label - Log context
+ */
+function recomputeInBackground(promise, label) {
+  promise.catch((error) => console.error(`Lead score recompute failed (${label}):`, error.message));
+}
+
+module.exports = {
+  RULE_TYPES,
+  RULE_TARGETS,
+  OPERATORS,
+  EVENT_TYPES,
+  validateRule,
+  matchesCondition,
+  buildLeadContext,
+  buildContactContext,
+  scoreLead,
+  scoreContact,
+  recomputeLeadScore,
+  recomputeLeadScores,
+  recomputeContactScore,
+  recomputeScoresForAddress,
+  recomputeAllScores,
+  recomputeInBackground,
+};
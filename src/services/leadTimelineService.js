@@ -0,0 +1,215 @@
+// Lead Timeline Service
+// Records field-level lead changes and builds a lead's chronological activity feed
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Lead fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'email', 'name', 'company', 'phone', 'title', 'website', 'linkedinUrl',
+  'source', 'status', 'score', 'notes', 'tags', 'customFields',
+];
+
+const TIMELINE_TYPES = ['field_change', 'campaign_event', 'message', 'note'];
+
+// JSON-safe comparison for field values (arrays, objects)
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * List tracked fields that differ between two versions of a lead
+ * @param {Object} before - Lead before the change
+ * @param {Object} after - Lead after the change
+ * @returns {Object[]} - [{ field, oldValue, newValue }]
+ */
+function diffLeadFields(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => field in after && !sameValue(before[field], after[field]))
+    .map(field => ({
+      field,
+      oldValue: before[field] ?? null,
+      newValue: after[field] ?? null,
+    }));
+}
+
+/**
+ * Build LeadFieldChange rows for the differences between two versions of a lead
+ * @param {Object} before - Lead before the change
+ * @param {Object} after - Lead (or changed fields) after the change
+ * @param {Object} options
+ * @param {string} options.userId - User who made the change (omit for automatic changes)
+ * @param {string} options.source - user, scoring, campaign, import, merge, bulk, enrichment
+ * @returns {Object[]} - Rows for prisma.leadFieldChange.createMany
+ */
+function buildLeadChangeRows(before, after, { userId = null, source = 'user' } = {}) {
+  return diffLeadFields(before, after).map(change => ({
+    leadId: before.id,
+    userId,
+    source,
+    field: change.field,
+    // Json columns can't hold a bare null; a missing value reads back as null
+    ...(change.oldValue !== null && { oldValue: change.oldValue }),
+    ...(change.newValue !== null && { newValue: change.newValue }),
+  }));
+}
+
+/**
+ * Record the field changes between two versions of a lead
+ * @param {Object} before - Lead before the change
+ * @param {Object} after - Lead (or changed fields) after the change
+ * @param {Object} options - { userId, source } as for buildLeadChangeRows
+ * @returns {Promise<number>} - Number of changes recorded
+ */
+async function recordLeadChanges(before, after, options = {}) {
+  const rows = buildLeadChangeRows(before, after, options);
+  if (rows.length === 0) return 0;
+
+  await prisma.leadFieldChange.createMany({ data: rows });
+
+  return rows.length;
+}
+
+// Conversations with this lead: linked by contactId or matched on email/phone
+function conversationWhere(lead) {
+  return {
+    userId: lead.userId,
+    OR: [
+      { contactId: lead.id },
+      { contactEmail: { equals: lead.email, mode: 'insensitive' } },
+      ...(lead.phone ? [{ contactPhone: lead.phone }] : []),
+    ],
+  };
+}
+
+/**
+ * Build a lead's activity timeline, newest first
+ * Combines field changes, campaign email events (one per recipient status change),
+ * conversation messages and conversation notes. Each source is read up to
+ * offset + limit rows so the merged page is exact.
+ * @param {Object} lead - Lead record
+ * @param {Object} options
+ * @param {number} options.limit - Page size (default 50)
+ * @param {number} options.offset - Items to skip (default 0)
+ * @param {string[]} options.types - Item types to include (default all)
+ * @returns {Promise<Object>} - { items, total }
+ */
+async function getLeadTimeline(lead, { limit = 50, offset = 0, types = TIMELINE_TYPES } = {}) {
+  const take = offset + limit;
+  const include = (type) => types.includes(type);
+  const conversation = conversationWhere(lead);
+
+  const sources = await Promise.all([
+    include('field_change') && Promise.all([
+      prisma.leadFieldChange.findMany({
+        where: { leadId: lead.id },
+        orderBy: { createdAt: 'desc' },
+        take,
+      }),
+      prisma.leadFieldChange.count({ where: { leadId: lead.id } }),
+    ]).then(([rows, count]) => ({
+      count,
+      items: rows.map(change => ({
+        id: change.id,
+        type: 'field_change',
+        at: change.createdAt,
+        field: change.field,
+        oldValue: change.oldValue,
+        newValue: change.newValue,
+        source: change.source,
+        userId: change.userId,
+      })),
+    })),
+
+    include('campaign_event') && Promise.all([
+      prisma.emailEvent.findMany({
+        where: { leadId: lead.id },
+        include: { campaign: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'desc' },
+        take,
+      }),
+      prisma.emailEvent.count({ where: { leadId: lead.id } }),
+    ]).then(([rows, count]) => ({
+      count,
+      items: rows.map(event => ({
+        id: event.id,
+        type: 'campaign_event',
+        at: event.createdAt,
+        eventType: event.eventType,
+        campaign: event.campaign,
+        data: event.eventData,
+      })),
+    })),
+
+    include('message') && Promise.all([
+      prisma.message.findMany({
+        where: { conversation },
+        select: {
+          id: true,
+          conversationId: true,
+          channel: true,
+          direction: true,
+          subject: true,
+          content: true,
+          status: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+        take,
+      }),
+      prisma.message.count({ where: { conversation } }),
+    ]).then(([rows, count]) => ({
+      count,
+      items: rows.map(message => ({
+        id: message.id,
+        type: 'message',
+        at: message.createdAt,
+        conversationId: message.conversationId,
+        channel: message.channel,
+        direction: message.direction,
+        subject: message.subject,
+        preview: message.content.substring(0, 200),
+        status: message.status,
+      })),
+    })),
+
+    include('note') && Promise.all([
+      prisma.conversationNote.findMany({
+        where: { conversation },
+        orderBy: { createdAt: 'desc' },
+        take,
+      }),
+      prisma.conversationNote.count({ where: { conversation } }),
+    ]).then(([rows, count]) => ({
+      count,
+      items: rows.map(note => ({
+        id: note.id,
+        type: 'note',
+        at: note.createdAt,
+        conversationId: note.conversationId,
+        content: note.content,
+        userId: note.userId,
+      })),
+    })),
+  ]);
+
+  const loaded = sources.filter(Boolean);
+
+  const items = loaded
+    .flatMap(source => source.items)
+    .sort((a, b) => b.at - a.at)
+    .slice(offset, offset + limit);
+
+  return {
+    items,
+    total: loaded.reduce((sum, source) => sum + source.count, 0),
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  TIMELINE_TYPES,
+  diffLeadFields,
+  buildLeadChangeRows,
+  recordLeadChanges,
+  getLeadTimeline,
+};
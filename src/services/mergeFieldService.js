@@ -0,0 +1,207 @@
+// Merge Field Service
+// Renders {{placeholder}} merge fields for campaigns, templates and canned responses.
+// Supports fallbacks ({{firstName|there}}) and dotted paths ({{custom.industry}}, {{sender.name}}).
+
+// Matches {{ field }} and {{ field | fallback }}
+const MERGE_FIELD_REGEX = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for use in HTML text or attributes
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Split a full name into first and last name
+ * @param {string} name - Full name
+ * @returns {Object} - { firstName, lastName }
+ */
+function splitName(name) {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  return {
+    firstName: parts[0] || '',
+    lastName: parts.slice(1).join(' '),
+  };
+}
+
+/**
+ * Build the merge context for a recipient and sender
+ * Accepts a Lead (name, title) or a Tackle Contact (firstName, lastName, jobTitle).
+ * @param {Object} recipient - Lead or Contact record
+ * @param {Object} sender - User record (name, email, company)
+ * @param {Object} extra - Additional variables that override everything else
+ * @returns {Object} - Flat and nested merge values
+ */
+function buildMergeContext(recipient = {}, sender = {}, extra = {}) {
+  recipient = recipient || {};
+  sender = sender || {};
+
+  const { firstName, lastName } = recipient.firstName !== undefined
+    ? { firstName: recipient.firstName || '', lastName: recipient.lastName || '' }
+    : splitName(recipient.name);
+
+  const senderName = splitName(sender.name);
+  const customFields = recipient.customFields && typeof recipient.customFields === 'object'
+    ? recipient.customFields
+    : {};
+  const companyName = recipient.company?.name ?? recipient.company ?? '';
+  const title = recipient.title || recipient.jobTitle || '';
+
+  const senderContext = {
+    name: sender.name || '',
+    firstName: senderName.firstName,
+    lastName: senderName.lastName,
+    email: sender.email || '',
+    company: sender.company || '',
+  };
+
+  return {
+    // Custom fields are addressable directly ({{industry}}) unless a standard field shadows them
+    ...customFields,
+    firstName,
+    lastName,
+    name: `${firstName} ${lastName}`.trim(),
+    fullName: `${firstName} ${lastName}`.trim(),
+    email: recipient.email || '',
+    company: companyName,
+    companyName,
+    title,
+    jobTitle: title,
+    phone: recipient.phone || '',
+    website: recipient.website || '',
+    linkedinUrl: recipient.linkedinUrl || '',
+    custom: customFields,
+    senderName: senderContext.name,
+    senderFirstName: senderContext.firstName,
+    senderLastName: senderContext.lastName,
+    senderEmail: senderContext.email,
+    senderCompany: senderContext.company,
+    sender: senderContext,
+    ...extra,
+  };
+}
+
+/**
+ * Resolve a (possibly dotted) field name against the context
+ * @param {Object} context - Merge context
+ * @param {string} field - Field name, e.g. "firstName" or "custom.industry"
+ * @returns {string} - Value as string ('' if missing)
+ */
+function resolveField(context, field) {
+  const value = field.split('.').reduce(
+    (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+    context
+  );
+
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return '';
+  return String(value).trim();
+}
+
+/**
+ * Render merge fields in a string
+ * Use { html: true } for HTML bodies so lead and contact values can't inject markup;
+ * subjects and text bodies take values as they are. Fallbacks are the author's own
+ * content and are never escaped.
+ * @param {string} text - Text containing {{placeholders}}
+ * @param {Object} context - Merge context from buildMergeContext
+ * @param {Object} options
+ * @param {boolean} options.html - HTML-escape values (default false)
+ * @returns {string} - Rendered text
+ */
+function renderMergeFields(text, context, { html = false } = {}) {
+  if (!text) return text;
+
+  return text.replace(MERGE_FIELD_REGEX, (match, field, fallback) => {
+    const value = resolveField(context, field);
+    if (value) return html ? escapeHtml(value) : value;
+    return fallback !== undefined ? fallback.trim() : '';
+  });
+}
+
+/**
+ * Extract merge field names used in one or more strings
+ * @param {...string} texts - Strings to scan
+ * @returns {string[]} - Unique field names (without braces or fallbacks)
+ */
+function extractMergeFields(...texts) {
+  const fields = new Set();
+
+  for (const text of texts) {
+    if (!text) continue;
+    for (const match of text.matchAll(MERGE_FIELD_REGEX)) {
+      fields.add(match[1]);
+    }
+  }
+
+  return Array.from(fields);
+}
+
+/**
+ * List merge fields that would render empty for a context
+ * Fields with a non-empty fallback are never reported.
+ * @param {string[]} texts - Strings to check
+ * @param {Object} context - Merge context
+ * @returns {string[]} - Field names that would be empty
+ */
+function findMissingFields(texts, context) {
+  const missing = new Set();
+
+  for (const text of texts) {
+    if (!text) continue;
+    for (const [, field, fallback] of text.matchAll(MERGE_FIELD_REGEX)) {
+      if (!resolveField(context, field) && !(fallback && fallback.trim())) {
+        missing.add(field);
+      }
+    }
+  }
+
+  return Array.from(missing);
+}
+
+/**
+ * Validate a set of recipients against content before sending
+ * @param {string[]} texts - Subject/HTML/text to check
+ * @param {Object[]} recipients - Leads or Contacts
+ * @param {Object} sender - Sending user
+ * @param {Object} extra - Values shared by every recipient (optional)
+ * @returns {Object[]} - [{ id, email, missingFields }] for recipients with empty values
+ */
+function validateRecipients(texts, recipients, sender, extra = {}) {
+  const issues = [];
+
+  for (const recipient of recipients) {
+    const missingFields = findMissingFields(texts, buildMergeContext(recipient, sender, extra));
+    if (missingFields.length > 0) {
+      issues.push({
+        id: recipient.id,
+        email: recipient.email,
+        missingFields,
+      });
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  MERGE_FIELD_REGEX,
+  splitName,
+  buildMergeContext,
+  escapeHtml,
+  renderMergeFields,
+  extractMergeFields,
+  findMissingFields,
+  validateRecipients,
+};
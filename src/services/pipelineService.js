@@ -0,0 +1,574 @@
+// Pipeline Service
+// Places deals on PipelineStages and keeps them on valid stages when stages are renamed,
+// reordered or deleted. Deal.stage mirrors the stage as a key (see getStageKey) so stage
+// filters, reports and sequence exit stages keep working across pipelines. Every move onto
+// a new stage is recorded as a DealStageChange.
+
+const { PrismaClient } = require('@prisma/client');
+const { exitForDealStage, exitInBackground } = require('./sequenceExitService');
+
+const prisma = new PrismaClient();
+
+const STAGE_TYPES = ['open', 'won', 'lost'];
+
+// Pipeline created for accounts that have none; matches the stages deals had before pipelines
+const DEFAULT_PIPELINE_NAME = 'Sales Pipeline';
+const DEFAULT_STAGES = [
+  { name: 'Lead', probability: 10, type: 'open' },
+  { name: 'Qualified', probability: 25, type: 'open' },
+  { name: 'Proposal', probability: 50, type: 'open' },
+  { name: 'Negotiation', probability: 75, type: 'open' },
+  { name: 'Closed Won', probability: 100, type: 'won' },
+  { name: 'Closed Lost', probability: 0, type: 'lost' },
+];
+
+const withStages = { stages: { orderBy: { position: 'asc' } } };
+
+function pipelineError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Key stored in Deal.stage for a stage
+ * Won and lost stages are always closed_won / closed_lost; other stages use their
+ * name as a slug ("Demo Scheduled" -> demo_scheduled).
+ * @param {Object} stage - PipelineStage
+ * @returns {string}
+ */
+function getStageKey(stage) {
+  if (stage.type === 'won') return 'closed_won';
+  if (stage.type === 'lost') return 'closed_lost';
+  return stage.name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate stage definitions from a request
+ * @param {Object[]} stages - [{ name, probability, type, rottingDays }]
+ * @param {Object} options
+ * @param {boolean} options.partial - Names are optional (stage updates)
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateStages(stages, { partial = false } = {}) {
+  if (!Array.isArray(stages)) {
+    return 'stages must be an array';
+  }
+
+  for (const stage of stages) {
+    if (!partial || stage.name !== undefined) {
+      if (typeof stage.name !== 'string' || !stage.name.trim()) {
+        return 'Every stage needs a name';
+      }
+    }
+    if (stage.type !== undefined && !STAGE_TYPES.includes(stage.type)) {
+      return `Stage type must be one of: ${STAGE_TYPES.join(', ')}`;
+    }
+    if (stage.probability !== undefined &&
+      (!Number.isInteger(stage.probability) || stage.probability < 0 || stage.probability > 100)) {
+      return 'Stage probability must be a whole number from 0 to 100';
+    }
+    if (stage.rottingDays !== undefined && stage.rottingDays !== null &&
+      (!Number.isInteger(stage.rottingDays) || stage.rottingDays < 1)) {
+      return 'Stage rottingDays must be a whole number of days (1 or more), or null';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the account's default pipeline, creating it (and moving existing deals onto it) if
+ * the account has no pipelines yet
+ * @param {string} userId - Account (User) ID
+ * @returns {Promise<Object>} - Pipeline with stages
+ */
+async function getDefaultPipeline(userId) {
+  const pipeline = await prisma.pipeline.findFirst({
+    where: { userId },
+    include: withStages,
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }],
+  });
+  if (pipeline) return pipeline;
+
+  const created = await prisma.pipeline.create({
+    data: {
+      userId,
+      name: DEFAULT_PIPELINE_NAME,
+      isDefault: true,
+      stages: {
+        create: DEFAULT_STAGES.map((stage, index) => ({ ...stage, position: index })),
+      },
+    },
+    include: withStages,
+  });
+
+  await migrateDeals(userId, created.id);
+
+  return created;
+}
+
+/**
+ * Get one of the account's pipelines, or the default pipeline when no ID is given
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Pipeline ID (optional)
+ * @returns {Promise<Object>} - Pipeline with stages
+ */
+async function getPipeline(userId, pipelineId) {
+  if (!pipelineId) return getDefaultPipeline(userId);
+
+  const pipeline = await prisma.pipeline.findFirst({
+    where: { id: pipelineId, userId },
+    include: withStages,
+  });
+
+  if (!pipeline) {
+    throw pipelineError('Pipeline not found', 'PIPELINE_NOT_FOUND');
+  }
+
+  return pipeline;
+}
+
+/**
+ * Find the stage a deal should go to
+ * A stageId wins; otherwise a stage key (e.g. "qualified") is looked up in the pipeline;
+ * otherwise the pipeline's first stage is used.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} target
+ * @param {string} target.pipelineId - Pipeline ID (default pipeline when omitted)
+ * @param {string} target.stageId - PipelineStage ID
+ * @param {string} target.stage - Stage key
+ * @returns {Promise<Object>} - PipelineStage
+ */
+async function resolveStage(userId, { pipelineId, stageId, stage }) {
+  if (stageId) {
+    const found = await prisma.pipelineStage.findFirst({
+      where: { id: stageId, pipeline: { userId } },
+    });
+    if (!found) {
+      throw pipelineError('Stage not found', 'STAGE_NOT_FOUND');
+    }
+    if (pipelineId && found.pipelineId !== pipelineId) {
+      throw pipelineError('Stage belongs to a different pipeline', 'PIPELINE_INVALID');
+    }
+    return found;
+  }
+
+  const pipeline = await getPipeline(userId, pipelineId);
+  if (pipeline.stages.length === 0) {
+    throw pipelineError(`Pipeline ${pipeline.name} has no stages`, 'PIPELINE_INVALID');
+  }
+
+  if (stage) {
+    const match = pipeline.stages.find(candidate => getStageKey(candidate) === stage);
+    if (!match) {
+      throw pipelineError(`Pipeline ${pipeline.name} has no ${stage} stage`, 'STAGE_NOT_FOUND');
+    }
+    return match;
+  }
+
+  return pipeline.stages[0];
+}
+
+/**
+ * Deal fields for putting a deal on a stage
+ * Probability defaults from the stage whenever the stage changes, which also restarts the
+ * rotting clock. actualClose is set when the deal reaches a won or lost stage and cleared
+ * when it is reopened.
+ * @param {Object} stage - PipelineStage
+ * @param {Object} deal - Deal before the move (omit for new deals)
+ * @returns {Object} - Data for prisma.deal.create / update
+ */
+function buildStageUpdate(stage, deal = null) {
+  const data = {
+    pipelineId: stage.pipelineId,
+    stageId: stage.id,
+    stage: getStageKey(stage),
+  };
+
+  if (!deal || deal.stageId !== stage.id) {
+    data.probability = stage.probability;
+    data.stageEnteredAt = new Date();
+    data.rottingSince = null;
+  }
+
+  if (stage.type !== 'open') {
+    if (!deal || deal.stage !== data.stage) data.actualClose = new Date();
+  } else if (deal?.actualClose) {
+    data.actualClose = null;
+  }
+
+  return data;
+}
+
+/**
+ * Bulk form of buildStageUpdate's actualClose handling for deals moved onto one stage
+ * @param {Object} stage - PipelineStage the deals move to
+ * @param {Object[]} deals - Deals before the move ({ id, stage, actualClose })
+ * @param {Date} now - Close time for deals that close
+ * @returns {Object[]} - prisma.deal.updateMany operations (none when nothing changes)
+ */
+function buildCloseUpdates(stage, deals, now) {
+  const ids = stage.type === 'open'
+    ? deals.filter(deal => deal.actualClose).map(deal => deal.id)
+    : deals.filter(deal => deal.stage !== getStageKey(stage)).map(deal => deal.id);
+  if (ids.length === 0) return [];
+
+  return [prisma.deal.updateMany({
+    where: { id: { in: ids } },
+    data: { actualClose: stage.type === 'open' ? null : now },
+  })];
+}
+
+/**
+ * End sequence enrollments for deals whose stage key changed in a bulk move
+ * Runs in the background, one deal at a time.
+ * @param {string[]} dealIds - Deal IDs
+ * @param {string} label - Log context
+ */
+function exitMovedDeals(dealIds, label) {
+  if (dealIds.length === 0) return;
+
+  exitInBackground((async () => {
+    for (const dealId of dealIds) {
+      await exitForDealStage(dealId);
+    }
+  })(), label);
+}
+
+/**
+ * Build the DealStageChange row for moving a deal onto a stage
+ * @param {string} dealId - Deal ID (null for a nested create inside prisma.deal.create)
+ * @param {Object} from - Deal before the move ({ stageId, stage, stageEnteredAt }); null for new deals
+ * @param {Object} stage - PipelineStage the deal moves to
+ * @param {Object} options
+ * @param {string} options.userId - User who moved the deal (omit for automatic moves)
+ * @param {string} options.source - user, stage_deleted, pipeline_migration
+ * @returns {Object} - Data for prisma.dealStageChange.create
+ */
+function buildStageChange(dealId, from, stage, { userId = null, source = 'user' } = {}) {
+  return {
+    ...(dealId && { dealId }),
+    userId,
+    source,
+    pipelineId: stage.pipelineId,
+    fromStageId: from?.stageId ?? null,
+    fromStage: from?.stage ?? null,
+    toStageId: stage.id,
+    toStage: getStageKey(stage),
+    secondsInFromStage: from?.stageEnteredAt
+      ? Math.max(0, Math.round((Date.now() - new Date(from.stageEnteredAt).getTime()) / 1000))
+      : null,
+  };
+}
+
+/**
+ * Put deals on a pipeline, matching each deal's stage key to one of its stages
+ * Deals whose stage has no match go to the pipeline's first stage. Probabilities are kept.
+ * Deals that were already on a stage (moving between pipelines) get a stage change recorded;
+ * deals placed on a pipeline for the first time keep their stage clock.
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Target pipeline ID
+ * @param {Object} options
+ * @param {string[]} options.dealIds - Deals to move (default: every deal without a stage)
+ * @returns {Promise<Object>} - { migrated, unmatched: [dealId] }
+ */
+async function migrateDeals(userId, pipelineId, { dealIds } = {}) {
+  const pipeline = await getPipeline(userId, pipelineId);
+  if (pipeline.stages.length === 0) {
+    throw pipelineError(`Pipeline ${pipeline.name} has no stages`, 'PIPELINE_INVALID');
+  }
+
+  const deals = await prisma.deal.findMany({
+    where: { userId, ...(dealIds ? { id: { in: dealIds } } : { stageId: null }) },
+    select: { id: true, stage: true, stageId: true, stageEnteredAt: true, actualClose: true },
+  });
+
+  // First stage wins when two stages share a key
+  const stagesByKey = new Map();
+  for (const stage of pipeline.stages) {
+    const key = getStageKey(stage);
+    if (!stagesByKey.has(key)) stagesByKey.set(key, stage);
+  }
+
+  const placed = new Map();
+  const moved = new Map();
+  const changes = [];
+  const unmatched = [];
+  const rekeyed = [];
+  for (const deal of deals) {
+    let stage = stagesByKey.get(deal.stage);
+    if (!stage) {
+      stage = pipeline.stages[0];
+      unmatched.push(deal.id);
+    }
+    if (deal.stageId === stage.id) continue;
+
+    const group = deal.stageId ? moved : placed;
+    group.set(stage, [...(group.get(stage) || []), deal]);
+    if (deal.stageId) {
+      changes.push(buildStageChange(deal.id, deal, stage, { source: 'pipeline_migration' }));
+    }
+    if (deal.stage !== getStageKey(stage)) rekeyed.push(deal.id);
+  }
+
+  const now = new Date();
+  const ids = stageDeals => stageDeals.map(deal => deal.id);
+  await prisma.$transaction([
+    // Before the stage key is overwritten, which decides whether a deal closes
+    ...[...placed, ...moved].flatMap(([stage, stageDeals]) => buildCloseUpdates(stage, stageDeals, now)),
+    ...[...placed].map(([stage, stageDeals]) => prisma.deal.updateMany({
+      where: { id: { in: ids(stageDeals) } },
+      data: { pipelineId: pipeline.id, stageId: stage.id, stage: getStageKey(stage) },
+    })),
+    ...[...moved].map(([stage, stageDeals]) => prisma.deal.updateMany({
+      where: { id: { in: ids(stageDeals) } },
+      data: {
+        pipelineId: pipeline.id,
+        stageId: stage.id,
+        stage: getStageKey(stage),
+        stageEnteredAt: now,
+        rottingSince: null,
+      },
+    })),
+    ...(changes.length > 0 ? [prisma.dealStageChange.createMany({ data: changes })] : []),
+  ]);
+
+  exitMovedDeals(rekeyed, `pipeline ${pipeline.id} migration`);
+
+  return { migrated: deals.length, unmatched };
+}
+
+// Updates that move sequence exit stages from an open stage's old key to its new one; the old
+// key stays while another of the account's open stages still has it
+async function buildExitStageRenames(userId, stageId, oldKey, newKey) {
+  const [sequences, otherStages] = await Promise.all([
+    prisma.sequence.findMany({
+      where: { userId, exitDealStages: { has: oldKey } },
+      select: { id: true, exitDealStages: true },
+    }),
+    prisma.pipelineStage.findMany({
+      where: { pipeline: { userId }, id: { not: stageId }, type: 'open' },
+      select: { name: true, type: true },
+    }),
+  ]);
+  const keepOldKey = otherStages.some(stage => getStageKey(stage) === oldKey);
+
+  return sequences.map(sequence => prisma.sequence.update({
+    where: { id: sequence.id },
+    data: {
+      exitDealStages: [...new Set([
+        ...sequence.exitDealStages.filter(key => keepOldKey || key !== oldKey),
+        newKey,
+      ])],
+    },
+  }));
+}
+
+/**
+ * Update a stage; deals on it pick up a new stage key when its name or type changes
+ * Turning an open stage into a won/lost one closes its deals (actualClose) and reopening
+ * clears it again, as moving the deals would. Renaming an open stage carries sequence
+ * exit stages over to the new key.
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Pipeline ID
+ * @param {string} stageId - PipelineStage ID
+ * @param {Object} data - { name, probability, type, color, rottingDays }
+ * @returns {Promise<Object>} - Updated PipelineStage
+ */
+async function updateStage(userId, pipelineId, stageId, { name, probability, type, color, rottingDays }) {
+  const pipeline = await getPipeline(userId, pipelineId);
+  const current = pipeline.stages.find(stage => stage.id === stageId);
+  if (!current) {
+    throw pipelineError('Stage not found', 'STAGE_NOT_FOUND');
+  }
+
+  const next = {
+    ...current,
+    ...(name !== undefined && { name }),
+    ...(type !== undefined && { type }),
+  };
+  const oldKey = getStageKey(current);
+  const newKey = getStageKey(next);
+  const renamed = current.type === 'open' && next.type === 'open' && oldKey !== newKey;
+
+  const [stage] = await prisma.$transaction([
+    prisma.pipelineStage.update({
+      where: { id: stageId },
+      data: { name, probability, type, color, rottingDays },
+    }),
+    prisma.deal.updateMany({
+      where: { stageId, stage: { not: newKey } },
+      data: { stage: newKey },
+    }),
+    ...(next.type !== 'open' ? [prisma.deal.updateMany({
+      where: { stageId, actualClose: null },
+      data: { actualClose: new Date() },
+    })] : []),
+    ...(next.type === 'open' && current.type !== 'open' ? [prisma.deal.updateMany({
+      where: { stageId, actualClose: { not: null } },
+      data: { actualClose: null },
+    })] : []),
+    ...(renamed ? await buildExitStageRenames(userId, stageId, oldKey, newKey) : []),
+  ]);
+
+  return stage;
+}
+
+/**
+ * Set the order of a pipeline's stages
+ * Deals reference stages by ID, so they stay where they are.
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Pipeline ID
+ * @param {string[]} stageIds - Every stage of the pipeline, in the new order
+ * @returns {Promise<Object>} - Pipeline with stages
+ */
+async function reorderStages(userId, pipelineId, stageIds) {
+  const pipeline = await getPipeline(userId, pipelineId);
+
+  const current = pipeline.stages.map(stage => stage.id);
+  const complete = Array.isArray(stageIds) &&
+    stageIds.length === current.length &&
+    new Set(stageIds).size === current.length &&
+    stageIds.every(id => current.includes(id));
+  if (!complete) {
+    throw pipelineError('stageIds must list every stage of the pipeline once', 'PIPELINE_INVALID');
+  }
+
+  await prisma.$transaction(stageIds.map((id, index) => prisma.pipelineStage.update({
+    where: { id },
+    data: { position: index },
+  })));
+
+  return getPipeline(userId, pipelineId);
+}
+
+/**
+ * Delete a stage, moving its deals to another stage first
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Pipeline ID
+ * @param {string} stageId - PipelineStage ID
+ * @param {Object} options
+ * @param {string} options.moveToStageId - Stage (in any of the account's pipelines) for the deals; required when the stage has deals
+ * @returns {Promise<Object>} - { moved, moveToStageId }
+ */
+async function deleteStage(userId, pipelineId, stageId, { moveToStageId } = {}) {
+  const pipeline = await getPipeline(userId, pipelineId);
+  if (!pipeline.stages.some(stage => stage.id === stageId)) {
+    throw pipelineError('Stage not found', 'STAGE_NOT_FOUND');
+  }
+
+  const deals = await prisma.deal.findMany({
+    where: { stageId },
+    select: { id: true, stage: true, stageId: true, stageEnteredAt: true, actualClose: true },
+  });
+  const dealCount = deals.length;
+
+  let target = null;
+  if (dealCount > 0) {
+    if (!moveToStageId) {
+      throw pipelineError(`${dealCount} deals are on this stage; choose a stage to move them to (moveToStageId)`, 'STAGE_IN_USE');
+    }
+    if (moveToStageId === stageId) {
+      throw pipelineError('Deals must move to a different stage', 'PIPELINE_INVALID');
+    }
+    target = await resolveStage(userId, { stageId: moveToStageId });
+  }
+
+  const remaining = pipeline.stages.filter(stage => stage.id !== stageId);
+  const now = new Date();
+
+  await prisma.$transaction([
+    ...(target ? [
+      ...buildCloseUpdates(target, deals, now),
+      prisma.deal.updateMany({
+        where: { stageId },
+        data: {
+          pipelineId: target.pipelineId,
+          stageId: target.id,
+          stage: getStageKey(target),
+          stageEnteredAt: now,
+          rottingSince: null,
+        },
+      }),
+      prisma.dealStageChange.createMany({
+        data: deals.map(deal => buildStageChange(deal.id, deal, target, { source: 'stage_deleted' })),
+      }),
+    ] : []),
+    prisma.pipelineStage.delete({ where: { id: stageId } }),
+    ...remaining.map((stage, index) => prisma.pipelineStage.update({
+      where: { id: stage.id },
+      data: { position: index },
+    })),
+  ]);
+
+  if (target) {
+    exitMovedDeals(
+      deals.filter(deal => deal.stage !== getStageKey(target)).map(deal => deal.id),
+      `stage ${stageId} deletion`
+    );
+  }
+
+  return { moved: dealCount, moveToStageId: target?.id || null };
+}
+
+/**
+ * Delete a pipeline, moving its deals to another pipeline first
+ * Deals are matched to the other pipeline's stages by stage key (see migrateDeals).
+ * @param {string} userId - Account (User) ID
+ * @param {string} pipelineId - Pipeline ID
+ * @param {Object} options
+ * @param {string} options.moveToPipelineId - Pipeline for the deals; required when the pipeline has deals
+ * @returns {Promise<Object>} - { moved, unmatched }
+ */
+async function deletePipeline(userId, pipelineId, { moveToPipelineId } = {}) {
+  const pipeline = await getPipeline(userId, pipelineId);
+
+  const deals = await prisma.deal.findMany({
+    where: { pipelineId },
+    select: { id: true },
+  });
+
+  let migration = { migrated: 0, unmatched: [] };
+  if (deals.length > 0) {
+    if (!moveToPipelineId) {
+      throw pipelineError(`${deals.length} deals are in this pipeline; choose a pipeline to move them to (moveToPipelineId)`, 'PIPELINE_IN_USE');
+    }
+    if (moveToPipelineId === pipelineId) {
+      throw pipelineError('Deals must move to a different pipeline', 'PIPELINE_INVALID');
+    }
+    migration = await migrateDeals(userId, moveToPipelineId, { dealIds: deals.map(deal => deal.id) });
+  }
+
+  await prisma.pipeline.delete({ where: { id: pipelineId } });
+
+  // Keep a default pipeline for new deals
+  if (pipeline.isDefault) {
+    const next = await prisma.pipeline.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (next) {
+      await prisma.pipeline.update({ where: { id: next.id }, data: { isDefault: true } });
+    }
+  }
+
+  return { moved: migration.migrated, unmatched: migration.unmatched };
+}
+
+module.exports = {
+  STAGE_TYPES,
+  DEFAULT_STAGES,
+  getStageKey,
+  validateStages,
+  getDefaultPipeline,
+  getPipeline,
+  resolveStage,
+  buildStageUpdate,
+  buildStageChange,
+  migrateDeals,
+  updateStage,
+  reorderStages,
+  deleteStage,
+  deletePipeline,
+};
@@ -0,0 +1,265 @@
+// Sales Analytics Service
+// Stage conversion, time in stage, win rates and sales velocity for Tackle deals, built on
+// the DealStageChange history and on deals closed (actualClose) within a date range
+
+const { PrismaClient } = require('@prisma/client');
+const { getPipeline } = require('./pipelineService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 90;
+
+const CLOSED_STAGES = ['closed_won', 'closed_lost'];
+
+// Win-rate breakdowns -> Deal field, and the label for deals without a value
+const WIN_RATE_GROUPS = {
+  source: { field: 'source', emptyLabel: 'Unknown' },
+  owner: { field: 'ownerId', emptyLabel: 'Unassigned' },
+  competitor: { field: 'competitor', emptyLabel: 'No competitor' },
+};
+
+function analyticsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Percentage with one decimal, 0 when there is nothing to divide by
+const percent = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(1)) : 0);
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+/**
+ * Read a date range from startDate / endDate query values
+ * Defaults to the DEFAULT_RANGE_DAYS days up to now.
+ * @param {Object} query - { startDate, endDate }
+ * @returns {Object} - { start, end }
+ */
+function parseDateRange({ startDate, endDate } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw analyticsError('startDate and endDate must be valid dates', 'INVALID_ANALYTICS_QUERY');
+  }
+  if (start > end) {
+    throw analyticsError('startDate must be before endDate', 'INVALID_ANALYTICS_QUERY');
+  }
+
+  return { start, end };
+}
+
+/**
+ * Stage-to-stage conversion and average time in stage for a pipeline
+ * A deal that entered a stage during the range counts as advanced when it later (at any
+ * time) reached a further open stage or a won stage. Time in stage comes from moves out
+ * of the stage during the range.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} options
+ * @param {string} options.pipelineId - Pipeline ID (default pipeline when omitted)
+ * @param {Date} options.start - Range start
+ * @param {Date} options.end - Range end
+ * @returns {Promise<Object>} - { pipeline, stages, transitions }
+ */
+async function getStageAnalytics(userId, { pipelineId, start, end }) {
+  const pipeline = await getPipeline(userId, pipelineId);
+  const stagesById = new Map(pipeline.stages.map(stage => [stage.id, stage]));
+  const stageIds = [...stagesById.keys()];
+
+  const changes = await prisma.dealStageChange.findMany({
+    where: {
+      deal: { userId },
+      createdAt: { gte: start },
+      OR: [{ toStageId: { in: stageIds } }, { fromStageId: { in: stageIds } }],
+    },
+    select: { dealId: true, fromStageId: true, toStageId: true, secondsInFromStage: true, createdAt: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const entries = new Map(stageIds.map(id => [id, new Map()])); // stageId -> dealId -> first entry
+  const changesByDeal = new Map();
+  const durations = new Map(stageIds.map(id => [id, []]));
+  const transitions = new Map();
+
+  for (const change of changes) {
+    changesByDeal.set(change.dealId, [...(changesByDeal.get(change.dealId) || []), change]);
+    if (change.createdAt > end) continue;
+
+    const entered = entries.get(change.toStageId);
+    if (entered && !entered.has(change.dealId)) {
+      entered.set(change.dealId, change.createdAt);
+    }
+
+    if (durations.has(change.fromStageId) && change.secondsInFromStage !== null) {
+      durations.get(change.fromStageId).push(change.secondsInFromStage);
+    }
+
+    if (stagesById.has(change.toStageId)) {
+      const key = `${change.fromStageId}:${change.toStageId}`;
+      const transition = transitions.get(key) || { fromStageId: change.fromStageId, toStageId: change.toStageId, count: 0 };
+      transition.count += 1;
+      transitions.set(key, transition);
+    }
+  }
+
+  const isFurther = (stage, candidate) => Boolean(candidate) &&
+    (candidate.type === 'won' || (candidate.type === 'open' && candidate.position > stage.position));
+
+  const stages = pipeline.stages.map(stage => {
+    const entered = entries.get(stage.id);
+    const seconds = durations.get(stage.id);
+
+    let advanced = null;
+    if (stage.type === 'open') {
+      advanced = [...entered].filter(([dealId, enteredAt]) => (changesByDeal.get(dealId) || []).some(change =>
+        change.createdAt > enteredAt && isFurther(stage, stagesById.get(change.toStageId))
+      )).length;
+    }
+
+    return {
+      stageId: stage.id,
+      name: stage.name,
+      type: stage.type,
+      position: stage.position,
+      entered: entered.size,
+      advanced,
+      conversionRate: advanced === null ? null : percent(advanced, entered.size),
+      exits: seconds.length,
+      avgDaysInStage: seconds.length > 0
+        ? round(seconds.reduce((sum, value) => sum + value, 0) / seconds.length / (DAY_MS / 1000), 1)
+        : null,
+    };
+  });
+
+  return {
+    pipeline: { id: pipeline.id, name: pipeline.name },
+    stages,
+    transitions: [...transitions.values()].sort((a, b) => b.count - a.count),
+  };
+}
+
+/**
+ * Win rate of deals closed in a range, broken down by source, owner or competitor
+ * @param {string} userId - Account (User) ID
+ * @param {Object} options
+ * @param {string} options.groupBy - source, owner or competitor
+ * @param {Date} options.start - Range start
+ * @param {Date} options.end - Range end
+ * @param {string} options.pipelineId - Only this pipeline (optional)
+ * @returns {Promise<Object>} - { groupBy, groups: [{ key, label, won, lost, winRate, wonValue }], totals }
+ */
+async function getWinRates(userId, { groupBy, start, end, pipelineId }) {
+  const group = WIN_RATE_GROUPS[groupBy];
+  if (!group) {
+    throw analyticsError(`groupBy must be one of: ${Object.keys(WIN_RATE_GROUPS).join(', ')}`, 'INVALID_ANALYTICS_QUERY');
+  }
+
+  const deals = await prisma.deal.findMany({
+    where: {
+      userId,
+      ...(pipelineId && { pipelineId }),
+      stage: { in: CLOSED_STAGES },
+      actualClose: { gte: start, lte: end },
+    },
+    select: { [group.field]: true, stage: true, value: true },
+  });
+
+  const groups = new Map();
+  for (const deal of deals) {
+    const key = deal[group.field] || null;
+    if (!groups.has(key)) {
+      groups.set(key, { key, label: key || group.emptyLabel, won: 0, lost: 0, winRate: 0, wonValue: 0 });
+    }
+
+    const row = groups.get(key);
+    if (deal.stage === 'closed_won') {
+      row.won += 1;
+      row.wonValue += parseFloat(deal.value);
+    } else {
+      row.lost += 1;
+    }
+  }
+
+  if (groupBy === 'owner') {
+    const owners = await prisma.user.findMany({
+      where: { id: { in: [...groups.keys()].filter(Boolean) } },
+      select: { id: true, name: true, email: true },
+    });
+    for (const owner of owners) {
+      groups.get(owner.id).label = owner.name || owner.email;
+    }
+  }
+
+  const rows = [...groups.values()].map(row => ({
+    ...row,
+    winRate: percent(row.won, row.won + row.lost),
+    wonValue: round(row.wonValue, 2),
+  }));
+
+  const won = rows.reduce((sum, row) => sum + row.won, 0);
+  const lost = rows.reduce((sum, row) => sum + row.lost, 0);
+
+  return {
+    groupBy,
+    groups: rows.sort((a, b) => (b.won + b.lost) - (a.won + a.lost)),
+    totals: { won, lost, winRate: percent(won, won + lost) },
+  };
+}
+
+/**
+ * Sales velocity over a range: opportunities x win rate x average won value / sales cycle
+ * Opportunities are deals created in the range; win rate, average value and cycle length
+ * (created to actualClose, at least one day) come from deals closed in the range.
+ * @param {string} userId - Account (User) ID
+ * @param {Object} options
+ * @param {Date} options.start - Range start
+ * @param {Date} options.end - Range end
+ * @param {string} options.pipelineId - Only this pipeline (optional)
+ * @returns {Promise<Object>} - { opportunities, won, lost, winRate, avgDealValue, avgCycleDays, velocityPerDay, velocityForRange, rangeDays }
+ */
+async function getSalesVelocity(userId, { start, end, pipelineId }) {
+  const where = { userId, ...(pipelineId && { pipelineId }) };
+
+  const [opportunities, closed] = await Promise.all([
+    prisma.deal.count({ where: { ...where, createdAt: { gte: start, lte: end } } }),
+    prisma.deal.findMany({
+      where: { ...where, stage: { in: CLOSED_STAGES }, actualClose: { gte: start, lte: end } },
+      select: { stage: true, value: true, createdAt: true, actualClose: true },
+    }),
+  ]);
+
+  const won = closed.filter(deal => deal.stage === 'closed_won');
+  const winRate = closed.length > 0 ? won.length / closed.length : 0;
+  const avgDealValue = won.length > 0
+    ? won.reduce((sum, deal) => sum + parseFloat(deal.value), 0) / won.length
+    : 0;
+  // Same-day wins would make velocity explode, so the cycle counts as at least one day
+  const avgCycleDays = won.length > 0
+    ? Math.max(won.reduce((sum, deal) => sum + (deal.actualClose - deal.createdAt) / DAY_MS, 0) / won.length, 1)
+    : 0;
+
+  const velocityPerDay = won.length > 0
+    ? (opportunities * winRate * avgDealValue) / avgCycleDays
+    : 0;
+  const rangeDays = (end - start) / DAY_MS;
+
+  return {
+    opportunities,
+    won: won.length,
+    lost: closed.length - won.length,
+    winRate: percent(won.length, closed.length),
+    avgDealValue: round(avgDealValue, 2),
+    avgCycleDays: round(avgCycleDays, 1),
+    velocityPerDay: round(velocityPerDay, 2),
+    velocityForRange: round(velocityPerDay * rangeDays, 2),
+    rangeDays: round(rangeDays, 1),
+  };
+}
+
+module.exports = {
+  WIN_RATE_GROUPS,
+  parseDateRange,
+  getStageAnalytics,
+  getWinRates,
+  getSalesVelocity,
+};
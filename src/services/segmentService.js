@@ -0,0 +1,307 @@
+// Segment Service
+// Compiles saved segment filters into Prisma `where` clauses over Lead
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Filterable Lead columns
+const LEAD_COLUMNS = {
+  email: { type: 'string', nullable: false },
+  name: { type: 'string', nullable: true },
+  company: { type: 'string', nullable: true },
+  phone: { type: 'string', nullable: true },
+  title: { type: 'string', nullable: true },
+  website: { type: 'string', nullable: true },
+  linkedinUrl: { type: 'string', nullable: true },
+  source: { type: 'string', nullable: true },
+  status: { type: 'string', nullable: false },
+  notes: { type: 'string', nullable: true },
+  emailVerdict: { type: 'string', nullable: true },
+  score: { type: 'number', nullable: true },
+  createdAt: { type: 'date', nullable: false },
+  updatedAt: { type: 'date', nullable: false },
+  lastContactedAt: { type: 'date', nullable: true },
+  emailVerifiedAt: { type: 'date', nullable: true },
+};
+
+const OPERATORS = {
+  string: ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'in', 'not_in', 'is_empty', 'is_not_empty'],
+  number: ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'between', 'is_empty', 'is_not_empty'],
+  date: ['before', 'after', 'between', 'within_last_days', 'more_than_days_ago', 'is_empty', 'is_not_empty'],
+  tags: ['has', 'has_any', 'has_all', 'has_none', 'is_empty', 'is_not_empty'],
+  customField: ['equals', 'not_equals', 'contains', 'starts_with', 'ends_with', 'gt', 'gte', 'lt', 'lte'],
+  campaign: ['did', 'did_not'],
+};
+
+// Campaign engagement events and the CampaignLead state that proves them
+const CAMPAIGN_EVENTS = {
+  received: {},
+  sent: { sentAt: { not: null } },
+  opened: { openedAt: { not: null } },
+  clicked: { clickedAt: { not: null } },
+  replied: { repliedAt: { not: null } },
+  bounced: { status: 'bounced' },
+  unsubscribed: { status: 'unsubscribed' },
+};
+
+// Limits nesting so a stored filter can't produce an unbounded query
+const MAX_DEPTH = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function filterError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SEGMENT_FILTER';
+  return error;
+}
+
+function requireNumber(value, label) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw filterError(`${label} must be a number`);
+  }
+  return number;
+}
+
+function requireDate(value, label) {
+  const date = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw filterError(`${label} must be a date`);
+  }
+  return date;
+}
+
+function requireList(value, label) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((item) => item === undefined || item === null)) {
+    throw filterError(`${label} must be a non-empty list`);
+  }
+  return list;
+}
+
+function requireRange(value, label) {
+  if (!Array.isArray(value) || value.length !== 2) {
+    throw filterError(`${label} must be a [from, to] pair`);
+  }
+  return value;
+}
+
+// NOT excludes NULLs in SQL, so negations on optional columns keep empty values explicitly
+function negate(field, column, clause) {
+  const not = { NOT: clause };
+  return column.nullable ? { OR: [{ [field]: null }, not] } : not;
+}
+
+function compileStringCondition(field, column, operator, value) {
+  const text = (match) => ({ [field]: { ...match, mode: 'insensitive' } });
+
+  switch (operator) {
+    case 'equals': return text({ equals: String(value) });
+    case 'not_equals': return negate(field, column, text({ equals: String(value) }));
+    case 'contains': return text({ contains: String(value) });
+    case 'not_contains': return negate(field, column, text({ contains: String(value) }));
+    case 'starts_with': return text({ startsWith: String(value) });
+    case 'ends_with': return text({ endsWith: String(value) });
+    case 'in': return { [field]: { in: requireList(value, field).map(String) } };
+    case 'not_in': return negate(field, column, { [field]: { in: requireList(value, field).map(String) } });
+    case 'is_empty': return column.nullable ? { OR: [{ [field]: null }, { [field]: '' }] } : { [field]: '' };
+    case 'is_not_empty': return column.nullable
+      ? { AND: [{ NOT: { [field]: null } }, { NOT: { [field]: '' } }] }
+      : { NOT: { [field]: '' } };
+    default: return null;
+  }
+}
+
+function compileNumberCondition(field, column, operator, value) {
+  switch (operator) {
+    case 'equals': return { [field]: requireNumber(value, field) };
+    case 'not_equals': return negate(field, column, { [field]: requireNumber(value, field) });
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return { [field]: { [operator]: requireNumber(value, field) } };
+    case 'between': {
+      const [from, to] = requireRange(value, field);
+      return { [field]: { gte: requireNumber(from, field), lte: requireNumber(to, field) } };
+    }
+    case 'is_empty': return { [field]: null };
+    case 'is_not_empty': return { NOT: { [field]: null } };
+    default: return null;
+  }
+}
+
+function compileDateCondition(field, column, operator, value) {
+  switch (operator) {
+    case 'before': return { [field]: { lt: requireDate(value, field) } };
+    case 'after': return { [field]: { gt: requireDate(value, field) } };
+    case 'between': {
+      const [from, to] = requireRange(value, field);
+      return { [field]: { gte: requireDate(from, field), lte: requireDate(to, field) } };
+    }
+    case 'within_last_days':
+      return { [field]: { gte: new Date(Date.now() - requireNumber(value, field) * DAY_MS) } };
+    case 'more_than_days_ago':
+      return { [field]: { lt: new Date(Date.now() - requireNumber(value, field) * DAY_MS) } };
+    case 'is_empty':
+    case 'is_not_empty':
+      if (!column.nullable) throw filterError(`${field} is never empty`);
+      return operator === 'is_empty' ? { [field]: null } : { NOT: { [field]: null } };
+    default: return null;
+  }
+}
+
+function compileTagsCondition(operator, value) {
+  switch (operator) {
+    case 'has': return { tags: { has: String(value) } };
+    case 'has_any': return { tags: { hasSome: requireList(value, 'tags').map(String) } };
+    case 'has_all': return { tags: { hasEvery: requireList(value, 'tags').map(String) } };
+    case 'has_none': return { NOT: { tags: { hasSome: requireList(value, 'tags').map(String) } } };
+    case 'is_empty': return { tags: { isEmpty: true } };
+    case 'is_not_empty': return { tags: { isEmpty: false } };
+    default: return null;
+  }
+}
+
+function compileCustomFieldCondition(key, operator, value) {
+  const path = (match) => ({ customFields: { path: [key], ...match } });
+
+  switch (operator) {
+    case 'equals': return path({ equals: value });
+    case 'not_equals': return { NOT: path({ equals: value }) };
+    case 'contains': return path({ string_contains: String(value) });
+    case 'starts_with': return path({ string_starts_with: String(value) });
+    case 'ends_with': return path({ string_ends_with: String(value) });
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return path({ [operator]: requireNumber(value, `customFields.${key}`) });
+    default: return null;
+  }
+}
+
+// e.g. { field: 'campaign', operator: 'did_not', event: 'replied', campaignId: '...' }
+// Without campaignId the condition matches engagement with any campaign.
+function compileCampaignCondition({ operator, event, campaignId }) {
+  if (!(event in CAMPAIGN_EVENTS)) {
+    throw filterError(`Campaign event must be one of: ${Object.keys(CAMPAIGN_EVENTS).join(', ')}`);
+  }
+
+  const engaged = {
+    campaignLeads: {
+      some: {
+        ...(campaignId && { campaignId }),
+        ...CAMPAIGN_EVENTS[event],
+      },
+    },
+  };
+
+  return operator === 'did' ? engaged : { NOT: engaged };
+}
+
+function compileCondition(condition) {
+  if (!condition || typeof condition !== 'object' || typeof condition.field !== 'string') {
+    throw filterError('Each condition needs a field');
+  }
+
+  const { field, operator, value } = condition;
+
+  let type;
+  if (field === 'campaign') type = 'campaign';
+  else if (field === 'tags') type = 'tags';
+  else if (field.startsWith('customFields.') && field.length > 'customFields.'.length) type = 'customField';
+  else if (LEAD_COLUMNS[field]) type = LEAD_COLUMNS[field].type;
+  else throw filterError(`Unknown field: ${field}`);
+
+  if (!OPERATORS[type].includes(operator)) {
+    throw filterError(`Operator for ${field} must be one of: ${OPERATORS[type].join(', ')}`);
+  }
+
+  const needsValue = !['is_empty', 'is_not_empty', 'did', 'did_not'].includes(operator);
+  if (needsValue && (value === undefined || value === null || value === '')) {
+    throw filterError(`A value is required for ${field} ${operator}`);
+  }
+
+  switch (type) {
+    case 'campaign': return compileCampaignCondition(condition);
+    case 'tags': return compileTagsCondition(operator, value);
+    case 'customField': return compileCustomFieldCondition(field.slice('customFields.'.length), operator, value);
+    case 'string': return compileStringCondition(field, LEAD_COLUMNS[field], operator, value);
+    case 'number': return compileNumberCondition(field, LEAD_COLUMNS[field], operator, value);
+    default: return compileDateCondition(field, LEAD_COLUMNS[field], operator, value);
+  }
+}
+
+/**
+ * Compile a segment filter into a Prisma Lead `where` clause
+ * A filter is a group: { match: 'all' | 'any', conditions: [condition | group, ...] }.
+ * A condition is { field, operator, value }; field is a Lead column, 'tags',
+ * 'customFields.<key>' or 'campaign' (with event and optional campaignId).
+ * @param {Object} filter - Segment filter
+ * @param {number} depth - Current nesting depth (internal)
+ * @returns {Object} - Prisma where clause (not scoped to a user)
+ * @throws {Error} - code 'INVALID_SEGMENT_FILTER' when the filter is malformed
+ */
+function compileSegmentFilter(filter, depth = 0) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw filterError('Filter must be an object like { match: "all", conditions: [] }');
+  }
+
+  if (depth >= MAX_DEPTH) {
+    throw filterError(`Filters can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const match = filter.match || 'all';
+  if (!['all', 'any'].includes(match)) {
+    throw filterError('match must be "all" or "any"');
+  }
+
+  if (!Array.isArray(filter.conditions)) {
+    throw filterError('conditions must be an array');
+  }
+
+  const clauses = filter.conditions.map((condition) => (
+    condition && Array.isArray(condition.conditions)
+      ? compileSegmentFilter(condition, depth + 1)
+      : compileCondition(condition)
+  ));
+
+  if (clauses.length === 0) return {};
+
+  return match === 'any' ? { OR: clauses } : { AND: clauses };
+}
+
+/**
+ * Build the Lead `where` clause for a filter, scoped to one account
+ * @param {string} userId - Account (User) ID
+ * @param {Object} filter - Segment filter
+ * @returns {Object} - Prisma where clause
+ */
+function buildSegmentWhere(userId, filter) {
+  return { AND: [{ userId }, compileSegmentFilter(filter)] };
+}
+
+/**
+ * Resolve a saved segment to its Lead `where` clause
+ * @param {string} userId - Account (User) ID
+ * @param {string} segmentId - LeadSegment ID
+ * @returns {Promise<Object|null>} - Prisma where clause, or null if the segment doesn't exist
+ */
+async function getSegmentWhere(userId, segmentId) {
+  const segment = await prisma.leadSegment.findFirst({
+    where: { id: segmentId, userId },
+  });
+
+  return segment ? buildSegmentWhere(userId, segment.filter) : null;
+}
+
+module.exports = {
+  LEAD_COLUMNS,
+  OPERATORS,
+  CAMPAIGN_EVENTS,
+  compileSegmentFilter,
+  buildSegmentWhere,
+  getSegmentWhere,
+};
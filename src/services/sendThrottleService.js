@@ -0,0 +1,192 @@
+// Send Throttle Service
+// Per-account campaign sending limits: hourly volume, concurrency, per-recipient-domain caps
+// and warm-up schedules for new sending domains.
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@leadsite.ai';
+
+// Used when an account has no SendingSettings row
+const DEFAULT_SETTINGS = {
+  hourlyLimit: parseInt(process.env.SEND_HOURLY_LIMIT) || 500,
+  maxConcurrent: parseInt(process.env.SEND_MAX_CONCURRENT) || 5,
+  domainHourlyLimits: {},
+};
+
+// Daily caps for a new sending domain; once past the last day the domain is uncapped
+const DEFAULT_WARMUP_SCHEDULE = [50, 100, 200, 400, 750, 1000, 1500, 2000, 3000, 5000, 7500, 10000];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the domain part of an email address
+ * @param {string} email - Email address
+ * @returns {string|null} - Lowercased domain
+ */
+function getEmailDomain(email) {
+  const at = (email || '').lastIndexOf('@');
+  return at > 0 ? email.slice(at + 1).trim().toLowerCase() : null;
+}
+
+/**
+ * Load an account's sending limits, falling back to the defaults
+ * @param {string} userId - Account (User) ID
+ * @returns {Promise<Object>} - { hourlyLimit, maxConcurrent, domainHourlyLimits }
+ */
+async function getSendingSettings(userId) {
+  const settings = await prisma.sendingSettings.findUnique({
+    where: { userId },
+  });
+
+  if (!settings) {
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  return {
+    hourlyLimit: settings.hourlyLimit,
+    maxConcurrent: Math.max(settings.maxConcurrent, 1),
+    domainHourlyLimits: normalizeDomainLimits(settings.domainHourlyLimits),
+  };
+}
+
+/**
+ * Lowercase domain keys and drop invalid caps
+ * @param {Object} limits - { "Gmail.com": 50, ... }
+ * @returns {Object} - { "gmail.com": 50 }
+ */
+function normalizeDomainLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(limits)
+      .filter(([, cap]) => Number.isInteger(cap) && cap >= 0)
+      .map(([domain, cap]) => [domain.trim().toLowerCase().replace(/^@/, ''), cap])
+  );
+}
+
+/**
+ * Work out today's warm-up cap for a sending domain
+ * @param {Object} sendingDomain - SendingDomain record
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { day, cap, dayStartedAt } or null when not warming up
+ */
+function getWarmupCap(sendingDomain, now = new Date()) {
+  if (!sendingDomain || !sendingDomain.warmupEnabled) {
+    return null;
+  }
+
+  const schedule = Array.isArray(sendingDomain.warmupSchedule) && sendingDomain.warmupSchedule.length > 0
+    ? sendingDomain.warmupSchedule
+    : DEFAULT_WARMUP_SCHEDULE;
+
+  const startedAt = new Date(sendingDomain.warmupStartedAt).getTime();
+  const day = Math.max(Math.floor((now.getTime() - startedAt) / DAY_MS), 0);
+
+  if (day >= schedule.length) {
+    return null;
+  }
+
+  return {
+    day: day + 1,
+    cap: schedule[day],
+    dayStartedAt: new Date(startedAt + day * DAY_MS),
+  };
+}
+
+/**
+ * Count campaign emails an account has sent since a point in time
+ * @param {string} userId - Account (User) ID
+ * @param {Date} since - Window start
+ * @param {Object} filters - { recipientDomain, sendingDomain } (optional)
+ * @returns {Promise<number>}
+ */
+function countSentSince(userId, since, { recipientDomain, sendingDomain } = {}) {
+  const campaign = { userId };
+
+  if (sendingDomain) {
+    // Campaigns without a From address go out from the default FROM_EMAIL
+    campaign.OR = [{ fromEmail: { endsWith: `@${sendingDomain}`, mode: 'insensitive' } }];
+    if (getEmailDomain(DEFAULT_FROM_EMAIL) === sendingDomain) {
+      campaign.OR.push({ fromEmail: null });
+    }
+  }
+
+  return prisma.campaignLead.count({
+    where: {
+      sentAt: { gte: since },
+      campaign,
+      ...(recipientDomain && {
+        lead: { email: { endsWith: `@${recipientDomain}`, mode: 'insensitive' } },
+      }),
+    },
+  });
+}
+
+/**
+ * Work out how many more campaign emails an account may send right now
+ * @param {Object} options
+ * @param {string} options.userId - Account (User) ID
+ * @param {string} options.fromEmail - Campaign From address (defaults to FROM_EMAIL)
+ * @returns {Promise<Object>} - { remaining, maxConcurrent, domainRemaining, hourly, warmup }
+ */
+async function getSendBudget({ userId, fromEmail }) {
+  const now = new Date();
+  const hourAgo = new Date(now.getTime() - HOUR_MS);
+  const settings = await getSendingSettings(userId);
+
+  const sentLastHour = await countSentSince(userId, hourAgo);
+  const hourlyRemaining = Math.max(settings.hourlyLimit - sentLastHour, 0);
+
+  const domainRemaining = {};
+  for (const [domain, cap] of Object.entries(settings.domainHourlyLimits)) {
+    const sent = await countSentSince(userId, hourAgo, { recipientDomain: domain });
+    domainRemaining[domain] = Math.max(cap - sent, 0);
+  }
+
+  const sendingDomainName = getEmailDomain(fromEmail || DEFAULT_FROM_EMAIL);
+  const sendingDomain = sendingDomainName
+    ? await prisma.sendingDomain.findUnique({
+      where: { userId_domain: { userId, domain: sendingDomainName } },
+    })
+    : null;
+
+  let warmup = null;
+  const warmupCap = getWarmupCap(sendingDomain, now);
+  if (warmupCap) {
+    const sentToday = await countSentSince(userId, warmupCap.dayStartedAt, { sendingDomain: sendingDomainName });
+    warmup = {
+      domain: sendingDomainName,
+      day: warmupCap.day,
+      dailyLimit: warmupCap.cap,
+      sentToday,
+      remaining: Math.max(warmupCap.cap - sentToday, 0),
+    };
+  }
+
+  return {
+    remaining: warmup ? Math.min(hourlyRemaining, warmup.remaining) : hourlyRemaining,
+    maxConcurrent: settings.maxConcurrent,
+    domainRemaining,
+    hourly: {
+      limit: settings.hourlyLimit,
+      sent: sentLastHour,
+      remaining: hourlyRemaining,
+    },
+    warmup,
+  };
+}
+
+module.exports = {
+  getSendingSettings,
+  getSendBudget,
+  getWarmupCap,
+  getEmailDomain,
+  normalizeDomainLimits,
+  DEFAULT_SETTINGS,
+  DEFAULT_WARMUP_SCHEDULE,
+};
@@ -0,0 +1,157 @@
+// Sequence Exit Service
+// Takes contacts out of their active sequence enrollments when they reply, bounce,
+// unsubscribe or book a meeting, or when a linked deal reaches a sequence's exit stage.
+// Replies and bounces are rolled into Sequence.repliedCount / bouncedCount.
+
+const { PrismaClient } = require('@prisma/client');
+const { parseSequenceMessageId } = require('./trackingService');
+const { formatPhoneNumber } = require('./smsService');
+
+const prisma = new PrismaClient();
+
+const EXIT_REASONS = ['replied', 'bounced', 'unsubscribed', 'meeting_booked', 'deal_stage', 'manual'];
+
+// Sequence counters moved by each exit
+const EXIT_COUNTERS = {
+  replied: 'repliedCount',
+  bounced: 'bouncedCount',
+};
+
+/**
+ * End active enrollments and record why
+ * @param {Object} where - SequenceEnrollment filter (only active enrollments are touched)
+ * @param {string} reason - One of EXIT_REASONS
+ * @param {Object} options
+ * @param {string} options.status - Status to leave the enrollments in (default 'exited')
+ * @returns {Promise<number>} - Number of enrollments ended
+ */
+async function exitEnrollments(where, reason, { status = 'exited' } = {}) {
+  if (!EXIT_REASONS.includes(reason)) {
+    throw new Error(`Unknown sequence exit reason: ${reason}`);
+  }
+
+  const enrollments = await prisma.sequenceEnrollment.findMany({
+    where: { ...where, status: 'active' },
+    select: { id: true, sequenceId: true },
+  });
+  if (enrollments.length === 0) return 0;
+
+  const counter = EXIT_COUNTERS[reason];
+  const perSequence = {};
+  for (const enrollment of enrollments) {
+    perSequence[enrollment.sequenceId] = (perSequence[enrollment.sequenceId] || 0) + 1;
+  }
+
+  const [{ count }] = await prisma.$transaction([
+    prisma.sequenceEnrollment.updateMany({
+      where: { id: { in: enrollments.map(enrollment => enrollment.id) }, status: 'active' },
+      data: { status, exitReason: reason, exitedAt: new Date(), nextRunAt: null },
+    }),
+    ...(counter ? Object.entries(perSequence).map(([sequenceId, exited]) => prisma.sequence.update({
+      where: { id: sequenceId },
+      data: { [counter]: { increment: exited } },
+    })) : []),
+  ]);
+
+  return count;
+}
+
+/**
+ * Take contacts out of every sequence they're active in
+ * @param {string[]} contactIds - Contact IDs
+ * @param {string} reason - One of EXIT_REASONS
+ * @returns {Promise<number>} - Number of enrollments ended
+ */
+async function exitContactEnrollments(contactIds, reason) {
+  if (contactIds.length === 0) return 0;
+  return exitEnrollments({ contactId: { in: contactIds } }, reason);
+}
+
+/**
+ * Take an account's contacts with an email address or phone number out of their sequences
+ * @param {string} userId - Account (User) ID
+ * @param {Object} address - { email, phone }
+ * @param {string} reason - One of EXIT_REASONS
+ * @returns {Promise<number>} - Number of enrollments ended
+ */
+async function exitEnrollmentsForAddress(userId, { email, phone }, reason) {
+  const matches = [];
+  if (email) {
+    matches.push({ email: { equals: email, mode: 'insensitive' } });
+  }
+  if (phone) {
+    const phones = [...new Set([phone, formatPhoneNumber(phone)])];
+    matches.push({ phone: { in: phones } }, { mobile: { in: phones } });
+  }
+  if (matches.length === 0) return 0;
+
+  return exitEnrollments({ userId, contact: { OR: matches } }, reason);
+}
+
+/**
+ * Take a contact who replied out of their sequences
+ * A reply quoting one of our sequence Message-IDs identifies the contact directly;
+ * otherwise the sender's address is matched against the account's contacts.
+ * @param {Object} options
+ * @param {string} options.userId - Account (User) ID the reply was filed under
+ * @param {string} options.email - Sender email address (email replies)
+ * @param {string} options.phone - Sender phone number (SMS replies)
+ * @param {string} options.inReplyTo - In-Reply-To header (optional)
+ * @param {string|string[]} options.references - References header (optional)
+ * @returns {Promise<number>} - Number of enrollments ended
+ */
+async function exitRepliedContact({ userId, email, phone, inReplyTo, references }) {
+  const enrollmentIds = [inReplyTo, ...[].concat(references || []).flatMap((ref) => String(ref).split(/\s+/))]
+    .map(parseSequenceMessageId)
+    .filter(Boolean);
+
+  if (enrollmentIds.length > 0) {
+    const enrollment = await prisma.sequenceEnrollment.findFirst({
+      where: { id: { in: enrollmentIds } },
+      select: { contactId: true },
+    });
+    if (enrollment) {
+      return exitContactEnrollments([enrollment.contactId], 'replied');
+    }
+  }
+
+  return userId ? exitEnrollmentsForAddress(userId, { email, phone }, 'replied') : 0;
+}
+
+/**
+ * Take a deal's contacts out of sequences that list the deal's stage as an exit stage
+ * @param {string} dealId - Deal ID
+ * @returns {Promise<number>} - Number of enrollments ended
+ */
+async function exitForDealStage(dealId) {
+  const deal = await prisma.deal.findUnique({
+    where: { id: dealId },
+    select: { userId: true, stage: true, contacts: { select: { id: true } } },
+  });
+  if (!deal || deal.contacts.length === 0) return 0;
+
+  return exitEnrollments({
+    userId: deal.userId,
+    contactId: { in: deal.contacts.map(contact => contact.id) },
+    sequence: { exitDealStages: { has: deal.stage } },
+  }, 'deal_stage');
+}
+
+/**
+ * Fire-and-forget wrapper so exits never break the request or webhook that triggered them
+ * @param {Promise} promise - Exit promise
+ * @param {string} label - Log context
+ */
+function exitInBackground(promise, label) {
+  promise.catch((error) => console.error(`Sequence exit failed (${label}):`, error.message));
+}
+
+module.exports = {
+  EXIT_REASONS,
+  exitEnrollments,
+  exitContactEnrollments,
+  exitEnrollmentsForAddress,
+  exitRepliedContact,
+  exitForDealStage,
+  exitInBackground,
+};
@@ -0,0 +1,90 @@
+// Sequence Scheduler
+// Background runner that executes due sequence steps for every active enrollment
+
+const { PrismaClient } = require('@prisma/client');
+const { runEnrollmentStep } = require('./sequenceService');
+
+const prisma = new PrismaClient();
+
+const POLL_INTERVAL_MS = parseInt(process.env.SEQUENCE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const BATCH_SIZE = 50;
+// Caps the work done in one pass so a backlog can't hold the tick open indefinitely
+const MAX_BATCHES_PER_TICK = 20;
+
+let schedulerInterval = null;
+let tickInProgress = false;
+
+/**
+ * Run one scheduler pass
+ * Runs the due step of each enrollment whose nextRunAt has passed, oldest first,
+ * for sequences that are active. Each enrollment is claimed in runEnrollmentStep,
+ * so several instances can run the scheduler side by side.
+ */
+async function runSequenceTick() {
+  if (tickInProgress) {
+    return;
+  }
+  tickInProgress = true;
+
+  try {
+    for (let batch = 0; batch < MAX_BATCHES_PER_TICK; batch++) {
+      const due = await prisma.sequenceEnrollment.findMany({
+        where: {
+          status: 'active',
+          nextRunAt: { lte: new Date() },
+          sequence: { status: 'active' },
+        },
+        select: { id: true },
+        orderBy: { nextRunAt: 'asc' },
+        take: BATCH_SIZE,
+      });
+
+      for (const { id } of due) {
+        try {
+          await runEnrollmentStep(id);
+        } catch (error) {
+          console.error(`Sequence enrollment ${id} step failed:`, error.message);
+        }
+      }
+
+      if (due.length < BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error('Sequence scheduler tick error:', error.message);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+/**
+ * Start the background scheduler
+ */
+function startSequenceScheduler() {
+  if (schedulerInterval) {
+    return;
+  }
+
+  schedulerInterval = setInterval(runSequenceTick, POLL_INTERVAL_MS);
+  // Pick up steps that came due while the process was down
+  setTimeout(runSequenceTick, 5000);
+
+  console.log(`📨 Sequence scheduler started (interval ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop the background scheduler
+ */
+function stopSequenceScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+module.exports = {
+  startSequenceScheduler,
+  stopSequenceScheduler,
+  runSequenceTick,
+};
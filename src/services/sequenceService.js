@@ -0,0 +1,604 @@
+// Sequence Service
+// Enrolls Tackle contacts in sequences and runs each enrollment's steps in order.
+// Email and SMS steps are sent through channelService; call, task and LinkedIn steps
+// become Activity tasks. Every step is logged as an Activity on the contact, and steps
+// only run inside the sequence's sending window (sendingDays, sendingStart-sendingEnd
+// in the sequence timezone). Contacts who unsubscribed or bounced leave the sequence
+// at their next step (see sequenceExitService for the other exit conditions).
+
+const { PrismaClient } = require('@prisma/client');
+const channelService = require('./channelService');
+const { buildMergeContext, renderMergeFields } = require('./mergeFieldService');
+const { htmlToText } = require('./campaignService');
+const { buildSequenceMessageId } = require('./trackingService');
+const { exitEnrollments } = require('./sequenceExitService');
+
+const prisma = new PrismaClient();
+
+const MESSAGE_CHANNELS = ['email', 'sms'];
+const TASK_CHANNELS = ['call', 'task', 'linkedin'];
+const SEQUENCE_CHANNELS = [...MESSAGE_CHANNELS, ...TASK_CHANNELS];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+// A claimed step is retried after this long if the process dies mid-step
+const STEP_LEASE_MS = 10 * 60 * 1000;
+
+// Failed steps are retried this many times, this far apart, before the enrollment fails
+const MAX_STEP_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+function sequenceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Intl formatters are slow to build, so keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Check that a string is an IANA timezone name
+ * @param {string} timeZone - e.g. "America/New_York"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a timezone
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+// Instant at which the wall clock in a timezone shows the given date and minute of day
+function zonedTimeToUtc(year, month, day, minuteOfDay, timeZone) {
+  const target = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  let guess = target;
+
+  // Two passes settle the offset, including across DST changes
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(guess), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    guess += target - shown;
+  }
+
+  return new Date(guess);
+}
+
+// "09:30" -> 570 (minutes since midnight); null when unset or malformed
+function parseTime(value) {
+  if (!value || !TIME_REGEX.test(value)) return null;
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate a sequence's sending settings
+ * @param {Object} settings - { timezone, sendingDays, sendingStart, sendingEnd }
+ * @returns {string|null} - Error message or null
+ */
+function validateSendingWindow({ timezone, sendingDays, sendingStart, sendingEnd }) {
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+    return 'timezone must be an IANA timezone name, e.g. America/New_York';
+  }
+  if (sendingDays !== undefined &&
+    !(Array.isArray(sendingDays) && sendingDays.length > 0 && sendingDays.every(day => WEEKDAYS.includes(day)))) {
+    return `sendingDays must list at least one of: ${WEEKDAYS.join(', ')}`;
+  }
+  for (const [field, value] of Object.entries({ sendingStart, sendingEnd })) {
+    if (value !== undefined && value !== null && parseTime(value) === null) {
+      return `${field} must be a time in HH:MM format`;
+    }
+  }
+  const start = parseTime(sendingStart);
+  const end = parseTime(sendingEnd);
+  if (start !== null && end !== null && end <= start) {
+    return 'sendingEnd must be after sendingStart';
+  }
+  return null;
+}
+
+/**
+ * Find the first moment at or after a time that falls inside a sequence's sending window
+ * Without sendingStart/sendingEnd the whole day is open; an unknown timezone counts as UTC.
+ * @param {Date} from - Earliest allowed time
+ * @param {Object} sequence - { timezone, sendingDays, sendingStart, sendingEnd }
+ * @returns {Date}
+ */
+function nextSendingTime(from, { timezone, sendingDays, sendingStart, sendingEnd }) {
+  const timeZone = isValidTimeZone(timezone) ? timezone : 'UTC';
+  const days = sendingDays?.length ? sendingDays : WEEKDAYS;
+  const start = parseTime(sendingStart) ?? 0;
+  const end = parseTime(sendingEnd) ?? 24 * 60;
+
+  const local = getZonedParts(from, timeZone);
+  const minuteOfDay = local.hour * 60 + local.minute;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar arithmetic on the local date; the time of day is applied in the timezone below
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    if (!days.includes(WEEKDAYS[day.getUTCDay()])) continue;
+
+    if (offset === 0) {
+      if (minuteOfDay >= end) continue;
+      if (minuteOfDay >= start) return from;
+    }
+
+    return zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), start, timeZone);
+  }
+
+  return from;
+}
+
+/**
+ * When a step is due: its delay after the previous step (or enrollment), moved into the sending window
+ * @param {Object} sequence - Sequence record
+ * @param {Object} step - SequenceStep record
+ * @param {Date} after - When the previous step ran, or the enrollment time for the first step
+ * @returns {Date}
+ */
+function computeNextRunAt(sequence, step, after) {
+  const delayMs = ((step.delayDays || 0) * 24 + (step.delayHours || 0)) * 60 * 60 * 1000;
+  return nextSendingTime(new Date(after.getTime() + delayMs), sequence);
+}
+
+// Load a sequence the user owns, with its steps in order
+async function getOwnedSequence(userId, sequenceId) {
+  const sequence = await prisma.sequence.findFirst({
+    where: { id: sequenceId, userId },
+    include: { steps: { orderBy: { position: 'asc' } } },
+  });
+
+  if (!sequence) {
+    throw sequenceError('Sequence not found', 'SEQUENCE_NOT_FOUND');
+  }
+
+  return sequence;
+}
+
+/**
+ * Enroll contacts in a sequence
+ * Contacts already enrolled are left alone; with restart, finished enrollments
+ * (completed, unenrolled, failed) start again from the first step.
+ * Steps only run while the sequence is active.
+ * @param {string} userId - Account (User) ID
+ * @param {string} sequenceId - Sequence ID
+ * @param {string[]} contactIds - Contact IDs
+ * @param {Object} options
+ * @param {boolean} options.restart - Restart finished enrollments (default false)
+ * @returns {Promise<Object>} - { enrolled, alreadyEnrolled, notFound, firstStepAt }
+ */
+async function enrollContacts(userId, sequenceId, contactIds, { restart = false } = {}) {
+  const sequence = await getOwnedSequence(userId, sequenceId);
+
+  if (sequence.status === 'archived') {
+    throw sequenceError('Contacts cannot be enrolled in an archived sequence', 'SEQUENCE_INVALID');
+  }
+  if (sequence.steps.length === 0) {
+    throw sequenceError('Add at least one step before enrolling contacts', 'SEQUENCE_INVALID');
+  }
+
+  const ids = [...new Set(contactIds)];
+  const [contacts, existing] = await Promise.all([
+    prisma.contact.findMany({
+      where: { userId, id: { in: ids } },
+      select: { id: true },
+    }),
+    prisma.sequenceEnrollment.findMany({
+      where: { sequenceId, contactId: { in: ids } },
+      select: { id: true, contactId: true, status: true },
+    }),
+  ]);
+
+  const found = new Set(contacts.map(contact => contact.id));
+  const existingByContact = new Map(existing.map(enrollment => [enrollment.contactId, enrollment]));
+
+  const toCreate = [];
+  const toRestart = [];
+  const alreadyEnrolled = [];
+
+  for (const contactId of ids.filter(id => found.has(id))) {
+    const enrollment = existingByContact.get(contactId);
+    if (!enrollment) {
+      toCreate.push(contactId);
+    } else if (restart && enrollment.status !== 'active') {
+      toRestart.push(enrollment.id);
+    } else {
+      alreadyEnrolled.push(contactId);
+    }
+  }
+
+  const now = new Date();
+  const firstStepAt = computeNextRunAt(sequence, sequence.steps[0], now);
+  const enrolled = toCreate.length + toRestart.length;
+
+  if (enrolled > 0) {
+    await prisma.$transaction([
+      prisma.sequenceEnrollment.createMany({
+        data: toCreate.map(contactId => ({
+          userId,
+          sequenceId,
+          contactId,
+          nextRunAt: firstStepAt,
+          enrolledAt: now,
+        })),
+        skipDuplicates: true,
+      }),
+      prisma.sequenceEnrollment.updateMany({
+        where: { id: { in: toRestart } },
+        data: {
+          status: 'active',
+          currentStep: 0,
+          nextRunAt: firstStepAt,
+          lastStepAt: null,
+          attempts: 0,
+          lastError: null,
+          enrolledAt: now,
+          completedAt: null,
+          exitedAt: null,
+          exitReason: null,
+        },
+      }),
+      prisma.sequence.update({
+        where: { id: sequenceId },
+        data: { enrolledCount: { increment: enrolled } },
+      }),
+    ]);
+  }
+
+  return {
+    enrolled,
+    alreadyEnrolled,
+    notFound: ids.filter(id => !found.has(id)),
+    firstStepAt,
+  };
+}
+
+/**
+ * Stop active enrollments in a sequence
+ * @param {string} userId - Account (User) ID
+ * @param {string} sequenceId - Sequence ID
+ * @param {string[]} contactIds - Contact IDs
+ * @returns {Promise<Object>} - { unenrolled }
+ */
+async function unenrollContacts(userId, sequenceId, contactIds) {
+  await getOwnedSequence(userId, sequenceId);
+
+  const unenrolled = await exitEnrollments(
+    { sequenceId, contactId: { in: contactIds } },
+    'manual',
+    { status: 'unenrolled' }
+  );
+
+  return { unenrolled };
+}
+
+// Why a contact should leave the sequence before their next step (null to carry on)
+function getExitReason(contact) {
+  if (contact.status === 'bounced') return 'bounced';
+  if (contact.status === 'unsubscribed' || !contact.emailOptIn) return 'unsubscribed';
+  return null;
+}
+
+// Why an SMS step can't reach the contact (null when it can)
+function getSkipReason(contact, channel) {
+  if (channel === 'sms') {
+    if (!contact.smsOptIn) return 'sms_opt_out';
+    if (!contact.mobile && !contact.phone) return 'no_phone';
+  }
+  return null;
+}
+
+// Subject and body for a step, filling gaps from its email template
+async function resolveStepContent(step, userId) {
+  let { subject, body } = step;
+
+  if (step.template && (!subject || !body)) {
+    const template = await prisma.emailTemplate.findFirst({
+      where: { id: step.template, userId },
+    });
+    if (template) {
+      subject = subject || template.subject;
+      body = body || template.htmlContent || template.textContent;
+    }
+  }
+
+  return { subject, body };
+}
+
+/**
+ * Run one step for an enrollment
+ * @param {Object} enrollment - SequenceEnrollment with sequence (steps) and contact (company) included
+ * @param {Object} step - SequenceStep to run
+ * @returns {Promise<Object>} - { outcome: 'sent' | 'task_created' | 'skipped' | 'exited', activity: data for prisma.activity.create, reason? }
+ */
+async function executeStep(enrollment, step) {
+  const { contact, sequence } = enrollment;
+
+  const sender = await prisma.user.findUnique({
+    where: { id: enrollment.userId },
+    select: { id: true, email: true, name: true, company: true },
+  });
+  const context = buildMergeContext(contact, sender);
+  const content = await resolveStepContent(step, enrollment.userId);
+  const subject = renderMergeFields(content.subject, context);
+  const body = renderMergeFields(content.body, context);
+
+  const now = new Date();
+  const activity = {
+    userId: enrollment.userId,
+    contactId: contact.id,
+    companyId: contact.companyId,
+    type: step.channel,
+    subject: subject || `${sequence.name}: step ${step.position + 1}`,
+    description: body,
+    metadata: {
+      sequenceId: sequence.id,
+      sequenceStepId: step.id,
+      enrollmentId: enrollment.id,
+      stepPosition: step.position,
+    },
+  };
+
+  if (TASK_CHANNELS.includes(step.channel)) {
+    return {
+      outcome: 'task_created',
+      activity: { ...activity, dueDate: now, assignedTo: enrollment.userId, priority: 'normal' },
+    };
+  }
+
+  if (!MESSAGE_CHANNELS.includes(step.channel)) {
+    throw new Error(`Unsupported sequence step channel: ${step.channel}`);
+  }
+
+  const skipped = (reason) => ({
+    outcome: 'skipped',
+    reason,
+    activity: { ...activity, outcome: 'cancelled', metadata: { ...activity.metadata, reason } },
+  });
+
+  const skipReason = getSkipReason(contact, step.channel);
+  if (skipReason) {
+    return skipped(skipReason);
+  }
+
+  let result;
+  try {
+    result = await channelService.sendMessage(step.channel === 'email'
+      ? {
+        channel: 'email',
+        userId: enrollment.userId,
+        to: contact.email,
+        subject,
+        htmlContent: renderMergeFields(content.body, context, { html: true }),
+        content: htmlToText(body),
+        // Replies quote this in In-Reply-To/References so they can end the enrollment
+        headers: { 'Message-ID': buildSequenceMessageId(enrollment.id, step.position) },
+        // Echoed back by SendGrid/SES delivery webhooks to catch bounces and complaints
+        customArgs: { sequence_enrollment_id: enrollment.id },
+      }
+      : {
+        channel: 'sms',
+        userId: enrollment.userId,
+        to: contact.mobile || contact.phone,
+        content: htmlToText(body),
+      });
+  } catch (error) {
+    if (error.code === 'RECIPIENT_SUPPRESSED') {
+      // A suppressed email address won't come back, so the contact leaves the sequence
+      if (step.channel === 'email') {
+        return { outcome: 'exited', reason: error.reason === 'bounced' ? 'bounced' : 'unsubscribed' };
+      }
+      return skipped(`suppressed_${error.reason}`);
+    }
+    throw error;
+  }
+
+  return {
+    outcome: 'sent',
+    activity: {
+      ...activity,
+      isCompleted: true,
+      completedAt: now,
+      outcome: 'completed',
+      metadata: { ...activity.metadata, messageId: result?.messageId },
+    },
+  };
+}
+
+/**
+ * Run an enrollment's due step and schedule the next one
+ * The enrollment is claimed first (nextRunAt pushed out by a lease) so concurrent
+ * schedulers never run the same step twice. Outside the sending window the step is
+ * rescheduled to the next opening instead of running. Failed steps are retried up to
+ * MAX_STEP_ATTEMPTS times before the enrollment is marked failed. Contacts who have
+ * bounced or unsubscribed exit instead of running the step.
+ * @param {string} enrollmentId - SequenceEnrollment ID
+ * @returns {Promise<Object>} - { status: 'sent' | 'task_created' | 'skipped' | 'exited' | 'completed' | 'rescheduled' | 'retrying' | 'failed' | 'not_due', nextRunAt?, reason?, error? }
+ */
+async function runEnrollmentStep(enrollmentId) {
+  const now = new Date();
+
+  const claimed = await prisma.sequenceEnrollment.updateMany({
+    where: { id: enrollmentId, status: 'active', nextRunAt: { lte: now } },
+    data: { nextRunAt: new Date(now.getTime() + STEP_LEASE_MS) },
+  });
+
+  if (claimed.count === 0) {
+    return { status: 'not_due' };
+  }
+
+  const enrollment = await prisma.sequenceEnrollment.findUnique({
+    where: { id: enrollmentId },
+    include: {
+      sequence: { include: { steps: { orderBy: { position: 'asc' } } } },
+      contact: { include: { company: { select: { name: true } } } },
+    },
+  });
+  if (!enrollment) {
+    return { status: 'not_due' };
+  }
+  const { sequence } = enrollment;
+
+  const exit = async (reason) => {
+    await exitEnrollments({ id: enrollment.id }, reason);
+    return { status: 'exited', reason };
+  };
+
+  const exitReason = getExitReason(enrollment.contact);
+  if (exitReason) {
+    return exit(exitReason);
+  }
+
+  const reschedule = async (nextRunAt, status = 'rescheduled') => {
+    await prisma.sequenceEnrollment.update({
+      where: { id: enrollment.id },
+      data: { nextRunAt },
+    });
+    return { status, nextRunAt };
+  };
+
+  // Paused sequences keep their enrollments due; they run once the sequence is active again
+  if (sequence.status !== 'active') {
+    return reschedule(now);
+  }
+
+  const windowOpensAt = nextSendingTime(now, sequence);
+  if (windowOpensAt > now) {
+    return reschedule(windowOpensAt);
+  }
+
+  const step = sequence.steps[enrollment.currentStep];
+  const nextStep = sequence.steps[enrollment.currentStep + 1];
+
+  if (!step) {
+    // Steps were removed after enrollment
+    await prisma.$transaction([
+      prisma.sequenceEnrollment.update({
+        where: { id: enrollment.id },
+        data: { status: 'completed', completedAt: now, nextRunAt: null },
+      }),
+      prisma.sequence.update({
+        where: { id: sequence.id },
+        data: { completedCount: { increment: 1 } },
+      }),
+    ]);
+    return { status: 'completed' };
+  }
+
+  let result;
+  try {
+    result = await executeStep(enrollment, step);
+  } catch (error) {
+    const attempts = enrollment.attempts + 1;
+    console.error(`Sequence ${sequence.id} step ${step.position} failed for contact ${enrollment.contactId}:`, error.message);
+
+    if (attempts >= MAX_STEP_ATTEMPTS) {
+      await prisma.sequenceEnrollment.update({
+        where: { id: enrollment.id },
+        data: { status: 'failed', attempts, lastError: error.message, nextRunAt: null, exitedAt: now },
+      });
+      return { status: 'failed', error: error.message };
+    }
+
+    const nextRunAt = nextSendingTime(new Date(now.getTime() + RETRY_DELAY_MS), sequence);
+    await prisma.sequenceEnrollment.update({
+      where: { id: enrollment.id },
+      data: { attempts, lastError: error.message, nextRunAt },
+    });
+    return { status: 'retrying', nextRunAt, error: error.message };
+  }
+
+  if (result.outcome === 'exited') {
+    return exit(result.reason);
+  }
+
+  const nextRunAt = nextStep ? computeNextRunAt(sequence, nextStep, now) : null;
+  const advanced = {
+    currentStep: enrollment.currentStep + 1,
+    lastStepAt: now,
+    attempts: 0,
+    lastError: null,
+    nextRunAt,
+    ...(!nextStep && { status: 'completed', completedAt: now }),
+  };
+
+  try {
+    await prisma.$transaction([
+      prisma.activity.create({ data: result.activity }),
+      prisma.sequenceEnrollment.update({
+        where: { id: enrollment.id },
+        data: advanced,
+      }),
+      ...(result.outcome === 'sent' ? [
+        prisma.contact.update({
+          where: { id: enrollment.contactId },
+          data: { lastContactedAt: now },
+        }),
+      ] : []),
+      ...(!nextStep ? [
+        prisma.sequence.update({
+          where: { id: sequence.id },
+          data: { completedCount: { increment: 1 } },
+        }),
+      ] : []),
+    ]);
+  } catch (error) {
+    // The step already ran, so move past it anyway - a retry would send it twice
+    console.error(`Sequence ${sequence.id} step ${step.position} ran but recording it failed for contact ${enrollment.contactId}:`, error.message);
+    await prisma.sequenceEnrollment.update({
+      where: { id: enrollment.id },
+      data: { ...advanced, lastError: error.message },
+    });
+  }
+
+  return { status: result.outcome, nextRunAt, ...(result.reason && { reason: result.reason }) };
+}
+
+module.exports = {
+  SEQUENCE_CHANNELS,
+  WEEKDAYS,
+  isValidTimeZone,
+  validateSendingWindow,
+  nextSendingTime,
+  computeNextRunAt,
+  enrollContacts,
+  unenrollContacts,
+  runEnrollmentStep,
+};
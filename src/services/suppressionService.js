@@ -0,0 +1,136 @@
+// Suppression List Service
+// Per-account list of email addresses and phone numbers that must not be contacted
+
+const { PrismaClient } = require('@prisma/client');
+const { formatPhoneNumber } = require('./smsService');
+const { exitEnrollmentsForAddress } = require('./sequenceExitService');
+
+const prisma = new PrismaClient();
+
+// Message channels -> suppression channel
+const CHANNEL_MAP = {
+  email: 'email',
+  sms: 'phone',
+  whatsapp: 'phone',
+  voice: 'phone',
+  phone: 'phone',
+};
+
+/**
+ * Map a message channel to its suppression channel
+ * @param {string} channel - email, sms, whatsapp, ...
+ * @returns {string|null} - 'email', 'phone' or null if the channel isn't suppressible
+ */
+function getSuppressionChannel(channel) {
+  return CHANNEL_MAP[channel?.toLowerCase()] || null;
+}
+
+/**
+ * Normalize an address so lookups are consistent
+ * @param {string} channel - 'email' or 'phone'
+ * @param {string} value - Email address or phone number
+ * @returns {string}
+ */
+function normalizeAddress(channel, value) {
+  if (!value) return value;
+  if (channel === 'phone') {
+    return formatPhoneNumber(value.replace(/^whatsapp:/, ''));
+  }
+  const match = value.match(/<(.+?)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Check whether an address is suppressed for an account
+ * Also honours Tackle Contact opt-outs (emailOptIn / phoneOptIn = false).
+ * @param {string} userId - Account (User) ID
+ * @param {string} channel - Message channel (email, sms, whatsapp, ...)
+ * @param {string} address - Email address or phone number
+ * @returns {Promise<Object|null>} - { reason, source } if suppressed, otherwise null
+ */
+async function checkSuppression(userId, channel, address) {
+  const suppressionChannel = getSuppressionChannel(channel);
+  if (!userId || !suppressionChannel || !address) {
+    return null;
+  }
+
+  const value = normalizeAddress(suppressionChannel, address);
+
+  const suppression = await prisma.suppression.findUnique({
+    where: {
+      userId_channel_value: { userId, channel: suppressionChannel, value },
+    },
+  });
+
+  if (suppression) {
+    return { reason: suppression.reason, source: suppression.source };
+  }
+
+  const optedOutContact = await prisma.contact.findFirst({
+    where: suppressionChannel === 'email'
+      ? { userId, email: { equals: value, mode: 'insensitive' }, emailOptIn: false }
+      : { userId, OR: [{ phone: address }, { mobile: address }, { phone: value }, { mobile: value }], phoneOptIn: false },
+    select: { id: true },
+  });
+
+  return optedOutContact ? { reason: 'opted_out', source: 'contact' } : null;
+}
+
+/**
+ * Add an address to an account's suppression list (no-op if already present)
+ * Email suppressions also opt matching Tackle Contacts out of email and take them
+ * out of their sequences.
+ * @param {Object} options
+ * @param {string} options.userId - Account (User) ID
+ * @param {string} options.channel - Message or suppression channel
+ * @param {string} options.value - Email address or phone number
+ * @param {string} options.reason - bounced, complained, unsubscribed, manual
+ * @param {string} options.source - Where the suppression came from
+ * @param {string} options.sourceId - Related record ID (optional)
+ * @returns {Promise<Object>} - Suppression record
+ */
+async function addSuppression({ userId, channel, value, reason, source, sourceId }) {
+  const suppressionChannel = getSuppressionChannel(channel);
+  if (!suppressionChannel) {
+    throw new Error(`Unsupported suppression channel: ${channel}`);
+  }
+
+  const normalized = normalizeAddress(suppressionChannel, value);
+
+  const suppression = await prisma.suppression.upsert({
+    where: {
+      userId_channel_value: { userId, channel: suppressionChannel, value: normalized },
+    },
+    update: {},
+    create: {
+      userId,
+      channel: suppressionChannel,
+      value: normalized,
+      reason,
+      source,
+      sourceId,
+    },
+  });
+
+  if (suppressionChannel === 'email') {
+    await prisma.contact.updateMany({
+      where: { userId, email: { equals: normalized, mode: 'insensitive' } },
+      data: {
+        emailOptIn: false,
+        ...(reason === 'bounced' && { status: 'bounced' }),
+        ...(reason === 'unsubscribed' && { status: 'unsubscribed' }),
+      },
+    });
+
+    await exitEnrollmentsForAddress(userId, { email: normalized }, reason === 'bounced' ? 'bounced' : 'unsubscribed');
+  }
+
+  return suppression;
+}
+
+module.exports = {
+  checkSuppression,
+  addSuppression,
+  normalizeAddress,
+  getSuppressionChannel,
+};
@@ -0,0 +1,238 @@
+// Email Tracking Service
+// Signs campaignLead tokens, rewrites outbound HTML with an open pixel and click redirects,
+// and builds the Message-ID / reply-to addresses used to match replies to campaigns and sequences
+
+const crypto = require('crypto');
+
+const TRACKING_SECRET = process.env.TRACKING_SECRET || process.env.JWT_SECRET || 'your-dev-secret-change-in-production';
+const TRACKING_BASE_URL = (process.env.TRACKING_BASE_URL || process.env.API_URL || 'http://localhost:3001').replace(/\/$/, '');
+const EMAIL_DOMAIN = process.env.EMAIL_DOMAIN || 'leadsite.ai';
+const CAMPAIGN_REPLY_DOMAIN = process.env.CAMPAIGN_REPLY_DOMAIN; // Inbound-parse domain for replies+<token>@ addresses
+
+const CAMPAIGN_MESSAGE_ID_REGEX = /^campaign\.([0-9a-f-]{36})@/i;
+const SEQUENCE_MESSAGE_ID_REGEX = /^sequence\.([0-9a-f-]{36})\.\d+@/i;
+const REPLY_ADDRESS_REGEX = /^replies\+([0-9a-f-]{36})\.([0-9a-f]{16})@/i;
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * HMAC a value with the tracking secret
+ * @param {string} value - Value to sign
+ * @returns {string} - base64url signature
+ */
+function hmac(value) {
+  return crypto.createHmac('sha256', TRACKING_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * Constant-time comparison of two signatures
+ * @param {string} a - Expected
+ * @param {string} b - Actual
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a || '');
+  const bufB = Buffer.from(b || '');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Create a signed token for a record ID
+ * @param {string} id - Record ID (e.g. CampaignLead ID)
+ * @param {string} purpose - Scope of the token so tokens can't be reused across endpoints
+ * @returns {string} - Token in the form "<id>.<signature>"
+ */
+function signToken(id, purpose = 'track') {
+  return `${id}.${hmac(`${purpose}:${id}`)}`;
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token from signToken
+ * @param {string} purpose - Expected purpose
+ * @returns {string|null} - Record ID if valid, null otherwise
+ */
+function verifyToken(token, purpose = 'track') {
+  if (!token || typeof token !== 'string') return null;
+
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const id = token.slice(0, separator);
+  const signature = token.slice(separator + 1);
+
+  return safeEqual(hmac(`${purpose}:${id}`), signature) ? id : null;
+}
+
+/**
+ * Sign a redirect target so click links can't be used as an open redirect
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @returns {string} - Signature
+ */
+function signUrl(token, url) {
+  return hmac(`click:${token}:${url}`);
+}
+
+/**
+ * Verify a redirect target signature
+ * @param {string} token - Tracking token
+ * @param {string} url - Destination URL
+ * @param {string} signature - Signature from the link
+ * @returns {boolean}
+ */
+function verifyUrl(token, url, signature) {
+  return safeEqual(signUrl(token, url), signature);
+}
+
+/**
+ * Build the open-tracking pixel URL
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @returns {string}
+ */
+function buildOpenUrl(campaignLeadId) {
+  return `${TRACKING_BASE_URL}/api/v1/track/open/${signToken(campaignLeadId)}.gif`;
+}
+
+/**
+ * Build a click-tracking redirect URL
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @param {string} url - Destination URL
+ * @returns {string}
+ */
+function buildClickUrl(campaignLeadId, url) {
+  const token = signToken(campaignLeadId);
+  const params = new URLSearchParams({ url, sig: signUrl(token, url) });
+  return `${TRACKING_BASE_URL}/api/v1/track/click/${token}?${params.toString()}`;
+}
+
+/**
+ * Build a signed one-click unsubscribe URL
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @returns {string}
+ */
+function buildUnsubscribeUrl(campaignLeadId) {
+  return `${TRACKING_BASE_URL}/api/v1/unsubscribe/${signToken(campaignLeadId, 'unsubscribe')}`;
+}
+
+/**
+ * Build the Message-ID header for a campaign email
+ * Replies quote it back in In-Reply-To / References.
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @returns {string} - "<campaign.<id>@<EMAIL_DOMAIN>>"
+ */
+function buildCampaignMessageId(campaignLeadId) {
+  return `<campaign.${campaignLeadId}@${EMAIL_DOMAIN}>`;
+}
+
+/**
+ * Extract the CampaignLead ID from a Message-ID built by buildCampaignMessageId
+ * @param {string} messageId - Message-ID with or without angle brackets
+ * @returns {string|null}
+ */
+function parseCampaignMessageId(messageId) {
+  const match = (messageId || '').replace(/^<|>$/g, '').match(CAMPAIGN_MESSAGE_ID_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Build the Message-ID header for a sequence step email
+ * The step position keeps each email in the enrollment unique.
+ * @param {string} enrollmentId - SequenceEnrollment ID
+ * @param {number} position - Step position
+ * @returns {string} - "<sequence.<id>.<position>@<EMAIL_DOMAIN>>"
+ */
+function buildSequenceMessageId(enrollmentId, position) {
+  return `<sequence.${enrollmentId}.${position}@${EMAIL_DOMAIN}>`;
+}
+
+/**
+ * Extract the SequenceEnrollment ID from a Message-ID built by buildSequenceMessageId
+ * @param {string} messageId - Message-ID with or without angle brackets
+ * @returns {string|null}
+ */
+function parseSequenceMessageId(messageId) {
+  const match = (messageId || '').replace(/^<|>$/g, '').match(SEQUENCE_MESSAGE_ID_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Build a plus-addressed reply-to for a campaign recipient
+ * Uses a short lowercase hex signature because some servers lowercase the local part.
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @returns {string|null} - "replies+<id>.<sig>@<CAMPAIGN_REPLY_DOMAIN>", or null if not configured
+ */
+function buildReplyAddress(campaignLeadId) {
+  if (!CAMPAIGN_REPLY_DOMAIN) return null;
+  const signature = crypto.createHmac('sha256', TRACKING_SECRET).update(`reply:${campaignLeadId}`).digest('hex').slice(0, 16);
+  return `replies+${campaignLeadId}.${signature}@${CAMPAIGN_REPLY_DOMAIN}`;
+}
+
+/**
+ * Verify a plus-addressed reply-to and return its CampaignLead ID
+ * @param {string} address - Recipient address of an inbound email
+ * @returns {string|null}
+ */
+function parseReplyAddress(address) {
+  const match = (address || '').trim().match(REPLY_ADDRESS_REGEX);
+  if (!match) return null;
+
+  const campaignLeadId = match[1].toLowerCase();
+  const expected = crypto.createHmac('sha256', TRACKING_SECRET).update(`reply:${campaignLeadId}`).digest('hex').slice(0, 16);
+  return safeEqual(expected, match[2].toLowerCase()) ? campaignLeadId : null;
+}
+
+/**
+ * Rewrite campaign HTML for tracking
+ * @param {string} html - Rendered HTML
+ * @param {string} campaignLeadId - CampaignLead ID
+ * @param {Object} options - { trackOpens = true, trackClicks = true }
+ * @returns {string} - HTML with wrapped links and an open pixel
+ */
+function addTracking(html, campaignLeadId, { trackOpens = true, trackClicks = true } = {}) {
+  if (!html) return html;
+
+  let tracked = html;
+
+  if (trackClicks) {
+    // Only wrap absolute http(s) links; mailto:, tel: and anchors are left alone
+    tracked = tracked.replace(
+      /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi,
+      (match, prefix, quote, url) => {
+        // Never wrap our own links (tracking, unsubscribe)
+        if (url.startsWith(TRACKING_BASE_URL)) return match;
+        const decoded = url.replace(/&amp;/g, '&');
+        return `${prefix}${quote}${buildClickUrl(campaignLeadId, decoded).replace(/&/g, '&amp;')}${quote}`;
+      }
+    );
+  }
+
+  if (trackOpens) {
+    const pixel = `<img src="${buildOpenUrl(campaignLeadId)}" width="1" height="1" alt="" style="display:none;border:0;" />`;
+    tracked = /<\/body>/i.test(tracked)
+      ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+      : `${tracked}${pixel}`;
+  }
+
+  return tracked;
+}
+
+module.exports = {
+  TRACKING_PIXEL,
+  TRACKING_BASE_URL,
+  signToken,
+  verifyToken,
+  signUrl,
+  verifyUrl,
+  buildOpenUrl,
+  buildClickUrl,
+  buildUnsubscribeUrl,
+  buildCampaignMessageId,
+  parseCampaignMessageId,
+  buildSequenceMessageId,
+  parseSequenceMessageId,
+  buildReplyAddress,
+  parseReplyAddress,
+  addTracking,
+};
@@ -0,0 +1,143 @@
+// Webhook Signature Verification
+// SendGrid signed event webhook (ECDSA) and AWS SNS message signatures (used by SES)
+
+const crypto = require('crypto');
+
+const SENDGRID_WEBHOOK_PUBLIC_KEY = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+// SNS topics SES publishes to; messages from any other topic are rejected
+const SES_SNS_TOPIC_ARNS = (process.env.SES_SNS_TOPIC_ARNS || '')
+  .split(',')
+  .map((arn) => arn.trim())
+  .filter(Boolean);
+
+// Reject SendGrid payloads whose signed timestamp is older than this
+const SENDGRID_MAX_AGE_SECONDS = 10 * 60;
+
+// SNS signing certificates are only ever served from these hosts
+const SNS_CERT_HOST_REGEX = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+// Cache of downloaded SNS signing certificates by URL
+const certificateCache = new Map();
+
+/**
+ * Convert the base64 DER key SendGrid shows in its settings into PEM
+ * @param {string} key - Base64 key or PEM
+ * @returns {string} - PEM public key
+ */
+function toPem(key) {
+  if (key.includes('BEGIN PUBLIC KEY')) return key;
+  const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+}
+
+/**
+ * Verify a SendGrid signed event webhook request
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+ * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+ * @param {string} publicKey - Verification key (defaults to SENDGRID_WEBHOOK_PUBLIC_KEY)
+ * @returns {boolean}
+ */
+function verifySendGridSignature(rawBody, signature, timestamp, publicKey = SENDGRID_WEBHOOK_PUBLIC_KEY) {
+  if (!publicKey || !rawBody || !signature || !timestamp) {
+    return false;
+  }
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (!Number.isFinite(age) || age > SENDGRID_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  try {
+    const verifier = crypto.createVerify('sha256');
+    verifier.update(timestamp);
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(toPem(publicKey), signature, 'base64');
+  } catch (error) {
+    console.error('SendGrid signature verification error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Build the canonical string SNS signs for a message
+ * @param {Object} message - Parsed SNS message
+ * @returns {string}
+ */
+function buildSnsStringToSign(message) {
+  const keys = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+  return keys
+    .filter((key) => message[key] !== undefined && message[key] !== null)
+    .map((key) => `${key}\n${message[key]}\n`)
+    .join('');
+}
+
+/**
+ * Download (and cache) an SNS signing certificate
+ * @param {string} certUrl - SigningCertURL from the message
+ * @returns {Promise<string>} - PEM certificate
+ */
+async function getSnsCertificate(certUrl) {
+  if (certificateCache.has(certUrl)) {
+    return certificateCache.get(certUrl);
+  }
+
+  const response = await fetch(certUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download SNS certificate: ${response.status}`);
+  }
+
+  const certificate = await response.text();
+  certificateCache.set(certUrl, certificate);
+  return certificate;
+}
+
+/**
+ * Verify an SNS message signature (SignatureVersion 1 = SHA1, 2 = SHA256)
+ * @param {Object} message - Parsed SNS message
+ * @returns {Promise<boolean>}
+ */
+async function verifySnsMessage(message) {
+  if (!message || !message.Signature || !message.SigningCertURL) {
+    return false;
+  }
+
+  if (!SES_SNS_TOPIC_ARNS.includes(message.TopicArn)) {
+    return false;
+  }
+
+  let certUrl;
+  try {
+    certUrl = new URL(message.SigningCertURL);
+  } catch (error) {
+    return false;
+  }
+
+  if (certUrl.protocol !== 'https:' || !SNS_CERT_HOST_REGEX.test(certUrl.hostname)) {
+    return false;
+  }
+
+  try {
+    const certificate = await getSnsCertificate(certUrl.toString());
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+    const verifier = crypto.createVerify(algorithm);
+    verifier.update(buildSnsStringToSign(message), 'utf8');
+    verifier.end();
+    return verifier.verify(certificate, message.Signature, 'base64');
+  } catch (error) {
+    console.error('SNS signature verification error:', error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  verifySendGridSignature,
+  verifySnsMessage,
+  buildSnsStringToSign,
+  SENDGRID_WEBHOOK_PUBLIC_KEY,
+  SES_SNS_TOPIC_ARNS,
+};